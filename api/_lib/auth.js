@@ -0,0 +1,135 @@
+// Shared auth for API routes the CRM frontend calls.
+//
+//   if (!applyCors(req, res, "POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+//   if (req.method === "OPTIONS") return res.status(200).end();
+//   const auth = await authorizeRequest(req, res, { orgId, permission: ["settings", "edit"] });
+//   if (!auth) return;   // 401/403 already sent
+//
+// A caller is either a staff member with a Supabase session (Bearer <access
+// token>) who belongs to the org, or another of our servers presenting the
+// service role key (Bearer <SUPABASE_SERVICE_ROLE_KEY>).
+// Permissions are the staff_roles / staff_permissions grid from Settings
+// (section + action); the Admin role and admin/owner users pass every check.
+
+import crypto from "node:crypto";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+
+async function sbRest({ supabaseUrl, serviceKey, path }) {
+  const resp = await fetch(`${supabaseUrl}${path}`, {
+    headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}`, Accept: "application/json" },
+  });
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+// Origins allowed to call us from a browser: ALLOWED_ORIGINS (comma-separated),
+// CRM_BASE_URL, the Vercel deployment URL and the request's own host
+function allowedOrigins(req) {
+  const list = String(process.env.ALLOWED_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
+  if (process.env.CRM_BASE_URL) list.push(process.env.CRM_BASE_URL);
+  if (process.env.VERCEL_URL) list.push(`https://${process.env.VERCEL_URL}`);
+  if (req.headers.host) list.push(`https://${req.headers.host}`);
+  return list.map((o) => o.replace(/\/+$/, "").toLowerCase());
+}
+
+// Sets CORS headers for an allowed Origin. Returns false for a browser call
+// from anywhere else. Server-to-server calls send no Origin and always pass.
+export function applyCors(req, res, methods, extraHeaders = "") {
+  res.setHeader("Vary", "Origin");
+  const origin = String(req.headers.origin || "");
+  if (!origin) return true;
+  if (!allowedOrigins(req).includes(origin.replace(/\/+$/, "").toLowerCase())) return false;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", `Content-Type, Authorization${extraHeaders ? ", " + extraHeaders : ""}`);
+  return true;
+}
+
+export async function validateSupabaseUser({ supabaseUrl, serviceKey, authHeader }) {
+  if (!authHeader || !authHeader.toLowerCase().startsWith("bearer ")) return null;
+  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
+    headers: { apikey: serviceKey, Authorization: authHeader },
+  });
+  if (!resp.ok) return null;
+  return await resp.json();
+}
+
+export function isServiceCaller(authHeader, serviceKey) {
+  if (!serviceKey) return false;
+  const a = Buffer.from(String(authHeader || ""));
+  const b = Buffer.from(`Bearer ${serviceKey}`);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The caller's active users row for the org, matched on auth id only (rows
+// are linked by link_auth_user). Rows from before users were scoped to an
+// org (org_id null) count for every org. Same rules as is_org_member() in
+// schema_updates.sql.
+async function loadStaffUser({ supabaseUrl, serviceKey, user, orgId }) {
+  const select = "select=id,email,role,role_id,org_id&is_active=not.is.false";
+  const rows = (await sbRest({ supabaseUrl, serviceKey, path: `/rest/v1/users?auth_id=eq.${encodeURIComponent(user.id)}&${select}` })).json || [];
+  if (!orgId) return rows[0] || null;
+  return rows.find((r) => String(r.org_id) === String(orgId)) || rows.find((r) => r.org_id === null) || null;
+}
+
+// users.role values that get every permission. Exact matches: a role
+// named e.g. "not-admin" or "owner-assistant" is an ordinary role.
+const ADMIN_ROLES = ["admin", "owner"];
+
+async function hasPermission({ supabaseUrl, serviceKey, staff, orgId, section, action }) {
+  const role = String(staff.role || "").trim().toLowerCase();
+  if (ADMIN_ROLES.includes(role)) return true;
+  if (!staff.role_id) return false;
+
+  const roleResp = await sbRest({ supabaseUrl, serviceKey, path: `/rest/v1/staff_roles?id=eq.${encodeURIComponent(staff.role_id)}&select=id,name,org_id` });
+  const staffRole = (roleResp.json || [])[0];
+  if (!staffRole || (orgId && staffRole.org_id != null && String(staffRole.org_id) !== String(orgId))) return false;
+  if (staffRole.name === "Admin") return true;
+
+  const permResp = await sbRest({
+    supabaseUrl,
+    serviceKey,
+    path: `/rest/v1/staff_permissions?role_id=eq.${encodeURIComponent(staff.role_id)}&section=eq.${encodeURIComponent(section)}&action=eq.${encodeURIComponent(action)}&select=allowed`,
+  });
+  return !!(permResp.json || [])[0]?.allowed;
+}
+
+// Checks the caller can act for orgId (and has permission [section, action]
+// when given). Sends the 401/403 itself and returns null when not;
+// otherwise { service, user, staff }.
+export async function authorizeRequest(req, res, { orgId = null, permission = null } = {}) {
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceKey) {
+    res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+    return null;
+  }
+
+  const authHeader = req.headers.authorization || "";
+  if (isServiceCaller(authHeader, serviceKey)) return { service: true, user: null, staff: null };
+
+  const user = await validateSupabaseUser({ supabaseUrl, serviceKey, authHeader });
+  if (!user) {
+    res.status(401).json({ error: "Unauthorized" });
+    return null;
+  }
+
+  const staff = await loadStaffUser({ supabaseUrl, serviceKey, user, orgId });
+  if (!staff) {
+    res.status(403).json({ error: orgId ? "Not a member of this org" : "Not a staff user" });
+    return null;
+  }
+
+  if (permission) {
+    const [section, action] = permission;
+    if (!(await hasPermission({ supabaseUrl, serviceKey, staff, orgId, section, action }))) {
+      res.status(403).json({ error: "Forbidden", details: `Requires ${section}:${action}` });
+      return null;
+    }
+  }
+
+  return { service: false, user, staff };
+}
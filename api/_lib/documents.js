@@ -0,0 +1,500 @@
+// Server-side PDF documents: quotes and project completion certificates.
+//
+//   const doc = await loadQuoteDocument({ supabaseUrl, serviceKey, quoteId });
+//   if (!doc) return res.status(404)...;
+//   const pdf = await renderQuotePdf(doc);              // Buffer; { includeSignerIp } for staff
+//   const stored = await storeDocument({ supabaseUrl, serviceKey, path: doc.storagePath, pdf });
+//
+// Same jsPDF layout as the CRM's in-browser quote download, rendered here so
+// every device, automation and email gets the same file. Branding comes from
+// the org: logo_url (PNG or JPEG) and quote_terms / completion_terms.
+// Stored files live in the private "documents" bucket; the signed URL is
+// under /storage/v1/, so /api/send-email accepts it as an attachment.
+
+import { jsPDF } from "jspdf";
+
+const DOCUMENTS_BUCKET = "documents";
+const SIGNED_URL_SECONDS = 7 * 24 * 3600;
+const MAX_LOGO_BYTES = 1024 * 1024;
+const MARGIN = 40;
+
+async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
+  const url = `${supabaseUrl}${path}`;
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      "Content-Type": "application/json",
+      ...(headers || {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+async function getOne({ supabaseUrl, serviceKey, path }) {
+  const resp = await sbRest({ supabaseUrl, serviceKey, path, method: "GET" });
+  if (!resp.ok) throw new Error(`Supabase error (${resp.status}): ${resp.text}`);
+  return (resp.json || [])[0] || null;
+}
+
+function money(value) {
+  return `$${(Number(value || 0) || 0).toFixed(2)}`;
+}
+
+function formatDate(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  return d.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+}
+
+function formatDateTime(value, timeZone) {
+  if (!value) return "";
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value);
+  try {
+    return d.toLocaleString("en-US", {
+      timeZone: timeZone || "UTC", year: "numeric", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short",
+    });
+  } catch (_) {
+    return d.toISOString();
+  }
+}
+
+function safeFileName(text) {
+  return String(text || "").replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 80) || "document";
+}
+
+// The org logo as a data URL, or null. Only https PNG/JPEG up to 1 MB; a
+// broken logo never fails the document.
+async function loadLogo(url) {
+  if (!url || !/^https:\/\//i.test(String(url))) return null;
+  try {
+    const resp = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    const type = String(resp.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (!resp.ok || !["image/png", "image/jpeg"].includes(type)) return null;
+    const bytes = Buffer.from(await resp.arrayBuffer());
+    if (bytes.length > MAX_LOGO_BYTES) return null;
+    return `data:${type};base64,${bytes.toString("base64")}`;
+  } catch (e) {
+    console.error("documents: logo fetch failed:", e.message);
+    return null;
+  }
+}
+
+async function loadOrg({ supabaseUrl, serviceKey, orgId }) {
+  if (orgId == null) return null;
+  return getOne({
+    supabaseUrl,
+    serviceKey,
+    path: `/rest/v1/orgs?id=eq.${encodeURIComponent(orgId)}&select=id,name,slug,timezone,logo_url,quote_terms,completion_terms`,
+  });
+}
+
+async function loadProjectAndClient({ supabaseUrl, serviceKey, projectId }) {
+  if (projectId == null) return { project: null, client: null };
+  const project = await getOne({
+    supabaseUrl,
+    serviceKey,
+    path: `/rest/v1/projects?id=eq.${encodeURIComponent(projectId)}&select=id,org_id,name,client_id,location,install_date,project_type`,
+  });
+  const client = project?.client_id
+    ? await getOne({ supabaseUrl, serviceKey, path: `/rest/v1/clients?id=eq.${encodeURIComponent(project.client_id)}&select=id,company,email,phone` })
+    : null;
+  return { project, client };
+}
+
+// ------------------------------------------------------------------
+// Loading
+// ------------------------------------------------------------------
+
+// Everything a quote PDF needs, or null when the quote doesn't exist.
+// A signed quote renders exactly what was accepted (accepted_snapshot).
+export async function loadQuoteDocument({ supabaseUrl, serviceKey, quoteId }) {
+  const quote = await getOne({ supabaseUrl, serviceKey, path: `/rest/v1/quotes?id=eq.${encodeURIComponent(quoteId)}&select=*` });
+  if (!quote) return null;
+
+  let items = quote.accepted_snapshot?.items;
+  if (!Array.isArray(items)) {
+    const itemsResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/quote_items?quote_id=eq.${encodeURIComponent(quoteId)}&select=*&order=id.asc`,
+      method: "GET",
+    });
+    if (!itemsResp.ok) throw new Error(`Supabase error (${itemsResp.status}): ${itemsResp.text}`);
+    items = itemsResp.json || [];
+  }
+
+  const [org, { project, client }] = await Promise.all([
+    loadOrg({ supabaseUrl, serviceKey, orgId: quote.org_id }),
+    loadProjectAndClient({ supabaseUrl, serviceKey, projectId: quote.project_id }),
+  ]);
+  const version = quote.version || 1;
+  return {
+    kind: "quote",
+    orgId: quote.org_id,
+    org,
+    project,
+    client,
+    quote,
+    items,
+    fileName: `Quote_${safeFileName(project?.name || "Project")}_v${version}.pdf`,
+    storagePath: `${quote.org_id}/quotes/quote-${quote.id}-v${version}.pdf`,
+  };
+}
+
+// A project_completions row with its project, client and lead, or null
+export async function loadCompletionDocument({ supabaseUrl, serviceKey, completionId }) {
+  const completion = await getOne({
+    supabaseUrl,
+    serviceKey,
+    path: `/rest/v1/project_completions?id=eq.${encodeURIComponent(completionId)}&select=*`,
+  });
+  if (!completion) return null;
+
+  const { project, client } = await loadProjectAndClient({ supabaseUrl, serviceKey, projectId: completion.project_id });
+  const orgId = completion.org_id ?? project?.org_id ?? null;
+  const [org, lead] = await Promise.all([
+    loadOrg({ supabaseUrl, serviceKey, orgId }),
+    completion.lead_id
+      ? getOne({ supabaseUrl, serviceKey, path: `/rest/v1/people?id=eq.${encodeURIComponent(completion.lead_id)}&select=id,name` })
+      : null,
+  ]);
+  return {
+    kind: "completion",
+    orgId,
+    org,
+    project,
+    client,
+    lead,
+    completion,
+    fileName: `Completion_${safeFileName(project?.name || "Project")}.pdf`,
+    storagePath: `${orgId}/completions/completion-${completion.id}.pdf`,
+  };
+}
+
+// ------------------------------------------------------------------
+// Rendering
+// ------------------------------------------------------------------
+
+// Logo (when set) and org name at the top left, title at the top right.
+// Returns the y to continue from.
+function drawHeader(doc, { org, logo, title, subtitle }) {
+  const pageW = doc.internal.pageSize.getWidth();
+  let y = 40;
+  let textX = MARGIN;
+
+  if (logo) {
+    try {
+      const props = doc.getImageProperties(logo);
+      // Fit in 160x44 keeping the aspect ratio
+      const scale = Math.min(160 / props.width, 44 / props.height);
+      const w = props.width * scale;
+      const h = props.height * scale;
+      doc.addImage(logo, props.fileType, MARGIN, y, w, h);
+      textX = MARGIN + w + 12;
+    } catch (e) {
+      console.error("documents: logo could not be drawn:", e.message);
+    }
+  }
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.text(org?.name || "", textX, y + 18);
+
+  doc.setFontSize(14);
+  doc.text(title, pageW - MARGIN, y + 18, { align: "right" });
+  if (subtitle) {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.text(subtitle, pageW - MARGIN, y + 34, { align: "right" });
+  }
+
+  y += 60;
+  doc.setDrawColor(200);
+  doc.line(MARGIN, y, pageW - MARGIN, y);
+  return y + 22;
+}
+
+function ensureSpace(doc, y, needed) {
+  if (y + needed <= doc.internal.pageSize.getHeight() - MARGIN) return y;
+  doc.addPage();
+  return 54;
+}
+
+// "Label: value" pairs, one per line, skipping empty values
+function drawFields(doc, y, fields) {
+  doc.setFontSize(10);
+  for (const [label, value] of fields) {
+    if (value == null || value === "") continue;
+    doc.setFont("helvetica", "bold");
+    doc.text(`${label}:`, MARGIN, y);
+    doc.setFont("helvetica", "normal");
+    doc.text(String(value), MARGIN + 90, y);
+    y += 14;
+  }
+  return y;
+}
+
+function drawTerms(doc, y, heading, terms) {
+  if (!terms) return y;
+  const pageW = doc.internal.pageSize.getWidth();
+  const lines = doc.splitTextToSize(String(terms), pageW - MARGIN * 2);
+  y = ensureSpace(doc, y + 10, 30);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text(heading, MARGIN, y);
+  y += 14;
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  for (const line of lines) {
+    y = ensureSpace(doc, y, 12);
+    doc.text(line, MARGIN, y);
+    y += 11;
+  }
+  return y;
+}
+
+// Signature image (drawn) or the typed name in italics, with who/when below
+function drawSignature(doc, y, { heading, signatureType, signatureData, name, details }) {
+  y = ensureSpace(doc, y + 16, 130);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text(heading, MARGIN, y);
+  y += 10;
+
+  const boxW = 240;
+  const boxH = 60;
+  if (signatureType === "drawn" && /^data:image\/png;base64,/.test(String(signatureData || ""))) {
+    try {
+      doc.addImage(signatureData, "PNG", MARGIN, y, boxW, boxH);
+    } catch (e) {
+      console.error("documents: signature could not be drawn:", e.message);
+    }
+  } else if (name) {
+    doc.setFont("times", "italic");
+    doc.setFontSize(22);
+    doc.text(String(name), MARGIN + 4, y + boxH - 16);
+  }
+  y += boxH;
+  doc.setDrawColor(120);
+  doc.line(MARGIN, y, MARGIN + boxW, y);
+  y += 14;
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  for (const line of details.filter(Boolean)) {
+    doc.text(line, MARGIN, y);
+    y += 12;
+  }
+  return y;
+}
+
+function drawFooter(doc, text) {
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor(130);
+    doc.text(text, MARGIN, pageH - 20);
+    doc.text(`Page ${i} of ${pages}`, pageW - MARGIN, pageH - 20, { align: "right" });
+    doc.setTextColor(0);
+  }
+}
+
+// The signer's IP is audit detail for staff: the copies clients see (the
+// share link, stored and emailed documents) leave it out.
+export async function renderQuotePdf({ org, project, client, quote, items }, { includeSignerIp = false } = {}) {
+  const logo = await loadLogo(org?.logo_url);
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const pageW = doc.internal.pageSize.getWidth();
+  const version = quote.version || 1;
+  const signed = !!quote.locked_at || String(quote.status || "").toLowerCase() === "signed";
+
+  let y = drawHeader(doc, { org, logo, title: "QUOTE", subtitle: `Version ${version}` });
+  y = drawFields(doc, y, [
+    ["Project", project?.name],
+    ["Client", client?.company],
+    ["Location", project?.location],
+    ["Date", formatDate(quote.created_at)],
+    ["Valid until", signed ? "" : formatDate(quote.expires_at)],
+    ["Status", signed ? "Accepted" : quote.declined_at ? "Declined" : ""],
+  ]);
+  y += 10;
+
+  const colItem = MARGIN;
+  const colQty = pageW - MARGIN - 200;
+  const colUnit = pageW - MARGIN - 120;
+  const colTot = pageW - MARGIN;
+
+  const drawTableHead = () => {
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(10);
+    doc.text("Item", colItem, y);
+    doc.text("Qty", colQty, y, { align: "right" });
+    doc.text("Unit", colUnit, y, { align: "right" });
+    doc.text("Total", colTot, y, { align: "right" });
+    y += 10;
+    doc.setDrawColor(200);
+    doc.line(MARGIN, y, pageW - MARGIN, y);
+    y += 14;
+  };
+  drawTableHead();
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  const maxItemWidth = (colQty - 12) - colItem;
+  for (const it of items) {
+    // Optional lines the client left out aren't part of the accepted quote
+    if (signed && it.selected === false) continue;
+    const label = String(it.name || "-") + (it.optional ? " (optional)" : "");
+    const lines = doc.splitTextToSize(label, maxItemWidth);
+    const rowHeight = Math.max(14, lines.length * 12);
+    if (y + rowHeight > doc.internal.pageSize.getHeight() - MARGIN - 20) {
+      doc.addPage();
+      y = 54;
+      drawTableHead();
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(10);
+    }
+    doc.text(lines, colItem, y);
+    doc.text(String(Number(it.qty || 0) || 1), colQty, y, { align: "right" });
+    doc.text(money(it.unit_price), colUnit, y, { align: "right" });
+    doc.text(money(it.line_total), colTot, y, { align: "right" });
+    y += rowHeight;
+  }
+
+  y = ensureSpace(doc, y + 10, 60);
+  doc.setDrawColor(220);
+  doc.line(MARGIN, y, pageW - MARGIN, y);
+  y += 16;
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  doc.text(`Subtotal: ${money(quote.subtotal)}`, colTot, y, { align: "right" });
+  y += 14;
+  doc.text(`Tax: ${money(quote.tax)}`, colTot, y, { align: "right" });
+  y += 16;
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(12);
+  doc.text(`Total: ${money(quote.total)}`, colTot, y, { align: "right" });
+  y += 10;
+
+  y = drawTerms(doc, y + 10, "Terms & Conditions", org?.quote_terms);
+
+  if (signed) {
+    y = drawSignature(doc, y, {
+      heading: "Accepted by",
+      signatureType: quote.signature_type,
+      signatureData: quote.signature_data,
+      name: quote.signed_name,
+      details: [
+        [quote.signed_name, quote.signed_email].filter(Boolean).join(" · "),
+        quote.signed_at ? `Signed ${formatDateTime(quote.signed_at, org?.timezone)}` : "",
+        includeSignerIp && quote.signed_ip ? `IP address ${quote.signed_ip}` : "",
+      ],
+    });
+  } else if (quote.declined_at) {
+    y = ensureSpace(doc, y + 16, 30);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.text(`Declined${quote.declined_name ? ` by ${quote.declined_name}` : ""} on ${formatDateTime(quote.declined_at, org?.timezone)}`, MARGIN, y);
+  }
+
+  drawFooter(doc, `${org?.name || ""} · Quote #${quote.id} v${version}`);
+  return Buffer.from(doc.output("arraybuffer"));
+}
+
+export async function renderCompletionPdf({ org, project, client, lead, completion }) {
+  const logo = await loadLogo(org?.logo_url);
+  const doc = new jsPDF({ unit: "pt", format: "letter" });
+  const pageW = doc.internal.pageSize.getWidth();
+
+  let y = drawHeader(doc, { org, logo, title: "CERTIFICATE OF COMPLETION" });
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  const intro = `This certifies that the work for ${project?.name || "the project"}${client?.company ? ` for ${client.company}` : ""} has been completed${completion.signoff_confirmed ? " and accepted by the client" : ""}.`;
+  for (const line of doc.splitTextToSize(intro, pageW - MARGIN * 2)) {
+    doc.text(line, MARGIN, y);
+    y += 15;
+  }
+  y += 8;
+
+  const checks = Object.values(completion.checklists || {});
+  y = drawFields(doc, y, [
+    ["Project", project?.name],
+    ["Client", client?.company],
+    ["Location", project?.location],
+    ["PO number", completion.po_number],
+    ["Lead installer", lead?.name],
+    ["Completed", formatDate(completion.submitted_at)],
+    ["Checklist", checks.length ? `${checks.filter(Boolean).length} of ${checks.length} items confirmed` : ""],
+    ["Product return", completion.product_return === "yes" ? completion.product_return_inventory || "Yes" : ""],
+    ["Damaged items", completion.product_damaged === "yes" ? completion.inventory_damaged_items || "Yes" : ""],
+  ]);
+
+  y = drawTerms(doc, y + 10, "Terms", org?.completion_terms);
+
+  if (completion.signoff_name) {
+    y = drawSignature(doc, y, {
+      heading: "Client sign-off",
+      signatureType: "typed",
+      name: completion.signoff_name,
+      details: [
+        [completion.signoff_name, completion.signoff_title, completion.signoff_email].filter(Boolean).join(" · "),
+        completion.signoff_confirmed
+          ? `Confirmed ${formatDateTime(completion.signoff_at, org?.timezone)}`
+          : "Sign-off not yet confirmed",
+      ],
+    });
+  }
+
+  drawFooter(doc, `${org?.name || ""} · Completion #${completion.id}`);
+  return Buffer.from(doc.output("arraybuffer"));
+}
+
+// ------------------------------------------------------------------
+// Storage
+// ------------------------------------------------------------------
+
+// Uploads (overwriting) to the documents bucket and returns a signed URL
+// /api/send-email can fetch: { path, url, expiresAt }
+export async function storeDocument({ supabaseUrl, serviceKey, path, pdf }) {
+  const objectPath = path.split("/").map(encodeURIComponent).join("/");
+  const upload = await fetch(`${supabaseUrl}/storage/v1/object/${DOCUMENTS_BUCKET}/${objectPath}`, {
+    method: "POST",
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      "Content-Type": "application/pdf",
+      "x-upsert": "true",
+    },
+    body: pdf,
+  });
+  if (!upload.ok) throw new Error(`Storage upload failed (${upload.status}): ${await upload.text().catch(() => "")}`);
+
+  const sign = await sbRest({
+    supabaseUrl,
+    serviceKey,
+    path: `/storage/v1/object/sign/${DOCUMENTS_BUCKET}/${objectPath}`,
+    method: "POST",
+    body: { expiresIn: SIGNED_URL_SECONDS },
+  });
+  const signedPath = sign.json?.signedURL || sign.json?.signedUrl;
+  if (!sign.ok || !signedPath) throw new Error(`Storage sign failed (${sign.status}): ${sign.text}`);
+
+  return {
+    path,
+    url: `${supabaseUrl}/storage/v1${signedPath.startsWith("/") ? "" : "/"}${signedPath}`,
+    expiresAt: new Date(Date.now() + SIGNED_URL_SECONDS * 1000).toISOString(),
+  };
+}
@@ -0,0 +1,256 @@
+// Shared by API routes (files under api/_lib are not deployed as routes).
+// Parses vendor shipment notices into orders for /api/parse-shipment
+// (manual paste in Upload Shipment List, and the process-inbound-email
+// Trigger.dev task for mailed notices).
+//
+// Each vendor layout is a format: { id, label, detect(text) → 0..1,
+// parse(text) → { orders, unparsedLines } }. The best-scoring format wins;
+// add layouts with registerShipmentFormat(). Every order carries a
+// confidence (0..1) per field so callers can flag or hold back weak ones:
+//   1.0   labelled field in the vendor's own layout
+//   0.7   recognised by a generic label ("Tracking #:", "ETA:")
+//   0.5   inferred (e.g. an item line without a price column)
+//   0     not found
+
+const formats = [];
+
+export function registerShipmentFormat(format) {
+  if (!format || !format.id || typeof format.detect !== "function" || typeof format.parse !== "function") {
+    throw new Error("Shipment format needs id, detect() and parse()");
+  }
+  const i = formats.findIndex((f) => f.id === format.id);
+  if (i >= 0) formats[i] = format;
+  else formats.push(format);
+}
+
+export function listShipmentFormats() {
+  return formats.map((f) => ({ id: f.id, label: f.label || f.id }));
+}
+
+// ------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------
+
+// Subject/body hints that an email is a shipment notice worth parsing
+const NOTICE_HINTS = /(ship(ment|ping)\s+(notice|notification|confirmation)|has shipped|order number:|carton count:|advance ship|tracking (#|number))/i;
+
+export function isShipmentNotice(subject, text) {
+  return NOTICE_HINTS.test(`${subject || ""}\n${text || ""}`);
+}
+
+// "PO: DV061882116001", "Customer PO # DV0618...", "P.O. Number: ..."
+function findCustomerPO(subject, text) {
+  const re = /(customer\s+)?p\.?\s?o\.?\s*(?:#|number|no\.?)?\s*:?\s*([A-Z]{1,4}\d[\w-]{4,})/i;
+  const m = String(subject || "").match(re) || String(text || "").match(re);
+  if (!m) return { value: "", confidence: 0 };
+  return { value: m[2].trim(), confidence: m[1] ? 1 : 0.7 };
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "3/5/25", "2025-03-05", "Mar 5, 2025" → "2025-03-05"
+export function toIsoDate(value) {
+  const s = String(value || "").trim();
+  let m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (m) {
+    const yr = m[3].length === 2 ? "20" + m[3] : m[3];
+    return yr + "-" + m[1].padStart(2, "0") + "-" + m[2].padStart(2, "0");
+  }
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  if (m && MONTHS.includes(m[1].toLowerCase())) {
+    return m[3] + "-" + String(MONTHS.indexOf(m[1].toLowerCase()) + 1).padStart(2, "0") + "-" + m[2].padStart(2, "0");
+  }
+  return null;
+}
+
+const DATE = String.raw`(\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})`;
+
+function emptyOrder() {
+  return {
+    orderNumber: "", vendorCode: "", vendorName: "", shipFrom: "",
+    arriveStart: "", arriveEnd: "", cartons: 0, weight: "",
+    carrier: "", tracking: "", items: [], confidence: {},
+  };
+}
+
+// Sets order[field] from the first capture group of re, with its confidence
+function take(order, field, text, re, confidence, map) {
+  const m = text.match(re);
+  if (!m) {
+    if (!(field in order.confidence)) order.confidence[field] = 0;
+    return null;
+  }
+  order[field] = map ? map(m) : m[1].trim();
+  order.confidence[field] = confidence;
+  return m;
+}
+
+// Overall confidence: the fields a shipment record is built from
+const KEY_FIELDS = ["orderNumber", "vendorName", "arriveEnd", "cartons"];
+
+function scoreOrder(order) {
+  const sum = KEY_FIELDS.reduce((acc, f) => acc + (order.confidence[f] || 0), 0);
+  return Math.round((sum / KEY_FIELDS.length) * 100) / 100;
+}
+
+// ------------------------------------------------------------------
+// "order-blocks": one block per "Order Number:" with Vendor Code,
+// arrival window, Carton Count and an item table (the layout the old
+// in-browser parseShipmentEmail handled)
+// ------------------------------------------------------------------
+const LABEL_LINE = /^(order number|vendor code|carton count|total approximate weight|sku descr|ship(ping)? from|tracking)\b/i;
+
+registerShipmentFormat({
+  id: "order-blocks",
+  label: "Order Number / Vendor Code / Carton Count",
+  detect(text) {
+    let score = 0;
+    if (/Order Number:/i.test(text)) score += 0.4;
+    if (/Vendor Code:/i.test(text)) score += 0.3;
+    if (/Carton Count:/i.test(text)) score += 0.3;
+    return score;
+  },
+  parse(text) {
+    const orders = [];
+    const unparsedLines = [];
+    const blocks = String(text).split(/Order Number:\s*/i).slice(1).filter((b) => b.trim());
+    for (const block of blocks) {
+      const order = emptyOrder();
+      take(order, "orderNumber", block, /^(\S+)/, 1);
+      take(order, "vendorCode", block, /Vendor Code:\s*(\w+)/i, 1);
+      take(order, "vendorName", block, /Vendor Code:\s*\w+,?\s*\(([^)]+)\)/i, 1);
+      take(order, "shipFrom", block, /shipping from\s+([^,\n]+)/i, 1, (m) => m[1].trim().replace(/\s+/g, " "));
+      const arrival = block.match(/arrive between\s+(\d{1,2}\/\d{1,2}\/\d{2,4})\s*&\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/i);
+      order.arriveStart = arrival ? arrival[1] : "";
+      order.arriveEnd = arrival ? arrival[2] : "";
+      order.confidence.arriveStart = order.confidence.arriveEnd = arrival ? 1 : 0;
+      take(order, "cartons", block, /Carton Count:\s*(\d+)/i, 1, (m) => parseInt(m[1], 10));
+      take(order, "weight", block, /Total Approximate Weight:\s*([\d,]+)/i, 1);
+      take(order, "tracking", block, /Tracking\s*(?:#|Number)?:?\s*([A-Z0-9]{8,})/i, 0.7);
+
+      let current = null;
+      const lines = block.split("\n").slice(1);
+      for (const raw of lines) {
+        const line = raw.trim();
+        if (!line) continue;
+        const sku = line.match(/SKU Descr:\s*(.+)/i);
+        if (sku) {
+          if (current) current.skuDesc = sku[1].trim();
+          continue;
+        }
+        if (LABEL_LINE.test(line) || /arrive between/i.test(line)) continue;
+        const priced = line.match(/^(\w+)\s+(.+?)\s+(\d+)\s+\$[\d.,]+/);
+        const plain = !priced && line.match(/^(\w+)\s+(.+?)\s+(\d+)\s*$/);
+        if (priced || (plain && plain[2].length > 5)) {
+          const m = priced || plain;
+          current = { itemNum: m[1], description: m[2].trim(), qty: parseInt(m[3], 10), confidence: priced ? 1 : 0.5 };
+          order.items.push(current);
+          continue;
+        }
+        unparsedLines.push(line);
+      }
+      if (order.orderNumber) orders.push(order);
+    }
+    return { orders, unparsedLines };
+  },
+});
+
+// ------------------------------------------------------------------
+// "labelled": one shipment per notice with common labels — the usual
+// carrier/ASN confirmation ("Order #:", "Carrier:", "Tracking #:",
+// "Ship Date:", "ETA:", "Cartons:") and "qty x description" lines
+// ------------------------------------------------------------------
+const GENERIC_LABELS = [
+  /\b(sales\s+)?order\s*(#|no\.?|number)\s*:?/i,
+  /\bcarrier\s*:/i,
+  /\b(tracking|pro|bol)\s*(#|no\.?|number)\s*:?/i,
+  /\bship(ped)?\s+date\s*:/i,
+  /\b(eta|estimated\s+(delivery|arrival)|delivery\s+date)\s*:/i,
+  /\b(cartons?|packages?|pieces|boxes)\s*:/i,
+];
+
+registerShipmentFormat({
+  id: "labelled",
+  label: "Labelled fields (Order #, Carrier, Tracking #, ETA)",
+  detect(text) {
+    const hits = GENERIC_LABELS.filter((re) => re.test(text)).length;
+    return hits >= 2 ? Math.min(0.9, hits * 0.15) : 0;
+  },
+  parse(text) {
+    const order = emptyOrder();
+    const used = new Set();
+    const lines = String(text).split("\n").map((l) => l.trim());
+    const mark = (m) => {
+      if (!m) return;
+      const idx = lines.findIndex((l) => l.includes(m[0].trim()));
+      if (idx >= 0) used.add(idx);
+    };
+
+    mark(take(order, "orderNumber", text, /\b(?:sales\s+)?order\s*(?:#|no\.?|number)\s*:?\s*([A-Z0-9][\w-]{3,})/i, 0.7));
+    mark(take(order, "vendorName", text, /\b(?:vendor|manufacturer|shipper|sold by)\s*:\s*([^\n]+)/i, 0.7));
+    mark(take(order, "shipFrom", text, /\bship(?:ped|ping)?\s+from\s*:\s*([^\n]+)/i, 0.7));
+    mark(take(order, "carrier", text, /\bcarrier\s*:\s*([^\n]+)/i, 0.7));
+    mark(take(order, "tracking", text, /\b(?:tracking|pro|bol)\s*(?:#|no\.?|number)\s*:?\s*([A-Z0-9][\w-]{5,})/i, 0.7));
+    mark(take(order, "arriveStart", text, new RegExp(String.raw`\bship(?:ped)?\s+date\s*:\s*` + DATE, "i"), 0.5));
+    mark(take(order, "arriveEnd", text, new RegExp(String.raw`\b(?:eta|estimated\s+(?:delivery|arrival)(?:\s+date)?|delivery\s+date)\s*:\s*` + DATE, "i"), 0.7));
+    mark(take(order, "cartons", text, /\b(?:cartons?|packages?|pieces|boxes)\s*(?:count)?\s*:\s*(\d+)/i, 0.7, (m) => parseInt(m[1], 10)));
+    mark(take(order, "weight", text, /\b(?:total\s+)?weight\s*:\s*([\d,.]+)/i, 0.7));
+
+    lines.forEach((line, idx) => {
+      if (!line || used.has(idx)) return;
+      const qtyFirst = line.match(/^(\d+)\s*x\s+(.{4,})$/i);
+      const tabular = !qtyFirst && line.match(/^([A-Z0-9][\w-]{2,})\s{2,}(.{4,}?)\s{2,}(\d+)\s*$/i);
+      if (qtyFirst) order.items.push({ itemNum: "", description: qtyFirst[2].trim(), qty: parseInt(qtyFirst[1], 10), confidence: 0.5 });
+      else if (tabular) order.items.push({ itemNum: tabular[1], description: tabular[2].trim(), qty: parseInt(tabular[3], 10), confidence: 0.5 });
+    });
+
+    // A notice with no order number is keyed by its tracking number
+    if (!order.orderNumber && order.tracking) {
+      order.orderNumber = order.tracking;
+      order.confidence.orderNumber = 0.5;
+    }
+    const unparsedLines = lines.filter((l, idx) => l && !used.has(idx) && !order.items.some((it) => l.includes(it.description)));
+    return { orders: order.orderNumber ? [order] : [], unparsedLines };
+  },
+});
+
+// ------------------------------------------------------------------
+// Entry point
+// ------------------------------------------------------------------
+const MAX_UNPARSED = 50;
+// Below this, emailed notices wait for staff review instead of creating
+// shipments (process-inbound-email)
+export const MIN_AUTO_IMPORT_CONFIDENCE = 0.6;
+
+// → { format, confidence, customerPO: {value, confidence}, orders, unparsedLines }
+// Unparsed lines come back so nothing in the notice is silently dropped.
+export function parseShipmentNotice(text, { subject = "", format: formatId = null } = {}) {
+  const body = String(text || "").replace(/\r\n?/g, "\n");
+  const customerPO = findCustomerPO(subject, body);
+  const candidates = formatId ? formats.filter((f) => f.id === formatId) : formats;
+  const ranked = candidates
+    .map((f) => ({ f, score: f.detect(body) }))
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (!ranked.length) {
+    return { format: null, confidence: 0, customerPO, orders: [], unparsedLines: body.split("\n").map((l) => l.trim()).filter(Boolean).slice(0, MAX_UNPARSED) };
+  }
+
+  const { f, score } = ranked[0];
+  const { orders, unparsedLines } = f.parse(body);
+  for (const o of orders) {
+    o.expectedDate = toIsoDate(o.arriveEnd);
+    o.score = scoreOrder(o);
+  }
+  const avg = orders.length ? orders.reduce((acc, o) => acc + o.score, 0) / orders.length : 0;
+  return {
+    format: f.id,
+    confidence: Math.round(score * avg * 100) / 100,
+    customerPO,
+    orders,
+    unparsedLines: unparsedLines.slice(0, MAX_UNPARSED),
+  };
+}
@@ -0,0 +1,49 @@
+// Shared helpers for the Twilio webhooks (/api/twilio-inbound and
+// /api/twilio-status): which org a webhook belongs to, and whether Twilio
+// really sent it.
+
+import crypto from "node:crypto";
+
+// Resolve the org a Twilio webhook belongs to from messaging_config: by
+// Messaging Service SID, else by our sender number (orgs without a service)
+export async function getOrgForMessaging({ supabaseUrl, serviceKey, msSid, number }) {
+  const filters = [];
+  if (msSid) filters.push(`messaging_service_sid=eq.${encodeURIComponent(msSid)}`);
+  if (number) filters.push(`sender_numbers=cs.${encodeURIComponent(`{"${number}"}`)}`);
+  for (const filter of filters) {
+    const resp = await fetch(`${supabaseUrl}/rest/v1/messaging_config?${filter}&enabled=eq.true&select=org_id,orgs(slug)&limit=1`, {
+      headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` },
+    });
+    const rows = resp.ok ? await resp.json().catch(() => []) : [];
+    if (rows.length > 0) return { orgId: rows[0].org_id, slug: rows[0].orgs?.slug || "" };
+  }
+  return null;
+}
+
+// Twilio signs each webhook: HMAC-SHA1 (auth token) over the full URL plus
+// every POST param, sorted by name, as name+value; base64 in X-Twilio-Signature.
+// Orgs on their own Twilio subaccount set TWILIO_AUTH_TOKEN_<SLUG>.
+export function getTwilioAuthToken(orgSlug) {
+  const orgToken = orgSlug ? process.env[`TWILIO_AUTH_TOKEN_${orgSlug.toUpperCase()}`] : "";
+  return orgToken || process.env.TWILIO_AUTH_TOKEN || "";
+}
+
+// The URL Twilio requested (and signed), as configured in the console
+export function getWebhookUrl(req) {
+  const base = process.env.CRM_BASE_URL || `${req.headers["x-forwarded-proto"] || "https"}://${req.headers.host}`;
+  return `${base.replace(/\/$/, "")}${req.url}`;
+}
+
+export function isValidTwilioSignature({ authToken, signature, url, params }) {
+  if (!authToken || !signature) return false;
+  const data = Object.keys(params || {})
+    .sort()
+    .reduce((acc, key) => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+      return acc + values.map((v) => `${key}${v ?? ""}`).join("");
+    }, url);
+  const expected = crypto.createHmac("sha1", authToken).update(Buffer.from(data, "utf-8")).digest("base64");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
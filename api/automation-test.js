@@ -0,0 +1,103 @@
+// API route: POST /api/automation-test
+// Dry-runs an automation from the workflow builder. Triggers the
+// dry-run-automation Trigger.dev task (no SMS/email/webhook/DB side effects,
+// waits skipped) and polls until it finishes, returning the step trace.
+// Auth: a staff session with Settings edit for orgId.
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+const TRIGGER_API = "https://api.trigger.dev";
+const POLL_INTERVAL_MS = 1000;
+const POLL_TIMEOUT_MS = 45000;
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, "POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const triggerApiKey = process.env.TRIGGER_SECRET_KEY;
+
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+  if (!triggerApiKey) return res.status(500).json({ error: "Missing TRIGGER_SECRET_KEY" });
+
+  try {
+    const { orgId, orgSlug, automationId, steps, eventType, entityType, entityId, payload, ai } =
+      typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+
+    if (!orgId || (!automationId && !Array.isArray(steps))) {
+      return res.status(400).json({ error: "Missing required: orgId and automationId or steps" });
+    }
+
+    const auth = await authorizeRequest(req, res, { orgId, permission: ["settings", "edit"] });
+    if (!auth) return;
+
+    // The task loads a saved automation by id alone; it must be this org's
+    if (automationId) {
+      const autoResp = await fetch(`${supabaseUrl}/rest/v1/automations?id=eq.${encodeURIComponent(automationId)}&select=org_id`, {
+        headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` },
+      });
+      const automation = autoResp.ok ? (await autoResp.json().catch(() => []))[0] : null;
+      if (!automation || String(automation.org_id) !== String(orgId)) {
+        return res.status(404).json({ error: "Automation not found" });
+      }
+    }
+
+    const triggerResp = await fetch(`${TRIGGER_API}/api/v1/tasks/dry-run-automation/trigger`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${triggerApiKey}`,
+      },
+      body: JSON.stringify({
+        payload: {
+          orgId,
+          orgSlug: orgSlug || "",
+          automationId: automationId || undefined,
+          steps: Array.isArray(steps) ? steps : undefined,
+          eventType: eventType || undefined,
+          entityType: entityType || undefined,
+          entityId: entityId || undefined,
+          payload: payload || {},
+          ai: ai && typeof ai === "object" ? { enabled: !!ai.enabled, prompt: String(ai.prompt || "") } : undefined,
+        },
+      }),
+    });
+
+    if (!triggerResp.ok) {
+      const errText = await triggerResp.text().catch(() => "");
+      return res.status(502).json({ error: "Trigger.dev call failed", details: errText });
+    }
+    const { id: runId } = await triggerResp.json();
+
+    // Poll the run until it reaches a final state
+    const deadline = Date.now() + POLL_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+      const runResp = await fetch(`${TRIGGER_API}/api/v3/runs/${encodeURIComponent(runId)}`, {
+        headers: { Authorization: `Bearer ${triggerApiKey}` },
+      });
+      if (!runResp.ok) continue;
+      const run = await runResp.json();
+      if (run.status === "COMPLETED") {
+        return res.status(200).json({ ok: true, runId, ...(run.output || {}) });
+      }
+      if (["FAILED", "CRASHED", "CANCELED", "SYSTEM_FAILURE", "EXPIRED", "TIMED_OUT"].includes(run.status)) {
+        return res.status(200).json({
+          ok: false,
+          runId,
+          status: "failed",
+          error: run.error?.message || `Dry run ${String(run.status).toLowerCase()}`,
+          trace: [],
+        });
+      }
+    }
+
+    return res.status(504).json({ error: "Dry run timed out", runId });
+  } catch (e) {
+    console.error("automation-test error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
@@ -1,15 +1,21 @@
+// Proxies CamScanner sync API calls. Staff with Receiving view permission
+// for orgId only (?orgId=...&endpoint=...).
+
+import { applyCors, authorizeRequest } from './_lib/auth.js';
+
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (!applyCors(req, res, 'GET, POST, OPTIONS')) return res.status(403).json({ error: 'Origin not allowed' });
   if (req.method === 'OPTIONS') return res.status(200).end();
 
+  const { endpoint, orgId, ...params } = req.query;
+  if (!orgId) return res.status(400).json({ error: 'Missing orgId parameter' });
+  const auth = await authorizeRequest(req, res, { orgId, permission: ['receiving', 'view'] });
+  if (!auth) return;
+
   const CS_TOKEN = process.env.CAMSCANNER_TOKEN || '200DA51E906A4370ay6Tg9SX';
   const CS_BASE = process.env.CAMSCANNER_BASE || 'https://d82.intsig.net/sync/';
   const CS_DEVICE = process.env.CAMSCANNER_DEVICE || 'WB_s0xls1mk5u';
 
-  const { endpoint, ...params } = req.query;
   if (!endpoint) return res.status(400).json({ error: 'Missing endpoint parameter' });
 
   // Build the CamScanner API URL
@@ -26,13 +32,13 @@ export default async function handler(req, res) {
 
     if (contentType.includes('image')) {
       res.setHeader('Content-Type', contentType);
-      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.setHeader('Cache-Control', 'private, max-age=86400');
       const buffer = await csResp.arrayBuffer();
       return res.send(Buffer.from(buffer));
     }
 
     const data = await csResp.json();
-    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.setHeader('Cache-Control', 'private, max-age=60');
     return res.status(200).json(data);
   } catch (e) {
     console.error('CamScanner proxy error:', e);
@@ -0,0 +1,72 @@
+// API route: /api/documents/quote/:id and /api/documents/completion/:id
+// Renders a quote or a project_completions sign-off certificate as a PDF
+// with the org's logo and terms (see _lib/documents.js).
+//
+//   GET  ?orgId=         the PDF (inline; &download=1 for an attachment)
+//   POST ?orgId=         store it in the documents bucket and return
+//                        { ok, name, path, url, expiresAt }; url is a signed
+//                        Storage URL that /api/send-email can attach
+//
+// Auth: a staff session with Projects view for orgId, or the service role
+// key (the workflow runner's send_email documents). The record must belong
+// to orgId for every caller: automation configs name documents by id.
+// A quote's signer IP is only printed on the staff GET.
+
+import { applyCors, authorizeRequest } from "../../_lib/auth.js";
+import {
+  loadCompletionDocument,
+  loadQuoteDocument,
+  renderCompletionPdf,
+  renderQuotePdf,
+  storeDocument,
+} from "../../_lib/documents.js";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+
+const DOCUMENT_TYPES = {
+  quote: { load: (ctx, id) => loadQuoteDocument({ ...ctx, quoteId: id }), render: renderQuotePdf },
+  completion: { load: (ctx, id) => loadCompletionDocument({ ...ctx, completionId: id }), render: renderCompletionPdf },
+};
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, "GET, POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+
+  const type = DOCUMENT_TYPES[String(req.query.type || "")];
+  if (!type) return res.status(404).json({ error: "Unknown document type" });
+  const id = Number(req.query.id);
+  if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: "Invalid id" });
+  const orgId = String(req.query.orgId || "");
+  if (!orgId) return res.status(400).json({ error: "Missing required: orgId" });
+
+  try {
+    const auth = await authorizeRequest(req, res, { orgId, permission: ["projects", "view"] });
+    if (!auth) return;
+
+    const doc = await type.load({ supabaseUrl, serviceKey }, id);
+    if (!doc || String(doc.orgId) !== orgId) return res.status(404).json({ error: "Not found" });
+
+    // Only a staff member viewing the PDF sees the signer IP; stored copies
+    // get emailed to clients
+    const pdf = await type.render(doc, { includeSignerIp: !auth.service && req.method === "GET" });
+
+    if (req.method === "POST") {
+      const stored = await storeDocument({ supabaseUrl, serviceKey, path: doc.storagePath, pdf });
+      return res.status(200).json({ ok: true, name: doc.fileName, ...stored });
+    }
+
+    const disposition = req.query.download ? "attachment" : "inline";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `${disposition}; filename="${doc.fileName}"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    return res.status(200).send(pdf);
+  } catch (e) {
+    console.error("documents error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
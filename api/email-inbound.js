@@ -0,0 +1,72 @@
+// API route: POST /api/email-inbound
+// Microsoft Graph change-notification webhook for the org mailboxes in
+// email_config (subscriptions are created and renewed by the
+// renew-mail-subscriptions Trigger.dev task).
+// Checks each notification's clientState and queues the
+// process-inbound-email task, which fetches the mail, stores it, imports
+// shipment notices and emits email.received.
+//
+// Graph expects a reply within a few seconds and retries otherwise, so
+// nothing else happens here. The task is queued with an idempotency key
+// per subscription + message, and the task itself is safe to re-run for
+// the same message.
+
+import crypto from "node:crypto";
+
+// Graph echoes the clientState we set on the subscription in every notification
+function isValidClientState(clientState) {
+  const secret = process.env.GRAPH_WEBHOOK_SECRET || "";
+  const a = Buffer.from(String(clientState || ""));
+  const b = Buffer.from(secret);
+  return !!secret && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function queueInboundEmail({ subscriptionId, messageId }) {
+  const resp = await fetch("https://api.trigger.dev/api/v1/tasks/process-inbound-email/trigger", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${process.env.TRIGGER_SECRET_KEY}`,
+    },
+    body: JSON.stringify({
+      payload: { subscriptionId, messageId },
+      options: { idempotencyKey: `email-${subscriptionId}-${messageId}` },
+    }),
+  });
+  if (!resp.ok) throw new Error(`Trigger.dev ${resp.status}: ${await resp.text().catch(() => "")}`);
+}
+
+export default async function handler(req, res) {
+  // Subscription handshake: echo the token back as plain text
+  if (req.query?.validationToken) {
+    res.setHeader("Content-Type", "text/plain");
+    return res.status(200).send(String(req.query.validationToken));
+  }
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+  if (!process.env.TRIGGER_SECRET_KEY) {
+    console.error("Missing TRIGGER_SECRET_KEY");
+    return res.status(500).json({ error: "Server configuration error" });
+  }
+
+  const notifications = Array.isArray(req.body?.value) ? req.body.value : [];
+  let queued = 0;
+
+  for (const n of notifications) {
+    if (!isValidClientState(n.clientState)) {
+      console.warn("email-inbound: invalid clientState, ignored", { subscriptionId: n.subscriptionId });
+      continue;
+    }
+    if (n.changeType !== "created" || !n.subscriptionId || !n.resourceData?.id) continue;
+
+    try {
+      await queueInboundEmail({ subscriptionId: String(n.subscriptionId), messageId: String(n.resourceData.id) });
+      queued++;
+    } catch (e) {
+      // Let Graph redeliver; notifications already queued are deduped by key
+      console.error("email-inbound: queueing failed:", e.message);
+      return res.status(503).json({ error: "Could not queue notification" });
+    }
+  }
+
+  return res.status(202).json({ ok: true, queued });
+}
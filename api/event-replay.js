@@ -0,0 +1,155 @@
+// API route: POST /api/event-replay
+// Re-dispatches workflow_events to the Trigger.dev workflow runner so ops
+// can recover from outages.
+//   { eventId }                                   → replay one event
+//   { orgId, from, to, eventType?, includeProcessed? } → replay a time range
+// A range only replays unprocessed events unless includeProcessed is true.
+// Auth: staff with Settings edit for the event's org, or the service role key.
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+const MAX_RANGE_EVENTS = 500;
+
+async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
+  const url = `${supabaseUrl}${path}`;
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      "Content-Type": "application/json",
+      ...(headers || {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+async function dispatchEvent({ triggerApiKey, event, orgSlug }) {
+  const resp = await fetch("https://api.trigger.dev/api/v1/tasks/process-crm-event/trigger", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${triggerApiKey}`,
+    },
+    body: JSON.stringify({
+      payload: {
+        eventId: event.id,
+        orgId: event.org_id,
+        orgSlug: orgSlug || "",
+        eventType: event.event_type,
+        entityType: event.entity_type,
+        entityId: event.entity_id || "",
+        payload: event.payload || {},
+      },
+      // A replay is deliberate, so it gets its own key (not event-<id>)
+      options: { idempotencyKey: `replay-${event.id}-${Date.now()}` },
+    }),
+  });
+  if (!resp.ok) {
+    const errText = await resp.text().catch(() => "");
+    return { ok: false, error: errText || `HTTP ${resp.status}` };
+  }
+  const json = await resp.json().catch(() => ({}));
+  return { ok: true, runId: json.id };
+}
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, "POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const triggerApiKey = process.env.TRIGGER_SECRET_KEY;
+
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+  if (!triggerApiKey) return res.status(500).json({ error: "Missing TRIGGER_SECRET_KEY" });
+
+  try {
+    const { eventId, orgId, from, to, eventType, includeProcessed } =
+      typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+
+    let path;
+    let auth = null;
+    if (eventId) {
+      path = `/rest/v1/workflow_events?id=eq.${encodeURIComponent(eventId)}&select=*`;
+    } else {
+      if (!orgId || !from || !to) {
+        return res.status(400).json({ error: "Provide eventId, or orgId + from + to" });
+      }
+      const fromTs = new Date(from);
+      const toTs = new Date(to);
+      if (isNaN(fromTs.getTime()) || isNaN(toTs.getTime()) || fromTs >= toTs) {
+        return res.status(400).json({ error: "Invalid from/to range" });
+      }
+      auth = await authorizeRequest(req, res, { orgId, permission: ["settings", "edit"] });
+      if (!auth) return;
+      path =
+        `/rest/v1/workflow_events?org_id=eq.${encodeURIComponent(orgId)}` +
+        `&created_at=gte.${encodeURIComponent(fromTs.toISOString())}` +
+        `&created_at=lt.${encodeURIComponent(toTs.toISOString())}` +
+        (eventType ? `&event_type=eq.${encodeURIComponent(eventType)}` : "") +
+        (includeProcessed ? "" : "&processed_at=is.null") +
+        `&order=created_at.asc&limit=${MAX_RANGE_EVENTS + 1}&select=*`;
+    }
+
+    const eventsResp = await sbRest({ supabaseUrl, serviceKey, path, method: "GET" });
+    if (!eventsResp.ok) return res.status(500).json({ error: "Supabase error", details: eventsResp.text });
+    const events = eventsResp.json || [];
+
+    if (eventId && events.length === 0) return res.status(404).json({ error: "Event not found" });
+    // A single event is authorized against the org it belongs to
+    if (eventId) {
+      auth = await authorizeRequest(req, res, { orgId: events[0].org_id, permission: ["settings", "edit"] });
+      if (!auth) return;
+    }
+    if (events.length > MAX_RANGE_EVENTS) {
+      return res.status(400).json({ error: `Range matches more than ${MAX_RANGE_EVENTS} events; narrow it` });
+    }
+
+    const orgSlugs = {};
+    const results = [];
+    for (const event of events) {
+      if (!(event.org_id in orgSlugs)) {
+        const orgResp = await sbRest({
+          supabaseUrl,
+          serviceKey,
+          path: `/rest/v1/orgs?id=eq.${encodeURIComponent(event.org_id)}&select=slug`,
+          method: "GET",
+        });
+        orgSlugs[event.org_id] = (orgResp.json || [])[0]?.slug || "";
+      }
+
+      const result = await dispatchEvent({ triggerApiKey, event, orgSlug: orgSlugs[event.org_id] });
+      results.push({ eventId: event.id, ...result });
+
+      await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/workflow_events?id=eq.${encodeURIComponent(event.id)}`,
+        method: "PATCH",
+        body: result.ok
+          ? { dispatched_at: new Date().toISOString(), dispatch_attempts: (event.dispatch_attempts || 0) + 1, last_dispatch_error: null }
+          : { dispatch_attempts: (event.dispatch_attempts || 0) + 1, last_dispatch_error: result.error },
+        headers: { Prefer: "return=minimal" },
+      });
+    }
+
+    console.log("Event replay:", { user: auth.service ? "service" : auth.user.email, eventId, orgId, from, to, count: results.length });
+
+    return res.status(200).json({
+      ok: true,
+      replayed: results.filter((r) => r.ok).length,
+      failed: results.filter((r) => !r.ok).length,
+      results,
+    });
+  } catch (e) {
+    console.error("event-replay error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
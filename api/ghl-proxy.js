@@ -1,9 +1,31 @@
 // API route: POST /api/ghl-proxy
 // Proxies requests to GoHighLevel API v1 with per-org auth.
 // Reads ghl_config from Supabase to get the API key for the requesting org.
+// Staff only, for their own org, with Settings edit permission.
+//
+// Only calls matching the org's ghl_config.proxy_allowlist go through, one
+// "METHOD path-pattern" rule per entry ("*" = one path segment, "**" = the
+// rest), e.g. ["GET pipelines/**", "PUT contacts/*"]. Without a list the
+// proxy is read-only (DEFAULT_ALLOWLIST). Rules match the percent-decoded
+// path and the GHL URL is rebuilt from it, so encoded dot segments can't
+// reach a path the rule didn't allow. Every call, allowed or not, is
+// written to ghl_proxy_audit, which also backs the per-org rate limit
+// (ghl_config.proxy_rate_limit calls per minute).
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
 
 const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
 const GHL_BASE = "https://rest.gohighlevel.com/v1";
+const ALLOWED_METHODS = ["GET", "POST", "PUT", "DELETE"];
+const DEFAULT_ALLOWLIST = [
+  "GET pipelines/**",
+  "GET contacts/**",
+  "GET custom-fields/**",
+  "GET workflows/**",
+  "GET users/**",
+  "GET calendars/**",
+];
+const DEFAULT_RATE_LIMIT = 60; // proxied calls per org per minute
 
 async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
   const url = `${supabaseUrl}${path}`;
@@ -23,10 +45,103 @@ async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers })
   return { ok: resp.ok, status: resp.status, json, text };
 }
 
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "GET pipelines/*/opportunities" → { method, regex }. "**" only as the
+// last segment.
+function parseRule(rule) {
+  const [method, pattern] = String(rule || "").trim().split(/\s+/);
+  if (!method || !pattern) return null;
+  const segs = pattern.replace(/^\/+|\/+$/g, "").split("/");
+  const rest = segs[segs.length - 1] === "**";
+  if (rest) segs.pop();
+  const source = segs.map((seg) => seg.split("*").map(escapeRegex).join("[^/]*")).join("/");
+  return { method: method.toUpperCase(), regex: new RegExp(`^${source}${rest ? "(?:/.*)?" : ""}$`) };
+}
+
+// "contacts/abc%20d?limit=5" → { path: "contacts/abc d", url: "contacts/abc%20d?limit=5" }.
+// null for anything that could leave the API path: absolute URLs, empty,
+// "." or ".." segments (encoded or not; fetch would resolve them) and
+// encoded slashes or backslashes.
+export function resolveEndpoint(endpoint) {
+  const raw = String(endpoint || "");
+  const q = raw.indexOf("?");
+  const rawPath = q >= 0 ? raw.slice(0, q) : raw;
+  const query = q >= 0 ? new URLSearchParams(raw.slice(q + 1)).toString() : "";
+  if (/^[a-z][a-z0-9+.-]*:/i.test(rawPath) || rawPath.includes("\\")) return null;
+  const segments = [];
+  for (const seg of rawPath.replace(/^\/+|\/+$/g, "").split("/")) {
+    let decoded;
+    try { decoded = decodeURIComponent(seg); } catch (_) { return null; }
+    if (!decoded || decoded === "." || decoded === ".." || /[/\\\u0000-\u001f]/.test(decoded)) return null;
+    segments.push(decoded);
+  }
+  return {
+    path: segments.join("/"),
+    url: segments.map(encodeURIComponent).join("/") + (query ? `?${query}` : ""),
+  };
+}
+
+export function isAllowed(allowlist, method, path) {
+  return allowlist.some((rule) => {
+    const r = parseRule(rule);
+    return r && (r.method === "*" || r.method === method) && r.regex.test(path);
+  });
+}
+
+async function writeAudit({ supabaseUrl, serviceKey, entry }) {
+  await sbRest({
+    supabaseUrl, serviceKey,
+    path: "/rest/v1/ghl_proxy_audit",
+    method: "POST",
+    body: entry,
+    headers: { Prefer: "return=minimal" },
+  }).catch((e) => console.error("ghl-proxy: audit write failed:", e.message));
+}
+
+// Reserves one of the org's limit calls per minute: the audit row goes in
+// before the call is forwarded and is counted with every allowed row before
+// it, so a burst of concurrent calls can't all pass. Returns the row id, or
+// null when over the limit (the row is then marked rate limited). Counted
+// per proxied call, not per attempt: the 429 retries below don't add to it.
+async function reserveCall({ supabaseUrl, serviceKey, audit, limit }) {
+  const ins = await sbRest({
+    supabaseUrl, serviceKey,
+    path: "/rest/v1/ghl_proxy_audit",
+    method: "POST",
+    body: { ...audit, allowed: true },
+    headers: { Prefer: "return=representation" },
+  });
+  const id = (ins.json || [])[0]?.id;
+  if (!ins.ok || !id) throw new Error(`ghl_proxy_audit insert failed: ${ins.text}`);
+
+  const since = new Date(Date.now() - 60000).toISOString();
+  const resp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/ghl_proxy_audit?org_id=eq.${encodeURIComponent(audit.org_id)}&allowed=eq.true&created_at=gte.${encodeURIComponent(since)}&id=lte.${id}&select=id&limit=${limit + 1}`,
+    method: "GET",
+  });
+  if (!resp.ok) throw new Error(`ghl_proxy_audit count failed: ${resp.text}`);
+  if ((resp.json || []).length <= limit) return id;
+
+  await updateAudit({ supabaseUrl, serviceKey, id, fields: { allowed: false, status: 429, duration_ms: 0, error: "rate limited" } });
+  return null;
+}
+
+async function updateAudit({ supabaseUrl, serviceKey, id, fields }) {
+  await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/ghl_proxy_audit?id=eq.${encodeURIComponent(id)}`,
+    method: "PATCH",
+    body: fields,
+    headers: { Prefer: "return=minimal" },
+  }).catch((e) => console.error("ghl-proxy: audit update failed:", e.message));
+}
+
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (!applyCors(req, res, "GET, POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
   if (req.method === "OPTIONS") return res.status(200).end();
 
   const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
@@ -40,6 +155,9 @@ export default async function handler(req, res) {
     if (!org_id || !endpoint) {
       return res.status(400).json({ error: "org_id and endpoint are required" });
     }
+    const auth = await authorizeRequest(req, res, { orgId: org_id, permission: ["settings", "edit"] });
+    if (!auth) return;
+
     // Fetch GHL config for this org from Supabase
     const cfgResp = await sbRest({
       supabaseUrl, serviceKey,
@@ -56,8 +174,33 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "GHL API key not set for org: " + org_id });
     }
 
+    const httpMethod = String(method).toUpperCase();
+    const resolved = resolveEndpoint(endpoint);
+    const path = resolved ? resolved.path : String(endpoint).split("?")[0];
+    const audit = {
+      org_id,
+      user_id: auth.user?.id || null,
+      user_email: auth.service ? "service" : (auth.user?.email || null),
+      method: httpMethod,
+      endpoint: String(endpoint).slice(0, 500),
+    };
+
+    // Only relative GHL paths, only methods the org has allowed
+    const allowlist = Array.isArray(config.proxy_allowlist) && config.proxy_allowlist.length ? config.proxy_allowlist : DEFAULT_ALLOWLIST;
+    if (!ALLOWED_METHODS.includes(httpMethod) || !resolved || !isAllowed(allowlist, httpMethod, resolved.path)) {
+      await writeAudit({ supabaseUrl, serviceKey, entry: { ...audit, allowed: false, status: 403, duration_ms: 0, error: "not in allowlist" } });
+      return res.status(403).json({ error: "GHL endpoint not allowed", details: `${httpMethod} ${path}` });
+    }
+
+    const rateLimit = Number(config.proxy_rate_limit) > 0 ? Number(config.proxy_rate_limit) : DEFAULT_RATE_LIMIT;
+    const auditId = await reserveCall({ supabaseUrl, serviceKey, audit, limit: rateLimit });
+    if (!auditId) {
+      res.setHeader("Retry-After", "60");
+      return res.status(429).json({ error: "Too many GHL requests", details: `Limit is ${rateLimit} per minute` });
+    }
+
     // Build GHL API request
-    const ghlUrl = `${GHL_BASE}/${endpoint.replace(/^\//, "")}`;
+    const ghlUrl = `${GHL_BASE}/${resolved.url}`;
     const ghlHeaders = {
       Authorization: `Bearer ${config.ghl_api_key}`,
       Version: config.api_version || "2021-04-15",
@@ -65,12 +208,13 @@ export default async function handler(req, res) {
       Accept: "application/json",
     };
 
-    const fetchOpts = { method, headers: ghlHeaders };
-    if (body && method !== "GET") {
+    const fetchOpts = { method: httpMethod, headers: ghlHeaders };
+    if (body && httpMethod !== "GET") {
       fetchOpts.body = JSON.stringify(body);
     }
 
     // Call GHL API with retry for rate limits (429)
+    const started = Date.now();
     let ghlRes;
     for (let attempt = 0; attempt <= 3; attempt++) {
       ghlRes = await fetch(ghlUrl, fetchOpts);
@@ -85,6 +229,16 @@ export default async function handler(req, res) {
     let ghlData;
     try { ghlData = JSON.parse(ghlText); } catch (_) { ghlData = { raw: ghlText }; }
 
+    await updateAudit({
+      supabaseUrl, serviceKey,
+      id: auditId,
+      fields: {
+        status: ghlRes.status,
+        duration_ms: Date.now() - started,
+        error: ghlRes.ok ? null : ghlText.slice(0, 500),
+      },
+    });
+
     if (!ghlRes.ok) {
       return res.status(ghlRes.status).json({
         error: "GHL API error",
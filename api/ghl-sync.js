@@ -1,6 +1,12 @@
 // API route: POST /api/ghl-sync
 // Orchestrates syncing data from GoHighLevel into the CRM.
 // Supports: workflows, contacts, pipelines, opportunities, custom_fields
+// Contacts and opportunities are queued (202 + runId, progress in
+// ghl_sync_log); pass full: true to re-read everything instead of only
+// records changed since the last completed sync.
+// Staff only, for their own org, with Settings edit permission.
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
 
 const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
 const GHL_BASE = "https://rest.gohighlevel.com/v1";
@@ -45,10 +51,26 @@ async function ghlFetch(apiKey, apiVersion, endpoint) {
   try { return JSON.parse(text); } catch (_) { return {}; }
 }
 
+// Contacts and opportunities run as the resumable ghl-sync Trigger.dev task
+// (checkpointed in ghl_sync_log); one run per org + type at a time
+async function queueGhlSync(org_id, sync_type, full) {
+  const triggerApiKey = process.env.TRIGGER_SECRET_KEY;
+  if (!triggerApiKey) throw new Error("TRIGGER_SECRET_KEY not configured");
+  const resp = await fetch("https://api.trigger.dev/api/v1/tasks/ghl-sync/trigger", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${triggerApiKey}` },
+    body: JSON.stringify({
+      payload: { orgId: org_id, syncType: sync_type, full: !!full },
+      options: { concurrencyKey: `${org_id}:${sync_type}` },
+    }),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`Could not queue ${sync_type} sync (${resp.status})`);
+  return data.id || null;
+}
+
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (!applyCors(req, res, "POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
   if (req.method === "OPTIONS") return res.status(200).end();
   if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
 
@@ -56,7 +78,7 @@ export default async function handler(req, res) {
   const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
   if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
   try {
-    const { org_id, sync_type } =
+    const { org_id, sync_type, full } =
       typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
     if (!org_id || !sync_type) {
       return res.status(400).json({ error: "org_id and sync_type required" });
@@ -65,6 +87,8 @@ export default async function handler(req, res) {
     if (!validTypes.includes(sync_type)) {
       return res.status(400).json({ error: "Invalid sync_type. Valid: " + validTypes.join(", ") });
     }
+    const auth = await authorizeRequest(req, res, { orgId: org_id, permission: ["settings", "edit"] });
+    if (!auth) return;
 
     const cfgResp = await sbRest({
       supabaseUrl, serviceKey,
@@ -76,6 +100,11 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "GHL not configured for org: " + org_id });
     }
 
+    if (sync_type === "contacts" || sync_type === "opportunities") {
+      const runId = await queueGhlSync(org_id, sync_type, full);
+      return res.status(202).json({ success: true, queued: true, sync_type, runId });
+    }
+
     const logResp = await sbRest({
       supabaseUrl, serviceKey, path: "/rest/v1/ghl_sync_log", method: "POST",
       body: { org_id, sync_type, status: "running" },
@@ -86,9 +115,7 @@ export default async function handler(req, res) {
 
     try {
       if (sync_type === "workflows") recordsSynced = await syncWorkflows(supabaseUrl, serviceKey, config, org_id);
-      else if (sync_type === "contacts") recordsSynced = await syncContacts(supabaseUrl, serviceKey, config, org_id);
       else if (sync_type === "pipelines") recordsSynced = await syncPipelines(supabaseUrl, serviceKey, config, org_id);
-      else if (sync_type === "opportunities") recordsSynced = await syncOpportunities(supabaseUrl, serviceKey, config, org_id);
       else if (sync_type === "custom_fields") recordsSynced = await syncCustomFields(supabaseUrl, serviceKey, config, org_id);
 
       if (logId) {
@@ -123,7 +150,7 @@ async function syncWorkflows(supabaseUrl, serviceKey, config, org_id) {
   const workflows = data.workflows || [];
   let count = 0;
   for (const wf of workflows) {
-    await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map", method: "POST",
+    await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map?on_conflict=org_id,entity_type,ghl_id", method: "POST",
       body: { org_id, entity_type: "workflow", ghl_id: wf.id, ghl_data: wf, synced_at: new Date().toISOString() },
       headers: { Prefer: "resolution=merge-duplicates" },
     });
@@ -151,33 +178,13 @@ async function syncWorkflows(supabaseUrl, serviceKey, config, org_id) {
   return count;
 }
 
-// --- Sync: Contacts ---
-async function syncContacts(supabaseUrl, serviceKey, config, org_id) {
-  let count = 0, hasMore = true, afterId = null;
-  while (hasMore) {
-    let ep = 'contacts/?limit=100';
-    if (afterId) ep += `&startAfterId=${afterId}`;
-    const data = await ghlFetch(config.ghl_api_key, config.api_version, ep);
-    const contacts = data.contacts || [];
-    for (const c of contacts) {
-      await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map", method: "POST",
-        body: { org_id, entity_type: "contact", ghl_id: c.id, ghl_data: c, synced_at: new Date().toISOString() },
-        headers: { Prefer: "resolution=merge-duplicates" },
-      });
-      count++;
-    }
-    hasMore = contacts.length >= 100 && !!data.meta?.nextPageUrl;
-    if (hasMore) afterId = contacts[contacts.length - 1].id;
-  }
-  return count;
-}
 // --- Sync: Pipelines ---
 async function syncPipelines(supabaseUrl, serviceKey, config, org_id) {
   const data = await ghlFetch(config.ghl_api_key, config.api_version,
     'pipelines/');
   let count = 0;
   for (const p of (data.pipelines || [])) {
-    await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map", method: "POST",
+    await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map?on_conflict=org_id,entity_type,ghl_id", method: "POST",
       body: { org_id, entity_type: "pipeline", ghl_id: p.id, ghl_data: p, synced_at: new Date().toISOString() },
       headers: { Prefer: "resolution=merge-duplicates" },
     });
@@ -186,38 +193,13 @@ async function syncPipelines(supabaseUrl, serviceKey, config, org_id) {
   return count;
 }
 
-// --- Sync: Opportunities ---
-async function syncOpportunities(supabaseUrl, serviceKey, config, org_id) {
-  let count = 0;
-  const pData = await ghlFetch(config.ghl_api_key, config.api_version,
-    'pipelines/');
-  for (const pipeline of (pData.pipelines || [])) {
-    let page = 1, hasMore = true;
-    while (hasMore) {
-      const data = await ghlFetch(config.ghl_api_key, config.api_version,
-        `pipelines/${pipeline.id}/opportunities`);
-      const opps = data.opportunities || [];
-      for (const o of opps) {
-        await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map", method: "POST",
-          body: { org_id, entity_type: "opportunity", ghl_id: o.id, ghl_data: o, synced_at: new Date().toISOString() },
-          headers: { Prefer: "resolution=merge-duplicates" },
-        });
-        count++;
-      }
-      hasMore = opps.length >= 100;
-      page++;
-    }
-  }
-  return count;
-}
-
 // --- Sync: Custom Fields ---
 async function syncCustomFields(supabaseUrl, serviceKey, config, org_id) {
   const data = await ghlFetch(config.ghl_api_key, config.api_version,
     'custom-fields/');
   let count = 0;
   for (const f of (data.customFields || [])) {
-    await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map", method: "POST",
+    await sbRest({ supabaseUrl, serviceKey, path: "/rest/v1/ghl_entity_map?on_conflict=org_id,entity_type,ghl_id", method: "POST",
       body: { org_id, entity_type: "custom_field", ghl_id: f.id, ghl_data: f, synced_at: new Date().toISOString() },
       headers: { Prefer: "resolution=merge-duplicates" },
     });
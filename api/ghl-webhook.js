@@ -0,0 +1,202 @@
+// API route: POST /api/ghl-webhook
+// Receives GoHighLevel contact and opportunity webhooks (ContactCreate,
+// ContactUpdate, ContactDelete, OpportunityCreate, OpportunityStageUpdate,
+// OpportunityStatusUpdate, OpportunityUpdate, OpportunityDelete, ...).
+// Stores the change in ghl_entity_map, queues the ghl-apply task so it
+// reaches clients, people and projects within seconds, and emits
+// pipeline.stage_changed when an opportunity moves stage.
+//
+// The org comes from the payload's locationId; the X-GHL-Webhook-Secret
+// header must match that org's webhook_secret. Not the query string: URLs
+// end up in access logs. GHL delivers out of order and retries, so a
+// payload older than the stored dateUpdated is acknowledged and dropped.
+
+import crypto from "node:crypto";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+// Same window as isGhlEcho in trigger/src/lib/ghl.ts
+const ECHO_WINDOW_MS = 10 * 60 * 1000;
+
+async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
+  const url = `${supabaseUrl}${path}`;
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      "Content-Type": "application/json",
+      ...(headers || {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ab.length > 0 && ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// "OpportunityStageUpdate" → { entityType: "opportunity", deleted: false }
+function classifyEvent(type) {
+  const t = String(type || "");
+  if (t.startsWith("Contact")) return { entityType: "contact", deleted: t === "ContactDelete" };
+  if (t.startsWith("Opportunity")) return { entityType: "opportunity", deleted: t === "OpportunityDelete" };
+  return null;
+}
+
+// GHL's last-modified time of a payload or stored record (ms), or null
+function updatedAt(data) {
+  const t = Date.parse(data?.dateUpdated || data?.updatedAt || "");
+  return Number.isNaN(t) ? null : t;
+}
+
+// Webhook payloads are flat; keep the shape the sync stores (contact: { id })
+function toGhlData(entityType, payload, previous) {
+  const { type, locationId, ...data } = payload;
+  const merged = { ...(previous || {}), ...data };
+  if (entityType === "opportunity" && payload.contactId) {
+    merged.contact = { ...((previous || {}).contact || {}), id: payload.contactId };
+  }
+  return merged;
+}
+
+async function queueGhlApply(orgId) {
+  const triggerApiKey = process.env.TRIGGER_SECRET_KEY;
+  if (!triggerApiKey) return;
+  const resp = await fetch("https://api.trigger.dev/api/v1/tasks/ghl-apply/trigger", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${triggerApiKey}` },
+    body: JSON.stringify({ payload: { orgId }, options: { concurrencyKey: String(orgId) } }),
+  }).catch((e) => ({ ok: false, status: e.message }));
+  if (!resp.ok) console.error("ghl-webhook: could not queue ghl-apply:", resp.status);
+}
+
+async function stageName({ supabaseUrl, serviceKey, orgId, pipelineId, stageId }) {
+  if (!pipelineId || !stageId) return null;
+  const resp = await sbRest({
+    supabaseUrl,
+    serviceKey,
+    path: `/rest/v1/ghl_entity_map?org_id=eq.${encodeURIComponent(orgId)}&entity_type=eq.pipeline&ghl_id=eq.${encodeURIComponent(pipelineId)}&select=ghl_data`,
+    method: "GET",
+  });
+  const stages = (resp.json || [])[0]?.ghl_data?.stages || [];
+  return stages.find((s) => s.id === stageId)?.name || null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+
+  try {
+    const payload = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const kind = classifyEvent(payload.type);
+    if (!kind || !payload.id) return res.status(200).json({ ok: true, ignored: payload.type || "unknown" });
+    if (!payload.locationId) return res.status(400).json({ error: "Missing locationId" });
+
+    const cfgResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/ghl_config?ghl_location_id=eq.${encodeURIComponent(payload.locationId)}&select=org_id,webhook_secret,pull_settings&limit=1`,
+      method: "GET",
+    });
+    const config = (cfgResp.json || [])[0];
+    const secret = req.headers["x-ghl-webhook-secret"];
+    if (!config || !config.webhook_secret || !safeEqual(secret, config.webhook_secret)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    const orgId = config.org_id;
+
+    const existingResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/ghl_entity_map?org_id=eq.${encodeURIComponent(orgId)}&entity_type=eq.${kind.entityType}&ghl_id=eq.${encodeURIComponent(payload.id)}&select=*`,
+      method: "GET",
+    });
+    const existing = (existingResp.json || [])[0] || null;
+    const incomingAt = updatedAt(payload);
+    const storedAt = updatedAt(existing?.ghl_data);
+    if (incomingAt !== null && storedAt !== null && incomingAt < storedAt) {
+      return res.status(200).json({ ok: true, ignored: "stale", entityType: kind.entityType });
+    }
+    const ghlData = toGhlData(kind.entityType, payload, existing?.ghl_data);
+    if (kind.deleted) ghlData.deleted = true;
+
+    const saveResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: "/rest/v1/ghl_entity_map?on_conflict=org_id,entity_type,ghl_id",
+      method: "POST",
+      body: {
+        org_id: orgId,
+        entity_type: kind.entityType,
+        ghl_id: String(payload.id),
+        ghl_data: ghlData,
+        // Deletions are recorded, never applied: CRM records stay
+        needs_apply: !kind.deleted,
+        synced_at: new Date().toISOString(),
+      },
+      headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+    });
+    if (!saveResp.ok) return res.status(500).json({ error: "Failed to store GHL change", details: saveResp.text });
+
+    // Stage moves become pipeline.stage_changed, except our own pushes
+    // coming back from GHL (ghl-push records what it sent)
+    let eventEmitted = false;
+    const fromStageId = existing?.ghl_data?.pipelineStageId || null;
+    const toStageId = payload.pipelineStageId || null;
+    if (kind.entityType === "opportunity" && toStageId && toStageId !== fromStageId) {
+      const pushedAt = existing?.last_pushed_at ? new Date(existing.last_pushed_at).getTime() : 0;
+      const isEcho = existing?.last_pushed_payload?.pipelineStageId === toStageId && Date.now() - pushedAt < ECHO_WINDOW_MS;
+      if (!isEcho) {
+        const projectId = existing?.crm_entity_type === "project" ? existing.crm_entity_id : null;
+        const pipelineId = payload.pipelineId || ghlData.pipelineId || null;
+        const baseUrl = process.env.CRM_BASE_URL || `https://${req.headers.host}`;
+        try {
+          const resp = await fetch(`${baseUrl}/api/trigger-event`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: `Bearer ${serviceKey}` },
+            body: JSON.stringify({
+              orgId,
+              eventType: "pipeline.stage_changed",
+              entityType: projectId ? "project" : "opportunity",
+              entityId: projectId || payload.id,
+              // GHL retries webhooks; the same move is only emitted once
+              idempotencyKey: `ghl-stage-${payload.id}-${fromStageId || "none"}-${toStageId}-${payload.dateUpdated || payload.updatedAt || ""}`,
+              payload: {
+                triggerValue: toStageId,
+                opportunityId: payload.id,
+                pipelineId,
+                fromStageId,
+                toStageId,
+                stageName: await stageName({ supabaseUrl, serviceKey, orgId, pipelineId, stageId: toStageId }),
+                status: ghlData.status || null,
+                name: ghlData.name || null,
+                projectId,
+                ghlContactId: ghlData.contact?.id || null,
+              },
+            }),
+          });
+          eventEmitted = resp.ok;
+          if (!resp.ok) console.error("ghl-webhook: trigger-event failed:", resp.status);
+        } catch (err) {
+          console.error("ghl-webhook: trigger-event error:", err.message);
+        }
+      }
+    }
+
+    if (!kind.deleted && config.pull_settings?.enabled) await queueGhlApply(orgId);
+
+    return res.status(200).json({ ok: true, entityType: kind.entityType, eventEmitted });
+  } catch (e) {
+    console.error("ghl-webhook error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
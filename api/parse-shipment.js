@@ -0,0 +1,52 @@
+// API route: POST /api/parse-shipment
+// Parses a pasted vendor shipment notice (Upload Shipment List) with the same
+// parser the process-inbound-email task uses for incoming mail (it calls
+// this route with the service key).
+//   { orgId, text, subject?, format? }  → { format, confidence, customerPO, orders, unparsedLines, formats,
+//                                           notice, minAutoImportConfidence }
+// notice says whether the text looks like a shipment notice at all; each
+// order also carries expectedDate (ISO) for its arrival window end.
+// GET ?orgId= returns the registered vendor formats.
+// Auth: a staff session with Receiving create for orgId.
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
+import { isShipmentNotice, listShipmentFormats, MIN_AUTO_IMPORT_CONFIDENCE, parseShipmentNotice, toIsoDate } from "./_lib/shipment-parser.js";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+const MAX_TEXT_LENGTH = 200000;
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, "GET, POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+
+  try {
+    const params = req.method === "GET" ? req.query || {} : typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+    const { orgId, text, subject, format } = params;
+    if (!orgId) return res.status(400).json({ error: "Missing required: orgId" });
+
+    const auth = await authorizeRequest(req, res, { orgId, permission: ["receiving", "create"] });
+    if (!auth) return;
+
+    if (req.method === "GET") return res.status(200).json({ formats: listShipmentFormats() });
+
+    if (!text || !String(text).trim()) return res.status(400).json({ error: "Missing required: text" });
+    if (String(text).length > MAX_TEXT_LENGTH) return res.status(400).json({ error: "Notice is too long" });
+
+    const result = parseShipmentNotice(String(text), { subject: subject || "", format: format || null });
+    return res.status(200).json({
+      ...result,
+      orders: result.orders.map((o) => ({ ...o, expectedDate: toIsoDate(o.arriveEnd) })),
+      formats: listShipmentFormats(),
+      notice: isShipmentNotice(subject, text),
+      minAutoImportConfidence: MIN_AUTO_IMPORT_CONFIDENCE,
+    });
+  } catch (e) {
+    console.error("parse-shipment error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
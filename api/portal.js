@@ -0,0 +1,349 @@
+// API route: /api/portal — client portal sign-in and data
+//
+//   POST { action: "request", email }          email a 6-digit code and a magic link
+//   POST { action: "verify", email, code }     → { session, expiresAt, profile }
+//   POST { action: "verify", token }           (the magic link's login token)
+//   GET                                        dashboard: projects, shipments, updates
+//   GET ?projectId=                            one project: shipments, updates,
+//                                              milestones, documents
+// GETs take Authorization: Bearer <session>.
+//
+// Who may sign in, and what they see, is worked out from the email on every
+// request: a client's email sees that client's projects and shipments, an
+// address in a project's pm_emails sees that project. Sessions are signed with
+// PORTAL_SESSION_SECRET and expire; there is nothing to revoke server-side, so
+// removing someone from a client or pm_emails takes effect immediately.
+
+import crypto from "node:crypto";
+import { applyCors } from "./_lib/auth.js";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+const CODE_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_CODES_PER_WINDOW = 3; // per email per CODE_TTL_MS
+const MAX_CODE_ATTEMPTS = 5;
+
+// Same documents (and labels) the staff app lets clients see
+const PORTAL_DOCS = [
+  { key: "workOrder", name: "Work Order" },
+  { key: "deliveryReceipt", name: "Delivery Receipt" },
+  { key: "drawing", name: "Drawing" },
+  { key: "moveGuide", name: "Move Guide" },
+  { key: "coi", name: "COI" },
+  { key: "beforePlan", name: "Before Prints" },
+  { key: "afterPlan", name: "After Prints" },
+  { key: "floorPlan", name: "Floor Plan" },
+  { key: "zoneMap", name: "Zone Map" },
+  { key: "destinationMap", name: "Destination Map" },
+];
+const PROJECT_FIELDS = "id,org_id,client_id,name,project_type,status,install_date,install_time,location";
+const SHIPMENT_FIELDS = "id,client_id,project_id,po,subitem,mfr,status,inventory_status,location,sortly,received_date";
+
+async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
+  const url = `${supabaseUrl}${path}`;
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      "Content-Type": "application/json",
+      ...(headers || {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+function getBaseUrl(req) {
+  const proto = req.headers["x-forwarded-proto"] || "https";
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  return `${proto}://${host}`;
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ab.length > 0 && ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function normalizeEmail(value) {
+  const email = String(value || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+}
+
+// { email, exp } → "<payload>.<hmac>"
+function signSession(email, secret) {
+  const exp = Date.now() + SESSION_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({ email, exp })).toString("base64url");
+  const sig = crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+  return { session: `${payload}.${sig}`, expiresAt: new Date(exp).toISOString() };
+}
+
+function readSession(req, secret) {
+  const header = String(req.headers.authorization || "");
+  if (!header.toLowerCase().startsWith("bearer ")) return null;
+  const [payload, sig] = header.slice(7).trim().split(".");
+  if (!payload || !sig) return null;
+  const expected = crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+  if (!safeEqual(sig, expected)) return null;
+  let data = null;
+  try { data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8")); } catch (_) {}
+  if (!data || !data.email || !(Number(data.exp) > Date.now())) return null;
+  return data;
+}
+
+// Everything the email may see: clients it belongs to, projects it is a PM on.
+// email is lowercased, as are the stored addresses (lowercase_portal_emails
+// in schema_updates.sql), so exact matches are case-insensitive.
+async function loadAccess({ supabaseUrl, serviceKey, email }) {
+  const clientsResp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/clients?email=eq.${encodeURIComponent(email)}&select=id,org_id,company`,
+    method: "GET",
+  });
+  const pmResp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/projects?pm_emails=cs.${encodeURIComponent(`{"${email}"}`)}&select=id,org_id,client_id`,
+    method: "GET",
+  });
+  if (!clientsResp.ok || !pmResp.ok) throw new Error(`Supabase error: ${clientsResp.ok ? pmResp.text : clientsResp.text}`);
+
+  const clients = clientsResp.json || [];
+  const pmProjects = pmResp.json || [];
+  if (!clients.length && !pmProjects.length) return null;
+  return {
+    email,
+    role: clients.length ? "client" : "pm",
+    company: clients[0]?.company || "Project Manager",
+    orgId: clients[0]?.org_id || pmProjects[0]?.org_id || null,
+    clientIds: clients.map((c) => c.id),
+    pmProjectIds: pmProjects.map((p) => p.id),
+  };
+}
+
+async function loadProjects({ supabaseUrl, serviceKey, access }) {
+  const filters = [];
+  if (access.clientIds.length) filters.push(`client_id.in.(${access.clientIds.join(",")})`);
+  if (access.pmProjectIds.length) filters.push(`id.in.(${access.pmProjectIds.join(",")})`);
+  const resp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/projects?or=(${filters.join(",")})&select=${PROJECT_FIELDS},docs&order=install_date.desc.nullslast`,
+    method: "GET",
+  });
+  return resp.json || [];
+}
+
+// A client sees all of its shipments; a PM only those on their projects
+async function loadShipments({ supabaseUrl, serviceKey, access, projectId = null }) {
+  const filters = [];
+  if (access.clientIds.length) filters.push(`client_id.in.(${access.clientIds.join(",")})`);
+  if (access.pmProjectIds.length) filters.push(`project_id.in.(${access.pmProjectIds.join(",")})`);
+  const resp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/shipments?or=(${filters.join(",")})${projectId ? `&project_id=eq.${encodeURIComponent(projectId)}` : ""}&select=${SHIPMENT_FIELDS}`,
+    method: "GET",
+  });
+  return resp.json || [];
+}
+
+async function loadByProject({ supabaseUrl, serviceKey, table, select, projectIds }) {
+  if (!projectIds.length) return [];
+  const resp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/${table}?project_id=in.(${projectIds.join(",")})&select=${select}`,
+    method: "GET",
+  });
+  return resp.json || [];
+}
+
+function toDocuments(docs) {
+  let parsed = docs;
+  if (typeof docs === "string") {
+    try { parsed = JSON.parse(docs); } catch (_) { parsed = {}; }
+  }
+  return PORTAL_DOCS.map((d) => {
+    const entry = parsed?.[d.key];
+    const url = typeof entry === "string" ? entry : entry?.url;
+    return url ? { key: d.key, name: d.name, url } : null;
+  }).filter(Boolean);
+}
+
+function stripDocs(project) {
+  const { docs, ...rest } = project;
+  return rest;
+}
+
+async function requestCode({ req, res, supabaseUrl, serviceKey, email }) {
+  // Same answer whether or not the email has access
+  const sent = { ok: true, message: "If that email has portal access, a sign-in code is on its way." };
+  const access = await loadAccess({ supabaseUrl, serviceKey, email });
+  if (!access) return res.status(200).json(sent);
+
+  const since = new Date(Date.now() - CODE_TTL_MS).toISOString();
+  const recentResp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/portal_login_codes?email=eq.${encodeURIComponent(email)}&created_at=gte.${encodeURIComponent(since)}&select=id&limit=${MAX_CODES_PER_WINDOW}`,
+    method: "GET",
+  });
+  if ((recentResp.json || []).length >= MAX_CODES_PER_WINDOW) {
+    return res.status(429).json({ error: "Too many sign-in requests. Try again in a few minutes." });
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + CODE_TTL_MS).toISOString();
+  const ins = await sbRest({
+    supabaseUrl, serviceKey,
+    path: "/rest/v1/portal_login_codes",
+    method: "POST",
+    body: { email, code_hash: sha256(code), token_hash: sha256(token), expires_at: expiresAt },
+    headers: { Prefer: "return=minimal" },
+  });
+  if (!ins.ok) return res.status(500).json({ error: "Could not create sign-in code", details: ins.text });
+
+  const baseUrl = process.env.CRM_BASE_URL || getBaseUrl(req);
+  const link = `${baseUrl}/?portal&login=${encodeURIComponent(token)}`;
+  const mailResp = await fetch(`${baseUrl}/api/send-email`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${serviceKey}` },
+    body: JSON.stringify({
+      orgId: access.orgId,
+      to: email,
+      subject: "Your client portal sign-in code",
+      body: `Your sign-in code is ${code}\n\nOr open this link to sign in:\n${link}\n\nThe code and link expire in 15 minutes. If you didn't ask for this, you can ignore this email.`,
+      templateKey: "portal_login",
+      variables: { code, link, company: access.company },
+      entityType: "portal_login",
+    }),
+  });
+  if (!mailResp.ok) {
+    console.error("portal: send-email failed:", mailResp.status, await mailResp.text().catch(() => ""));
+    return res.status(502).json({ error: "Could not send the sign-in email" });
+  }
+  return res.status(200).json(sent);
+}
+
+async function verifyCode({ res, supabaseUrl, serviceKey, secret, email, code, token }) {
+  const now = new Date().toISOString();
+  const filter = token
+    ? `token_hash=eq.${sha256(token)}`
+    : `email=eq.${encodeURIComponent(email)}`;
+  const rowResp = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/portal_login_codes?${filter}&used_at=is.null&expires_at=gt.${encodeURIComponent(now)}&select=*&order=id.desc&limit=1`,
+    method: "GET",
+  });
+  const row = (rowResp.json || [])[0];
+  const invalid = () => res.status(401).json({ error: "Invalid or expired code" });
+  if (!row || (row.attempts || 0) >= MAX_CODE_ATTEMPTS) return invalid();
+
+  if (!token && !safeEqual(sha256(code), row.code_hash)) {
+    await sbRest({
+      supabaseUrl, serviceKey,
+      path: `/rest/v1/portal_login_codes?id=eq.${row.id}`,
+      method: "PATCH",
+      body: { attempts: (row.attempts || 0) + 1 },
+      headers: { Prefer: "return=minimal" },
+    });
+    return invalid();
+  }
+
+  // One use only, and only if nobody else used it first
+  const claim = await sbRest({
+    supabaseUrl, serviceKey,
+    path: `/rest/v1/portal_login_codes?id=eq.${row.id}&used_at=is.null`,
+    method: "PATCH",
+    body: { used_at: now },
+    headers: { Prefer: "return=representation" },
+  });
+  if (!(claim.json || []).length) return invalid();
+
+  const access = await loadAccess({ supabaseUrl, serviceKey, email: row.email });
+  if (!access) return res.status(403).json({ error: "No portal access for this email" });
+  const { session, expiresAt } = signSession(row.email, secret);
+  return res.status(200).json({
+    ok: true,
+    session,
+    expiresAt,
+    profile: { email: row.email, company: access.company, role: access.role },
+  });
+}
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, "GET, POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return res.status(200).end();
+  res.setHeader("Cache-Control", "private, no-store");
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const secret = process.env.PORTAL_SESSION_SECRET;
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+  if (!secret) return res.status(500).json({ error: "Missing PORTAL_SESSION_SECRET" });
+
+  try {
+    if (req.method === "POST") {
+      const { action, email, code, token } = typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+      if (action === "request") {
+        const normalized = normalizeEmail(email);
+        if (!normalized) return res.status(400).json({ error: "Enter a valid email" });
+        return await requestCode({ req, res, supabaseUrl, serviceKey, email: normalized });
+      }
+      if (action === "verify") {
+        if (token) return await verifyCode({ res, supabaseUrl, serviceKey, secret, token: String(token) });
+        const normalized = normalizeEmail(email);
+        if (!normalized || !/^\d{6}$/.test(String(code || "").trim())) {
+          return res.status(400).json({ error: "Enter your email and the 6-digit code" });
+        }
+        return await verifyCode({ res, supabaseUrl, serviceKey, secret, email: normalized, code: String(code).trim() });
+      }
+      return res.status(400).json({ error: "Unknown action" });
+    }
+
+    if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+    const session = readSession(req, secret);
+    if (!session) return res.status(401).json({ error: "Session expired" });
+    const access = await loadAccess({ supabaseUrl, serviceKey, email: session.email });
+    if (!access) return res.status(403).json({ error: "No portal access for this email" });
+
+    const projects = await loadProjects({ supabaseUrl, serviceKey, access });
+    const profile = { email: access.email, company: access.company, role: access.role };
+
+    if (req.query?.projectId) {
+      const project = projects.find((p) => String(p.id) === String(req.query.projectId));
+      if (!project) return res.status(404).json({ error: "Project not found" });
+      const ids = [project.id];
+      const [shipments, updates, milestones] = await Promise.all([
+        loadShipments({ supabaseUrl, serviceKey, access, projectId: project.id }),
+        loadByProject({ supabaseUrl, serviceKey, table: "project_updates", select: "id,project_id,status,message,created_at", projectIds: ids }),
+        loadByProject({ supabaseUrl, serviceKey, table: "move_milestones", select: "id,project_id,stage,status,due_date", projectIds: ids }),
+      ]);
+      return res.status(200).json({
+        ok: true,
+        profile,
+        project: stripDocs(project),
+        shipments,
+        updates,
+        milestones,
+        documents: toDocuments(project.docs),
+      });
+    }
+
+    const projectIds = projects.map((p) => p.id);
+    const [shipments, updates] = await Promise.all([
+      loadShipments({ supabaseUrl, serviceKey, access }),
+      loadByProject({ supabaseUrl, serviceKey, table: "project_updates", select: "id,project_id,status,message,created_at", projectIds }),
+    ]);
+    return res.status(200).json({ ok: true, profile, projects: projects.map(stripDocs), shipments, updates });
+  } catch (e) {
+    console.error("portal error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
@@ -1,6 +1,23 @@
+// API route: /api/quote-share
+//   POST { quoteId, orgId?, expiresAt? }                        staff: create a share link
+//   GET  ?token=                                                public: view the quote
+//   GET  ?token=&format=pdf                                     public: the quote PDF
+//   POST { token, action: "accept", version, signedName, signedEmail,
+//          signatureType: "drawn" | "typed", signatureData?, selectedItemIds? }
+//   POST { token, action: "decline", name?, reason? }
+// Accepting signs and locks the quote (see accept_quote in schema_updates.sql).
+// The first view emits quote.viewed and acceptance emits quote.signed.
+// Creating a link needs a staff session with Projects edit for the quote's org.
+
 import crypto from "crypto";
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
+import { loadQuoteDocument, renderQuotePdf } from "./_lib/documents.js";
 
 const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+const PUBLIC_QUOTE_FIELDS =
+  "id,org_id,project_id,version,status,subtotal,tax,total,created_at,expires_at,signed_name,signed_at,signature_type,locked_at,declined_at,accepted_snapshot";
+const PUBLIC_ITEM_FIELDS = "id,name,qty,unit_price,line_total,category,optional,selected";
 
 function getBaseUrl(req) {
   const proto = req.headers["x-forwarded-proto"] || "https";
@@ -56,19 +73,149 @@ async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers })
   return { ok: resp.ok, status: resp.status, json, text };
 }
 
-async function validateSupabaseUser({ supabaseUrl, serviceKey, authHeader }) {
-  if (!authHeader || !authHeader.toLowerCase().startsWith("bearer ")) return null;
-  const resp = await fetch(`${supabaseUrl}/auth/v1/user`, {
-    headers: { apikey: serviceKey, Authorization: authHeader },
+function todayIsoDate() {
+  const today = new Date();
+  const yyyy = today.getFullYear();
+  const mm = String(today.getMonth() + 1).padStart(2, "0");
+  const dd = String(today.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || req.headers["x-real-ip"] || req.socket?.remoteAddress || null;
+}
+
+// "<shareId>.<sig>" → the live share row, or { status, error } to send back
+async function loadShare({ supabaseUrl, serviceKey, shareSecret, token }) {
+  const parts = String(token || "").trim().split(".");
+  if (parts.length !== 2) return { status: 400, error: "Invalid token" };
+  const shareId = Number(parts[0]);
+  const sig = parts[1];
+  if (!Number.isFinite(shareId) || shareId <= 0 || !sig) return { status: 400, error: "Invalid token" };
+
+  const expected = signShareId(shareId, shareSecret);
+  // Don’t reveal if token is close/invalid.
+  if (!safeEqual(sig, expected)) return { status: 404, error: "Not found" };
+
+  const shareResp = await sbRest({
+    supabaseUrl,
+    serviceKey,
+    path: `/rest/v1/quote_share_links?id=eq.${encodeURIComponent(shareId)}&select=*`,
+    method: "GET",
+  });
+  if (!shareResp.ok) return { status: 500, error: "Supabase error" };
+  const share = (shareResp.json || [])[0];
+  if (!share) return { status: 404, error: "Not found" };
+  if (share.revoked_at) return { status: 410, error: "Link revoked" };
+  if (share.expires_at && String(share.expires_at) < todayIsoDate()) return { status: 410, error: "Link expired" };
+  return { share };
+}
+
+// Workflow events go through /api/trigger-event like every other emitter;
+// best-effort, a failed emit never fails the request
+async function emitEvent({ req, serviceKey, orgId, eventType, quoteId, payload, idempotencyKey }) {
+  try {
+    const baseUrl = process.env.CRM_BASE_URL || getBaseUrl(req);
+    const resp = await fetch(`${baseUrl}/api/trigger-event`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${serviceKey}` },
+      body: JSON.stringify({ orgId, eventType, entityType: "quote", entityId: quoteId, idempotencyKey, payload }),
+    });
+    if (!resp.ok) console.error(`quote-share: ${eventType} emit failed:`, resp.status);
+  } catch (e) {
+    console.error(`quote-share: ${eventType} emit error:`, e.message);
+  }
+}
+
+async function respondToQuote({ req, res, supabaseUrl, serviceKey, shareSecret, body }) {
+  const loaded = await loadShare({ supabaseUrl, serviceKey, shareSecret, token: body.token });
+  if (!loaded.share) return res.status(loaded.status).json({ error: loaded.error });
+  const quoteId = Number(loaded.share.quote_id);
+
+  if (body.action === "decline") {
+    const name = String(body.name || "").trim().slice(0, 200) || null;
+    const reason = String(body.reason || "").trim().slice(0, 2000) || null;
+    const upd = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/quotes?id=eq.${encodeURIComponent(quoteId)}&locked_at=is.null&declined_at=is.null`,
+      method: "PATCH",
+      body: { status: "declined", declined_at: new Date().toISOString(), declined_name: name, decline_reason: reason },
+      headers: { Prefer: "return=representation" },
+    });
+    if (!upd.ok) return res.status(500).json({ error: "Supabase error", details: upd.text });
+    if (!(upd.json || []).length) return res.status(409).json({ error: "Quote is no longer open" });
+    return res.status(200).json({ ok: true, status: "declined" });
+  }
+
+  const signedName = String(body.signedName || "").trim().slice(0, 200);
+  const signedEmail = String(body.signedEmail || "").trim().toLowerCase().slice(0, 320);
+  const signatureType = body.signatureType === "drawn" ? "drawn" : "typed";
+  if (!signedName) return res.status(400).json({ error: "Signer name is required" });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(signedEmail)) return res.status(400).json({ error: "A valid signer email is required" });
+
+  let signatureData = signedName;
+  if (signatureType === "drawn") {
+    signatureData = String(body.signatureData || "");
+    if (!signatureData.startsWith("data:image/png;base64,")) return res.status(400).json({ error: "Draw your signature" });
+    if (signatureData.length > MAX_SIGNATURE_BYTES) return res.status(400).json({ error: "Signature image too large" });
+  }
+  const selected = (Array.isArray(body.selectedItemIds) ? body.selectedItemIds : [])
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n > 0);
+
+  const rpc = await sbRest({
+    supabaseUrl,
+    serviceKey,
+    path: "/rest/v1/rpc/accept_quote",
+    method: "POST",
+    body: {
+      p_quote_id: quoteId,
+      p_version: Number(body.version) || 1,
+      p_selected_item_ids: selected,
+      p_signed_name: signedName,
+      p_signed_email: signedEmail,
+      p_signature_type: signatureType,
+      p_signature_data: signatureData,
+      p_ip: clientIp(req),
+      p_user_agent: String(req.headers["user-agent"] || "").slice(0, 500) || null,
+    },
+  });
+  if (!rpc.ok) return res.status(500).json({ error: "Supabase error", details: rpc.text });
+  if (!rpc.json?.ok) return res.status(409).json({ error: rpc.json?.error || "Quote can't be signed" });
+
+  const quote = rpc.json.quote;
+  await emitEvent({
+    req,
+    serviceKey,
+    orgId: quote.org_id,
+    eventType: "quote.signed",
+    quoteId,
+    idempotencyKey: `quote-signed-${quoteId}`,
+    payload: {
+      quoteId,
+      projectId: quote.project_id,
+      version: quote.version || 1,
+      total: quote.total,
+      signedName,
+      signedEmail,
+      signatureType,
+      selectedItemIds: (quote.accepted_snapshot?.items || []).filter((i) => i.selected).map((i) => i.id),
+      via: "share_link",
+    },
+  });
+
+  return res.status(200).json({
+    ok: true,
+    status: "signed",
+    signedAt: quote.signed_at,
+    total: quote.total,
   });
-  if (!resp.ok) return null;
-  return await resp.json();
 }
 
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (!applyCors(req, res, "GET, POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
   if (req.method === "OPTIONS") return res.status(200).end();
 
   const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
@@ -87,11 +234,11 @@ export default async function handler(req, res) {
   }
 
   try {
-    if (req.method === "POST") {
-      const authHeader = req.headers.authorization || "";
-      const user = await validateSupabaseUser({ supabaseUrl, serviceKey, authHeader });
-      if (!user) return res.status(401).json({ error: "Unauthorized" });
+    if (req.method === "POST" && (req.body?.action === "accept" || req.body?.action === "decline")) {
+      return await respondToQuote({ req, res, supabaseUrl, serviceKey, shareSecret, body: req.body });
+    }
 
+    if (req.method === "POST") {
       const { quoteId, orgId, expiresAt } = req.body || {};
       const qid = Number(quoteId);
       if (!Number.isFinite(qid) || qid <= 0) {
@@ -121,6 +268,9 @@ export default async function handler(req, res) {
         return res.status(403).json({ error: "Org mismatch for quote" });
       }
 
+      const auth = await authorizeRequest(req, res, { orgId: dbOrgId, permission: ["projects", "edit"] });
+      if (!auth) return;
+
       // Revoke any existing active share link for this quote
       await sbRest({
         supabaseUrl,
@@ -167,39 +317,22 @@ export default async function handler(req, res) {
       const token = String(req.query.token || req.query.quote || "").trim();
       if (!token) return res.status(400).json({ error: "Missing token" });
 
-      const parts = token.split(".");
-      if (parts.length !== 2) return res.status(400).json({ error: "Invalid token" });
-      const shareId = Number(parts[0]);
-      const sig = parts[1];
-      if (!Number.isFinite(shareId) || shareId <= 0 || !sig) {
-        return res.status(400).json({ error: "Invalid token" });
+      const loaded = await loadShare({ supabaseUrl, serviceKey, shareSecret, token });
+      if (!loaded.share) return res.status(loaded.status).json({ error: loaded.error });
+      const share = loaded.share;
+
+      // The same server-rendered PDF automations email (no signer IP)
+      if (req.query.format === "pdf") {
+        const doc = await loadQuoteDocument({ supabaseUrl, serviceKey, quoteId: Number(share.quote_id) });
+        if (!doc) return res.status(404).json({ error: "Quote not found" });
+        const pdf = await renderQuotePdf(doc);
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="${doc.fileName}"`);
+        res.setHeader("Cache-Control", "private, no-store");
+        return res.status(200).send(pdf);
       }
 
-      const expected = signShareId(shareId, shareSecret);
-      if (!safeEqual(sig, expected)) {
-        // Don’t reveal if token is close/invalid.
-        return res.status(404).json({ error: "Not found" });
-      }
-
-      const shareResp = await sbRest({
-        supabaseUrl,
-        serviceKey,
-        path: `/rest/v1/quote_share_links?id=eq.${encodeURIComponent(shareId)}&select=*`,
-        method: "GET",
-      });
-      if (!shareResp.ok) return res.status(500).json({ error: "Supabase error", details: shareResp.text });
-      const share = (shareResp.json || [])[0];
-      if (!share) return res.status(404).json({ error: "Not found" });
-      if (share.revoked_at) return res.status(410).json({ error: "Link revoked" });
-
-      const today = new Date();
-      const yyyy = today.getFullYear();
-      const mm = String(today.getMonth() + 1).padStart(2, "0");
-      const dd = String(today.getDate()).padStart(2, "0");
-      const todayIso = `${yyyy}-${mm}-${dd}`;
-      if (share.expires_at && String(share.expires_at) < todayIso) {
-        return res.status(410).json({ error: "Link expired" });
-      }
+      const firstView = !share.view_count;
 
       // Best-effort view logging
       try {
@@ -207,7 +340,7 @@ export default async function handler(req, res) {
         await sbRest({
           supabaseUrl,
           serviceKey,
-          path: `/rest/v1/quote_share_links?id=eq.${encodeURIComponent(shareId)}`,
+          path: `/rest/v1/quote_share_links?id=eq.${encodeURIComponent(share.id)}`,
           method: "PATCH",
           body: { view_count: nextCount, last_viewed_at: new Date().toISOString() },
           headers: { Prefer: "return=minimal" },
@@ -221,17 +354,29 @@ export default async function handler(req, res) {
       const quoteResp = await sbRest({
         supabaseUrl,
         serviceKey,
-        path: `/rest/v1/quotes?id=eq.${encodeURIComponent(quoteId)}&select=*`,
+        path: `/rest/v1/quotes?id=eq.${encodeURIComponent(quoteId)}&select=${PUBLIC_QUOTE_FIELDS}`,
         method: "GET",
       });
       if (!quoteResp.ok) return res.status(500).json({ error: "Supabase error", details: quoteResp.text });
       const quote = (quoteResp.json || [])[0];
       if (!quote) return res.status(404).json({ error: "Quote not found" });
 
+      if (firstView) {
+        await emitEvent({
+          req,
+          serviceKey,
+          orgId: quote.org_id,
+          eventType: "quote.viewed",
+          quoteId,
+          idempotencyKey: `quote-viewed-${quoteId}`,
+          payload: { quoteId, projectId: quote.project_id, version: quote.version || 1, total: quote.total, via: "share_link" },
+        });
+      }
+
       const itemsResp = await sbRest({
         supabaseUrl,
         serviceKey,
-        path: `/rest/v1/quote_items?quote_id=eq.${encodeURIComponent(quoteId)}&select=*`,
+        path: `/rest/v1/quote_items?quote_id=eq.${encodeURIComponent(quoteId)}&select=${PUBLIC_ITEM_FIELDS}&order=id.asc`,
         method: "GET",
       });
       const items = itemsResp.ok ? itemsResp.json || [] : [];
@@ -1,24 +1,176 @@
+// API route: POST /api/send-email
+// Sends mail through Microsoft Graph from the org's sender mailbox and logs
+// every send to messages (channel 'email').
+//
+// Auth: a staff Supabase session for orgId (Bearer <access token>), or the
+// service role key for server-to-server callers (the workflow runner's
+// send_email action). See _lib/auth.js.
+//
+// Body:
+//   { orgId, to, cc?, subject?, body?,                 plain text
+//     templateKey?, variables?,                       org template from email_templates
+//     attachments?: [{ name, contentType?, contentBase64 } | { name, url }],
+//     contactId?, automationId?, entityType?, entityId?,
+//     idempotencyKey? }                               e.g. the runner's "run-12-step-3"
+// Template {{paths|filters}} read from variables (HTML-escaped) with the same
+// filters as automation messages (_lib/templates.js); {{body}} is the
+// plain-text body as HTML. A missing template falls back to the text body.
+// A send with an idempotencyKey that was already sent for the org is not
+// sent again; the reply is the earlier message's id.
+
+import { applyCors, authorizeRequest } from './_lib/auth.js';
+import { interpolate } from './_lib/templates.js';
+
+const DEFAULT_SUPABASE_URL = 'https://ilbrtyoeqrbkbbotoopu.supabase.co';
+const MAX_ATTACHMENT_BYTES = 3 * 1024 * 1024; // Graph sendMail request limit is ~4MB after base64
+
+async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
+  const url = `${supabaseUrl}${path}`;
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      'Content-Type': 'application/json',
+      ...(headers || {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => '');
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function textToHtml(text) {
+  return escapeHtml(text).replace(/\r?\n/g, '<br>');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  if (typeof value === 'string') return value.split(/[;,]+/).map(s => s.trim()).filter(Boolean);
+  return [];
+}
+
+// Inline attachments, or files in our own Supabase Storage (never arbitrary URLs)
+async function loadAttachments(attachments, supabaseUrl) {
+  const files = [];
+  let totalBytes = 0;
+  for (const a of attachments || []) {
+    if (!a || !a.name) throw new Error('Each attachment needs a name');
+    let base64 = a.contentBase64;
+    let contentType = a.contentType || 'application/octet-stream';
+    if (!base64 && a.url) {
+      if (!String(a.url).startsWith(`${supabaseUrl}/storage/v1/`)) {
+        throw new Error(`Attachment URL must be in Supabase Storage: ${a.name}`);
+      }
+      const resp = await fetch(a.url);
+      if (!resp.ok) throw new Error(`Could not fetch attachment ${a.name} (HTTP ${resp.status})`);
+      contentType = a.contentType || resp.headers.get('content-type') || contentType;
+      base64 = Buffer.from(await resp.arrayBuffer()).toString('base64');
+    }
+    if (!base64) throw new Error(`Attachment ${a.name} has no content`);
+    totalBytes += Math.floor((base64.length * 3) / 4);
+    if (totalBytes > MAX_ATTACHMENT_BYTES) throw new Error('Attachments exceed 3 MB');
+    files.push({
+      '@odata.type': '#microsoft.graph.fileAttachment',
+      name: a.name,
+      contentType,
+      contentBytes: base64,
+    });
+  }
+  return files;
+}
+
 export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (!applyCors(req, res, 'POST, OPTIONS')) return res.status(403).json({ error: 'Origin not allowed' });
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceKey) return res.status(500).json({ error: 'Missing SUPABASE_SERVICE_ROLE_KEY' });
+
   try {
-    const { to, cc, subject, body } = req.body || {};
-    if (!to || !subject || !body) {
-      return res.status(400).json({ error: 'Missing required fields: to, subject, body' });
+    const {
+      orgId, to, cc, subject, body, templateKey, variables, attachments,
+      contactId, automationId, entityType, entityId, idempotencyKey,
+    } = typeof req.body === 'string' ? JSON.parse(req.body) : (req.body || {});
+
+    if (!orgId || !to) return res.status(400).json({ error: 'Missing required fields: orgId, to' });
+
+    // Staff can only send as their own org's mailbox
+    const auth = await authorizeRequest(req, res, { orgId });
+    if (!auth) return;
+    const sentBy = auth.service ? 'automation' : (auth.user.email || auth.user.id);
+
+    const sendKey = idempotencyKey ? String(idempotencyKey) : null;
+    if (sendKey) {
+      const priorResp = await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/messages?org_id=eq.${encodeURIComponent(orgId)}&send_key=eq.${encodeURIComponent(sendKey)}&select=id&limit=1`,
+        method: 'GET',
+      });
+      if (!priorResp.ok) return res.status(502).json({ error: 'Could not check for an earlier send', details: priorResp.text });
+      const prior = (priorResp.json || [])[0];
+      if (prior) return res.status(202).json({ ok: true, messageId: prior.id, alreadySent: true });
     }
 
     const tenantId = process.env.MS_TENANT_ID;
     const clientId = process.env.MS_CLIENT_ID;
     const clientSecret = process.env.MS_CLIENT_SECRET;
-    const sender = process.env.MS_SENDER;
-    if (!tenantId || !clientId || !clientSecret || !sender) {
-      return res.status(500).json({ error: 'Missing Outlook env vars (MS_TENANT_ID, MS_CLIENT_ID, MS_CLIENT_SECRET, MS_SENDER)' });
+    if (!tenantId || !clientId || !clientSecret) {
+      return res.status(500).json({ error: 'Missing Outlook env vars (MS_TENANT_ID, MS_CLIENT_ID, MS_CLIENT_SECRET)' });
+    }
+
+    // Per-org sender mailbox; MS_SENDER is the fallback for orgs without one
+    const cfgResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/email_config?org_id=eq.${encodeURIComponent(orgId)}&select=*`,
+      method: 'GET',
+    });
+    const emailConfig = (cfgResp.json || [])[0] || {};
+    const sender = emailConfig.sender_mailbox || process.env.MS_SENDER;
+    if (!sender) return res.status(500).json({ error: 'No sender mailbox for this org and MS_SENDER is not set' });
+
+    let template = null;
+    if (templateKey) {
+      const tplResp = await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/email_templates?org_id=eq.${encodeURIComponent(orgId)}&key=eq.${encodeURIComponent(templateKey)}&select=*`,
+        method: 'GET',
+      });
+      template = (tplResp.json || [])[0] || null;
+      if (!template) console.warn(`send-email: template ${templateKey} not found for org ${orgId}, sending text body`);
+    }
+
+    const vars = { ...(variables || {}), body: body || '' };
+    const finalSubject = subject || (template ? interpolate(template.subject, vars) : '');
+    let html = null;
+    if (template && template.html) {
+      html = interpolate(template.html.replace(/\{\{\s*body\s*\}\}/g, '%%BODY%%'), vars, { escape: escapeHtml })
+        .replace('%%BODY%%', textToHtml(body || ''));
     }
 
+    if (!finalSubject || (!body && !html)) {
+      return res.status(400).json({ error: 'Missing subject or body (and no template supplied them)' });
+    }
+
+    const files = await loadAttachments(attachments, supabaseUrl);
+    const toList_ = toList(to);
+    const ccList = toList(cc);
+
     const tokenResp = await fetch(`https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -34,18 +186,14 @@ export default async function handler(req, res) {
       return res.status(500).json({ error: 'Token request failed', details: tokenData });
     }
 
-    const ccList = Array.isArray(cc)
-      ? cc
-      : typeof cc === 'string'
-        ? cc.split(/[;,]+/).map(s => s.trim()).filter(Boolean)
-        : [];
-
     const mailPayload = {
       message: {
-        subject,
-        body: { contentType: 'Text', content: body },
-        toRecipients: [{ emailAddress: { address: to } }],
-        ccRecipients: ccList.map(address => ({ emailAddress: { address } }))
+        subject: finalSubject,
+        body: html ? { contentType: 'HTML', content: html } : { contentType: 'Text', content: body },
+        toRecipients: toList_.map(address => ({ emailAddress: { address } })),
+        ccRecipients: ccList.map(address => ({ emailAddress: { address } })),
+        ...(emailConfig.reply_to ? { replyTo: [{ emailAddress: { address: emailConfig.reply_to } }] } : {}),
+        ...(files.length ? { attachments: files } : {})
       },
       saveToSentItems: true
     };
@@ -58,13 +206,44 @@ export default async function handler(req, res) {
       },
       body: JSON.stringify(mailPayload)
     });
+    const errText = sendResp.ok ? '' : await sendResp.text().catch(() => '');
+
+    // Log sent and failed sends alike
+    const logResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: '/rest/v1/messages',
+      method: 'POST',
+      body: {
+        org_id: orgId,
+        direction: 'outbound',
+        channel: 'email',
+        status: sendResp.ok ? 'sent' : 'failed',
+        email_from: sender,
+        email_to: toList_.join(', '),
+        email_cc: ccList,
+        subject: finalSubject,
+        body: body || '',
+        body_html: html,
+        attachments: files.map(f => ({ name: f.name, contentType: f.contentType })),
+        template_key: template ? templateKey : null,
+        contact_id: contactId || null,
+        automation_id: automationId || null,
+        entity_type: entityType || null,
+        entity_id: entityId ? String(entityId) : null,
+        sent_by: sentBy,
+        send_key: sendResp.ok ? sendKey : null,
+        error_message: errText ? errText.slice(0, 2000) : null,
+      },
+      headers: { Prefer: 'return=representation' },
+    });
+    if (!logResp.ok) console.error('send-email: messages log failed:', logResp.text);
 
     if (!sendResp.ok) {
-      const errText = await sendResp.text().catch(() => '');
       return res.status(sendResp.status).json({ error: 'SendMail failed', details: errText });
     }
 
-    return res.status(202).json({ ok: true });
+    return res.status(202).json({ ok: true, messageId: (logResp.json || [])[0]?.id || null });
   } catch (e) {
     console.error('send-email error:', e);
     return res.status(500).json({ error: 'Server error', details: e.message });
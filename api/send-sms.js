@@ -0,0 +1,205 @@
+// API route: POST /api/send-sms
+// Staff replies from the CRM inbox. Sends through the org's messaging_config
+// sender and threads the message into its conversation.
+//   { orgId, conversationId, body }          → reply in an existing thread
+//   { orgId, to, body, contactId? }          → start (or continue) a thread by number
+// Auth: a staff session with People edit for orgId.
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
+
+const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
+const MAX_BODY_LENGTH = 1600; // Twilio's limit for one message
+
+async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
+  const url = `${supabaseUrl}${path}`;
+  const resp = await fetch(url, {
+    method,
+    headers: {
+      apikey: serviceKey,
+      Authorization: `Bearer ${serviceKey}`,
+      "Content-Type": "application/json",
+      ...(headers || {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => "");
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, json, text };
+}
+
+// "(555) 123-4567" → "+15551234567" (same rules as normalizePhone in trigger/src/lib/supabase.ts)
+function normalizePhone(phone) {
+  const trimmed = String(phone || "").trim();
+  const digits = trimmed.replace(/\D/g, "");
+  if (trimmed.startsWith("+")) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return digits ? `+${digits}` : "";
+}
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, "POST, OPTIONS")) return res.status(403).json({ error: "Origin not allowed" });
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+  const supabaseUrl = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!serviceKey) return res.status(500).json({ error: "Missing SUPABASE_SERVICE_ROLE_KEY" });
+  if (!accountSid || !authToken) return res.status(500).json({ error: "Missing TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN" });
+  if (process.env.TWILIO_DISABLED === "true") return res.status(503).json({ error: "Twilio is disabled via TWILIO_DISABLED env var" });
+
+  try {
+    const { orgId, conversationId, to, contactId, body } =
+      typeof req.body === "string" ? JSON.parse(req.body) : (req.body || {});
+
+    const text = String(body || "").trim();
+    if (!orgId || !text || (!conversationId && !to)) {
+      return res.status(400).json({ error: "Missing required: orgId, body and conversationId or to" });
+    }
+
+    // Texts go to the org's contacts from the org's own sender
+    const auth = await authorizeRequest(req, res, { orgId, permission: ["people", "edit"] });
+    if (!auth) return;
+    const sentBy = auth.service ? "service" : auth.user.email || auth.user.id;
+    if (text.length > MAX_BODY_LENGTH) {
+      return res.status(400).json({ error: `Message is longer than ${MAX_BODY_LENGTH} characters` });
+    }
+
+    // Recipient: the thread's number, or the one given
+    let phone = normalizePhone(to);
+    let threadContactId = contactId || null;
+    if (conversationId) {
+      const convResp = await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/conversations?id=eq.${encodeURIComponent(conversationId)}&org_id=eq.${encodeURIComponent(orgId)}&select=phone_number,contact_id`,
+        method: "GET",
+      });
+      const conv = (convResp.json || [])[0];
+      if (!conv) return res.status(404).json({ error: "Conversation not found" });
+      phone = conv.phone_number;
+      threadContactId = conv.contact_id;
+    }
+    if (!/^\+[1-9]\d{7,14}$/.test(phone)) return res.status(400).json({ error: "Invalid phone number" });
+
+    // Never text someone who replied STOP (staff can override in the inbox)
+    const supResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/sms_suppressions?org_id=eq.${encodeURIComponent(orgId)}&phone_number=eq.${encodeURIComponent(phone)}&opted_out=eq.true&select=id`,
+      method: "GET",
+    });
+    if (!supResp.ok) return res.status(500).json({ error: "Supabase error", details: supResp.text });
+    if ((supResp.json || []).length > 0) {
+      return res.status(409).json({ error: "Recipient has opted out of SMS", optedOut: true });
+    }
+
+    const cfgResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: `/rest/v1/messaging_config?org_id=eq.${encodeURIComponent(orgId)}&enabled=eq.true&select=*`,
+      method: "GET",
+    });
+    const cfg = (cfgResp.json || [])[0];
+    const fromNumber = (cfg?.sender_numbers || []).find(Boolean);
+    if (!cfg || (!cfg.messaging_service_sid && !fromNumber)) {
+      return res.status(400).json({ error: "SMS is not configured for this org (Settings → Integrations)" });
+    }
+
+    const form = new URLSearchParams({ To: phone, Body: text });
+    if (cfg.messaging_service_sid) form.set("MessagingServiceSid", cfg.messaging_service_sid);
+    else form.set("From", fromNumber);
+    if (cfg.status_callback_url) form.set("StatusCallback", cfg.status_callback_url);
+
+    const twilioResp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: "Basic " + Buffer.from(`${accountSid}:${authToken}`).toString("base64"),
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: form.toString(),
+    });
+    const twilioData = await twilioResp.json().catch(() => ({}));
+    if (!twilioResp.ok) {
+      // 21610: the number replied STOP to this sender at Twilio's level
+      if (twilioData.code === 21610) {
+        await sbRest({
+          supabaseUrl,
+          serviceKey,
+          path: "/rest/v1/sms_suppressions?on_conflict=org_id,phone_number",
+          method: "POST",
+          body: { org_id: orgId, phone_number: phone, opted_out: true, source: "carrier", opted_out_at: new Date().toISOString(), updated_at: new Date().toISOString() },
+          headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+        });
+        return res.status(409).json({ error: "Recipient has opted out of SMS", optedOut: true });
+      }
+      return res.status(502).json({ error: "Twilio send failed", details: twilioData.message || twilioData });
+    }
+
+    const threadResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: "/rest/v1/rpc/record_conversation_message",
+      method: "POST",
+      body: {
+        p_org_id: orgId,
+        p_phone: phone,
+        p_contact_id: threadContactId,
+        p_body: text,
+        p_direction: "outbound",
+      },
+    });
+    const threadId = threadResp.ok ? threadResp.json : null;
+    if (!threadResp.ok) console.error("record_conversation_message failed:", threadResp.text);
+
+    const msgResp = await sbRest({
+      supabaseUrl,
+      serviceKey,
+      path: "/rest/v1/messages",
+      method: "POST",
+      body: {
+        org_id: orgId,
+        direction: "outbound",
+        from_number: twilioData.from || fromNumber || null,
+        to_number: phone,
+        body: text,
+        status: twilioData.status,
+        twilio_sid: twilioData.sid,
+        channel: "sms",
+        contact_id: threadContactId,
+        conversation_id: threadId,
+        sent_by: sentBy,
+      },
+      headers: { Prefer: "return=representation" },
+    });
+
+    // Replying means staff has read the thread
+    if (threadId) {
+      await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/conversations?id=eq.${encodeURIComponent(threadId)}`,
+        method: "PATCH",
+        body: { unread_count: 0 },
+        headers: { Prefer: "return=minimal" },
+      });
+    }
+
+    console.log("Staff SMS sent:", { user: sentBy, orgId, conversationId: threadId, sid: twilioData.sid });
+
+    return res.status(200).json({
+      ok: true,
+      sid: twilioData.sid,
+      status: twilioData.status,
+      conversationId: threadId,
+      message: (msgResp.json || [])[0] || null,
+    });
+  } catch (e) {
+    console.error("send-sms error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+}
@@ -2,6 +2,13 @@
 // Called by the CRM frontend or other API routes to emit workflow events.
 // Writes to workflow_events table in Supabase, then invokes the Trigger.dev
 // workflow runner via its API.
+// Pass an idempotencyKey (body) or Idempotency-Key header to make retried
+// deliveries of the same event a no-op. Events whose dispatch fails are
+// picked up by the sweep-unprocessed-events task.
+// Auth: a staff session for orgId, or the service role key for our own
+// server-side callers (inbound SMS/email webhooks).
+
+import { applyCors, authorizeRequest } from "./_lib/auth.js";
 
 const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
 
@@ -24,9 +31,7 @@ async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers })
 }
 
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (!applyCors(req, res, "POST, OPTIONS", "Idempotency-Key")) return res.status(403).json({ error: "Origin not allowed" });
   if (req.method === "OPTIONS") return res.status(200).end();
   if (req.method !== "POST") return res.status(405).json({ error: "Method not allowed" });
 
@@ -38,16 +43,19 @@ export default async function handler(req, res) {
 
   try {
     const { orgId, orgSlug, eventType, entityType, entityId, payload } = req.body || {};
+    const idempotencyKey = String(req.body?.idempotencyKey || req.headers["idempotency-key"] || "").trim() || null;
 
     if (!orgId || !eventType || !entityType) {
       return res.status(400).json({ error: "Missing required: orgId, eventType, entityType" });
     }
+    const auth = await authorizeRequest(req, res, { orgId });
+    if (!auth) return;
 
-    // 1) Write event to workflow_events table
+    // 1) Write event to workflow_events table (ignored if the key was seen before)
     const insertResp = await sbRest({
       supabaseUrl,
       serviceKey,
-      path: "/rest/v1/workflow_events",
+      path: `/rest/v1/workflow_events${idempotencyKey ? "?on_conflict=org_id,idempotency_key" : ""}`,
       method: "POST",
       body: {
         org_id: orgId,
@@ -55,8 +63,11 @@ export default async function handler(req, res) {
         entity_type: entityType,
         entity_id: String(entityId || ""),
         payload: payload || {},
+        idempotency_key: idempotencyKey,
+      },
+      headers: {
+        Prefer: idempotencyKey ? "resolution=ignore-duplicates,return=representation" : "return=representation",
       },
-      headers: { Prefer: "return=representation" },
     });
 
     if (!insertResp.ok) {
@@ -64,6 +75,19 @@ export default async function handler(req, res) {
     }
 
     const eventRow = (insertResp.json || [])[0];
+
+    if (!eventRow && idempotencyKey) {
+      // Duplicate delivery: report the original event, don't dispatch again
+      const existingResp = await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/workflow_events?org_id=eq.${encodeURIComponent(orgId)}&idempotency_key=eq.${encodeURIComponent(idempotencyKey)}&select=id`,
+        method: "GET",
+      });
+      const existing = (existingResp.json || [])[0];
+      return res.status(200).json({ ok: true, eventId: existing?.id || null, duplicate: true });
+    }
+
     const eventId = eventRow?.id;
 
     // 2) Invoke Trigger.dev task (if API key is configured)
@@ -87,6 +111,8 @@ export default async function handler(req, res) {
               entityId: entityId || "",
               payload: payload || {},
             },
+            // Same key the sweeper uses, so an event is never run twice
+            options: { idempotencyKey: `event-${eventId}` },
           }),
         });
 
@@ -101,6 +127,18 @@ export default async function handler(req, res) {
         console.error("Trigger.dev invocation error:", triggerErr.message);
         triggerResult = { error: triggerErr.message };
       }
+
+      // Record the dispatch outcome; failed dispatches are retried by the sweeper
+      await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: `/rest/v1/workflow_events?id=eq.${encodeURIComponent(eventId)}`,
+        method: "PATCH",
+        body: triggerResult?.error
+          ? { dispatch_attempts: 1, last_dispatch_error: String(triggerResult.error) }
+          : { dispatch_attempts: 1, dispatched_at: new Date().toISOString() },
+        headers: { Prefer: "return=minimal" },
+      }).catch(() => {});
     } else {
       triggerResult = { skipped: true, reason: "TRIGGER_SECRET_KEY not configured" };
     }
@@ -2,6 +2,8 @@
 // Twilio webhook for incoming SMS messages.
 // Writes to messages table and emits an sms.inbound event to trigger automations.
 
+import { getOrgForMessaging, getTwilioAuthToken, getWebhookUrl, isValidTwilioSignature } from "./_lib/twilio.js";
+
 const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
 
 async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers }) {
@@ -22,14 +24,20 @@ async function sbRest({ supabaseUrl, serviceKey, path, method, body, headers })
   return { ok: resp.ok, status: resp.status, json, text };
 }
 
-// Map Messaging Service SID → org slug (configured via env vars)
-function getOrgForMessagingService(msSid) {
-  const map = {
-    [process.env.TWILIO_MS_VECTOR || ""]: { slug: "vector", orgId: Number(process.env.ORG_ID_VECTOR || 1) },
-    [process.env.TWILIO_MS_BMG || ""]: { slug: "bmg", orgId: Number(process.env.ORG_ID_BMG || 2) },
-    [process.env.TWILIO_MS_STUCCO || ""]: { slug: "stucco", orgId: Number(process.env.ORG_ID_STUCCO || 3) },
-  };
-  return map[msSid] || null;
+// CTIA / Twilio opt-out keywords; the whole message must be the keyword
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "REVOKE", "OPTOUT"];
+const OPT_IN_KEYWORDS = ["START", "YES", "UNSTOP"];
+const HELP_KEYWORDS = ["HELP", "INFO"];
+
+// Twilio sets OptOutType (STOP/START/HELP) when Advanced Opt-Out is on;
+// otherwise match the keywords ourselves
+function getOptOutType(optOutType, body) {
+  if (optOutType) return String(optOutType).toUpperCase();
+  const word = String(body || "").trim().toUpperCase().replace(/[.!]+$/, "");
+  if (OPT_OUT_KEYWORDS.includes(word)) return "STOP";
+  if (OPT_IN_KEYWORDS.includes(word)) return "START";
+  if (HELP_KEYWORDS.includes(word)) return "HELP";
+  return null;
 }
 
 export default async function handler(req, res) {
@@ -52,15 +60,31 @@ export default async function handler(req, res) {
       MessageSid: messageSid,
       MessagingServiceSid: msSid,
       NumMedia: numMedia,
+      OptOutType: optOutTypeParam,
     } = req.body || {};
 
-    console.log("Inbound SMS:", { from, to, body: (body || "").substring(0, 50), messageSid });
-
     // Determine which org this belongs to
-    const orgInfo = getOrgForMessagingService(msSid);
+    const orgInfo = await getOrgForMessaging({ supabaseUrl, serviceKey, msSid, number: to });
     const orgId = orgInfo?.orgId || null;
     const orgSlug = orgInfo?.slug || "unknown";
 
+    // Reject anything Twilio didn't sign — otherwise anyone with the URL could
+    // insert messages and fire sms.inbound automations
+    const signature = req.headers["x-twilio-signature"];
+    const url = getWebhookUrl(req);
+    if (!isValidTwilioSignature({ authToken: getTwilioAuthToken(orgInfo?.slug), signature, url, params: req.body })) {
+      console.warn("twilio-inbound: invalid signature, rejected", {
+        url,
+        hasSignature: !!signature,
+        messageSid,
+        msSid,
+        ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+      });
+      return res.status(403).send("Invalid signature");
+    }
+
+    console.log("Inbound SMS:", { from, to, body: (body || "").substring(0, 50), messageSid });
+
     // Try to find the contact by phone number
     let contactId = null;
     if (from && orgId) {
@@ -76,8 +100,55 @@ export default async function handler(req, res) {
       }
     }
 
+    // STOP/START update the org's suppression list (every send checks it);
+    // HELP is only recorded — Twilio's opt-out handling sends the replies
+    const optOutType = getOptOutType(optOutTypeParam, body);
+    if (optOutType && from && orgId) {
+      const now = new Date().toISOString();
+      const suppression = {
+        org_id: orgId,
+        phone_number: from,
+        source: "keyword",
+        last_keyword: String(body || "").trim().toUpperCase().slice(0, 20) || optOutType,
+        updated_at: now,
+        ...(optOutType === "STOP" ? { opted_out: true, opted_out_at: now } : {}),
+        ...(optOutType === "START" ? { opted_out: false } : {}),
+        // HELP leaves opted_out as it was (a new row defaults to false)
+      };
+      const supResp = await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: "/rest/v1/sms_suppressions?on_conflict=org_id,phone_number",
+        method: "POST",
+        body: suppression,
+        headers: { Prefer: "resolution=merge-duplicates,return=minimal" },
+      });
+      if (!supResp.ok) console.error("sms_suppressions update failed:", supResp.text);
+      console.log("SMS keyword:", { orgId, from, optOutType });
+    }
+
+    // Thread it: one conversation per org + phone number
+    let conversationId = null;
+    if (from && orgId) {
+      const convResp = await sbRest({
+        supabaseUrl,
+        serviceKey,
+        path: "/rest/v1/rpc/record_conversation_message",
+        method: "POST",
+        body: {
+          p_org_id: orgId,
+          p_phone: from,
+          p_contact_id: contactId,
+          p_body: body || "",
+          p_direction: "inbound",
+        },
+      });
+      if (convResp.ok) conversationId = convResp.json;
+      else console.error("record_conversation_message failed:", convResp.text);
+    }
+
     // Save inbound message
-    await sbRest({
+    const savedResp = await sbRest({
       supabaseUrl,
       serviceKey,
       path: "/rest/v1/messages",
@@ -92,10 +163,12 @@ export default async function handler(req, res) {
         twilio_sid: messageSid,
         channel: "sms",
         contact_id: contactId,
+        conversation_id: conversationId,
         media_count: Number(numMedia || 0),
       },
-      headers: { Prefer: "return=minimal" },
+      headers: { Prefer: "return=representation" },
     });
+    const messageId = (savedResp.json || [])[0]?.id || null;
 
     // Emit sms.inbound event to trigger automations
     if (orgId) {
@@ -103,19 +176,24 @@ export default async function handler(req, res) {
       try {
         await fetch(`${baseUrl}/api/trigger-event`, {
           method: "POST",
-          headers: { "Content-Type": "application/json" },
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${serviceKey}` },
           body: JSON.stringify({
             orgId,
             orgSlug,
             eventType: "sms.inbound",
             entityType: "message",
-            entityId: messageSid,
+            // The messages row, so automations can load it as {{message.*}}
+            entityId: messageId || messageSid,
+            idempotencyKey: `sms-${messageSid}`, // Twilio retries webhooks
             payload: {
               from,
               to,
               body: body || "",
               contactId,
+              conversationId,
+              messageId,
               messageSid,
+              optOutType, // STOP / START / HELP, or null
             },
           }),
         });
@@ -1,6 +1,8 @@
 // API route: POST /api/twilio-status
 // Twilio status callback webhook. Updates message delivery status in Supabase.
 
+import { getOrgForMessaging, getTwilioAuthToken, getWebhookUrl, isValidTwilioSignature } from "./_lib/twilio.js";
+
 const DEFAULT_SUPABASE_URL = "https://ilbrtyoeqrbkbbotoopu.supabase.co";
 
 export default async function handler(req, res) {
@@ -17,8 +19,26 @@ export default async function handler(req, res) {
       MessageStatus: messageStatus,
       ErrorCode: errorCode,
       ErrorMessage: errorMessage,
+      MessagingServiceSid: msSid,
+      From: from,
+      To: to,
     } = req.body || {};
 
+    // Unsigned requests could rewrite delivery statuses; reject them
+    const signature = req.headers["x-twilio-signature"];
+    const webhookUrl = getWebhookUrl(req);
+    const orgInfo = await getOrgForMessaging({ supabaseUrl, serviceKey, msSid, number: from });
+    const authToken = getTwilioAuthToken(orgInfo?.slug);
+    if (!isValidTwilioSignature({ authToken, signature, url: webhookUrl, params: req.body })) {
+      console.warn("twilio-status: invalid signature, rejected", {
+        url: webhookUrl,
+        hasSignature: !!signature,
+        messageSid,
+        ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+      });
+      return res.status(403).send("Invalid signature");
+    }
+
     if (!messageSid || !messageStatus) return res.status(200).end();
 
     console.log("SMS status update:", { messageSid, messageStatus, errorCode });
@@ -43,6 +63,23 @@ export default async function handler(req, res) {
       body: JSON.stringify(updateBody),
     });
 
+    // 21610: the recipient replied STOP to this sender at Twilio's level;
+    // suppress them so later sends are skipped instead of failing again
+    if (String(errorCode) === "21610" && orgInfo?.orgId && to) {
+      const now = new Date().toISOString();
+      const supResp = await fetch(`${supabaseUrl}/rest/v1/sms_suppressions?on_conflict=org_id,phone_number`, {
+        method: "POST",
+        headers: {
+          apikey: serviceKey,
+          Authorization: `Bearer ${serviceKey}`,
+          "Content-Type": "application/json",
+          Prefer: "resolution=merge-duplicates,return=minimal",
+        },
+        body: JSON.stringify({ org_id: orgInfo.orgId, phone_number: to, opted_out: true, source: "carrier", opted_out_at: now, updated_at: now }),
+      });
+      if (!supResp.ok) console.error("sms_suppressions update failed:", await supResp.text().catch(() => ""));
+    }
+
     return res.status(200).end();
   } catch (e) {
     console.error("twilio-status error:", e);
@@ -9,6 +9,9 @@ create table if not exists orgs (
   created_at timestamptz default now()
 );
 
+-- IANA timezone used when automations format dates, e.g. America/New_York
+alter table orgs add column if not exists timezone text;
+
 -- Jobsite readiness checklist
 create table if not exists jobsite_readiness (
   id bigint generated by default as identity primary key,
@@ -232,6 +235,12 @@ create table if not exists workflow_steps (
 create index if not exists workflow_steps_org_idx on workflow_steps (org_id);
 create index if not exists workflow_steps_auto_idx on workflow_steps (automation_id);
 
+-- Workflow branching: a step with "parentStep" set runs inside the true/false
+-- branch of the Condition step with that "stepOrder" (same automation), or
+-- the error branch of a step whose config has onError = 'branch'
+alter table workflow_steps add column if not exists "parentStep" int;
+alter table workflow_steps add column if not exists branch text; -- true, false, error
+
 -- Move milestones, access, labels, materials
 create table if not exists move_milestones (
   id bigint generated by default as identity primary key,
@@ -319,3 +328,418 @@ alter table warehouse_rows add column if not exists org_id bigint references org
 alter table warehouse_bays add column if not exists org_id bigint references orgs(id) on delete cascade;
 alter table warehouse_bins add column if not exists org_id bigint references orgs(id) on delete cascade;
 alter table inventory_items add column if not exists org_id bigint references orgs(id) on delete cascade;
+
+-- ============================================================
+-- Row level security. Every org-scoped table is visible only to
+-- staff of that org (users.auth_id = the Supabase JWT's user),
+-- and each operation needs the matching section/action in the
+-- staff_roles / staff_permissions grid from Settings (select =
+-- view, insert = create, update = edit, delete = delete). The
+-- Admin role and admin/owner users pass every check, as in
+-- api/_lib/auth.js. The service role key bypasses all of this;
+-- the anon key on its own sees nothing.
+-- ============================================================
+
+-- Rows from before org scoping were shown in the default org by the
+-- browser; put them there so the policies can compare org_id directly.
+-- users, staff_roles and staff_permissions keep null = every org.
+do $$
+declare
+  v_org bigint := coalesce((select id from orgs where slug = 'vector'), (select min(id) from orgs));
+  t text;
+begin
+  if v_org is null then return; end if;
+  foreach t in array array[
+    'clients', 'people', 'projects', 'scans', 'scan_inbox', 'shipments', 'punchlist', 'dispatches',
+    'loading_sheets', 'project_completions', 'jobsite_readiness', 'time_entries', 'project_updates',
+    'change_orders', 'move_checklists', 'move_items', 'surveys', 'survey_rooms', 'survey_items',
+    'quotes', 'quote_items', 'quote_share_links', 'move_milestones', 'move_access', 'move_labels',
+    'move_materials', 'integrations', 'warehouse_rows', 'warehouse_bays', 'warehouse_bins',
+    'inventory_items', 'automations', 'automation_folders', 'workflow_steps'
+  ] loop
+    execute format('update %I set org_id = $1 where org_id is null', t) using v_org;
+  end loop;
+end $$;
+
+alter table users add column if not exists is_active boolean default true;
+
+-- The caller is active staff of p_org_id (a users row with no org_id
+-- belongs to every org)
+create or replace function is_org_member(p_org_id bigint) returns boolean
+language sql stable security definer set search_path = public
+as $$
+  select p_org_id is not null and exists (
+    select 1 from users u
+    where u.auth_id::text = auth.uid()::text
+      and coalesce(u.is_active, true)
+      and (u.org_id = p_org_id or u.org_id is null)
+  );
+$$;
+
+-- The caller may do p_action ('view', 'create', 'edit', 'delete') in
+-- p_section of p_org_id. A null section only asks for membership.
+create or replace function has_org_permission(p_org_id bigint, p_section text, p_action text) returns boolean
+language sql stable security definer set search_path = public
+as $$
+  select p_org_id is not null and exists (
+    select 1 from users u
+    left join staff_roles r on r.id = u.role_id and (r.org_id is null or r.org_id = p_org_id)
+    where u.auth_id::text = auth.uid()::text
+      and coalesce(u.is_active, true)
+      and (u.org_id = p_org_id or u.org_id is null)
+      and (
+        p_section is null
+        or lower(trim(coalesce(u.role, ''))) in ('admin', 'owner')
+        or r.name = 'Admin'
+        or exists (
+          select 1 from staff_permissions p
+          where p.role_id = r.id and p.section = p_section and p.action = p_action and p.allowed
+        )
+      )
+  );
+$$;
+
+-- Called by the browser right after sign-in: the caller's users row, linking
+-- rows an admin pre-created for their email on first login. Anyone else gets
+-- an inactive row an admin has to enable (and give an org) first.
+create or replace function link_auth_user() returns users
+language plpgsql security definer set search_path = public
+as $$
+declare
+  v_email text := lower(auth.jwt() ->> 'email');
+  v_user users;
+begin
+  if auth.uid() is null then return null; end if;
+
+  select * into v_user from users where auth_id::text = auth.uid()::text order by id limit 1;
+  if v_user.id is null and v_email is not null then
+    update users set auth_id = auth.uid() where lower(email) = v_email and auth_id is null;
+    select * into v_user from users where auth_id::text = auth.uid()::text order by id limit 1;
+  end if;
+  if v_user.id is null then
+    insert into users (email, auth_id, is_staff, is_active, role)
+    values (v_email, auth.uid(), true, false, 'staff')
+    returning * into v_user;
+  end if;
+
+  update users set last_login = now() where id = v_user.id;
+  v_user.last_login := now();
+  return v_user;
+end;
+$$;
+
+revoke execute on function link_auth_user() from public, anon;
+grant execute on function link_auth_user() to authenticated;
+
+-- Enable RLS on p_table and (re)create its four policies for p_section
+create or replace function apply_org_policies(p_table text, p_section text) returns void
+language plpgsql
+as $$
+begin
+  execute format('alter table %I enable row level security', p_table);
+  execute format('drop policy if exists org_select on %I', p_table);
+  execute format('drop policy if exists org_insert on %I', p_table);
+  execute format('drop policy if exists org_update on %I', p_table);
+  execute format('drop policy if exists org_delete on %I', p_table);
+  execute format('create policy org_select on %I for select to authenticated using (has_org_permission(org_id, %L, ''view''))', p_table, p_section);
+  execute format('create policy org_insert on %I for insert to authenticated with check (has_org_permission(org_id, %L, ''create''))', p_table, p_section);
+  execute format('create policy org_update on %I for update to authenticated using (has_org_permission(org_id, %L, ''edit'')) with check (has_org_permission(org_id, %L, ''edit''))', p_table, p_section, p_section);
+  execute format('create policy org_delete on %I for delete to authenticated using (has_org_permission(org_id, %L, ''delete''))', p_table, p_section);
+end;
+$$;
+
+select apply_org_policies(t.name, t.section) from (values
+  ('clients', 'clients'),
+  ('people', 'people'),
+  ('scans', 'receiving'),
+  ('scan_inbox', 'receiving'),
+  ('shipments', 'receiving'),
+  ('warehouse_rows', 'warehouse'),
+  ('warehouse_bays', 'warehouse'),
+  ('warehouse_bins', 'warehouse'),
+  ('inventory_items', 'warehouse'),
+  ('dispatches', 'dispatch'),
+  ('loading_sheets', 'dispatch'),
+  ('projects', 'projects'),
+  ('punchlist', 'projects'),
+  ('project_completions', 'projects'),
+  ('jobsite_readiness', 'projects'),
+  ('time_entries', 'projects'),
+  ('project_updates', 'projects'),
+  ('change_orders', 'projects'),
+  ('move_checklists', 'projects'),
+  ('move_items', 'projects'),
+  ('move_milestones', 'projects'),
+  ('move_access', 'projects'),
+  ('move_labels', 'projects'),
+  ('move_materials', 'projects'),
+  ('surveys', 'projects'),
+  ('survey_rooms', 'projects'),
+  ('survey_items', 'projects'),
+  ('quotes', 'projects'),
+  ('quote_items', 'projects'),
+  ('quote_share_links', 'projects'),
+  ('integrations', 'settings'),
+  ('automations', 'settings'),
+  ('automation_folders', 'settings'),
+  ('workflow_steps', 'settings')
+) as t(name, section);
+
+-- Inventory custom fields have no org_id of their own: they follow their item
+alter table item_custom_fields enable row level security;
+drop policy if exists org_select on item_custom_fields;
+drop policy if exists org_write on item_custom_fields;
+create policy org_select on item_custom_fields for select to authenticated
+  using (exists (select 1 from inventory_items i where i.id = item_id and has_org_permission(i.org_id, 'warehouse', 'view')));
+create policy org_write on item_custom_fields for all to authenticated
+  using (exists (select 1 from inventory_items i where i.id = item_id and has_org_permission(i.org_id, 'warehouse', 'edit')))
+  with check (exists (select 1 from inventory_items i where i.id = item_id and has_org_permission(i.org_id, 'warehouse', 'edit')));
+
+-- Orgs: members see theirs; Settings editors may rename them
+alter table orgs enable row level security;
+drop policy if exists org_select on orgs;
+drop policy if exists org_update on orgs;
+create policy org_select on orgs for select to authenticated using (is_org_member(id));
+create policy org_update on orgs for update to authenticated
+  using (has_org_permission(id, 'settings', 'edit')) with check (has_org_permission(id, 'settings', 'edit'));
+
+-- Roles and the permission grid: every member reads them (the UI needs them
+-- to know what to offer), Settings decides who changes them. Rows with no
+-- org_id are shared by every org and only change through the service role.
+alter table staff_roles enable row level security;
+alter table staff_permissions enable row level security;
+drop policy if exists org_select on staff_roles;
+drop policy if exists org_write on staff_roles;
+drop policy if exists org_select on staff_permissions;
+drop policy if exists org_write on staff_permissions;
+create policy org_select on staff_roles for select to authenticated
+  using (is_org_member(org_id) or (org_id is null and exists (select 1 from users u where u.auth_id::text = auth.uid()::text and coalesce(u.is_active, true))));
+create policy org_write on staff_roles for all to authenticated
+  using (has_org_permission(org_id, 'settings', 'edit')) with check (has_org_permission(org_id, 'settings', 'edit'));
+create policy org_select on staff_permissions for select to authenticated
+  using (is_org_member(org_id) or (org_id is null and exists (select 1 from users u where u.auth_id::text = auth.uid()::text and coalesce(u.is_active, true))));
+create policy org_write on staff_permissions for all to authenticated
+  using (has_org_permission(org_id, 'settings', 'edit')) with check (has_org_permission(org_id, 'settings', 'edit'));
+
+-- Users: your own row and your org's staff are readable; only Settings
+-- editors add, change or remove them (so nobody can raise their own role)
+alter table users enable row level security;
+drop policy if exists org_select on users;
+drop policy if exists org_insert on users;
+drop policy if exists org_update on users;
+drop policy if exists org_delete on users;
+create policy org_select on users for select to authenticated
+  using (auth_id::text = auth.uid()::text or is_org_member(org_id));
+create policy org_insert on users for insert to authenticated with check (has_org_permission(org_id, 'settings', 'create'));
+create policy org_update on users for update to authenticated
+  using (has_org_permission(org_id, 'settings', 'edit')) with check (has_org_permission(org_id, 'settings', 'edit'));
+create policy org_delete on users for delete to authenticated using (has_org_permission(org_id, 'settings', 'delete'));
+
+-- A Settings editor passes the policies above for their own row too, so
+-- the columns that decide what a user may do can't be changed by that
+-- user: another admin has to. Server code (service role, no auth.uid())
+-- is not affected.
+create or replace function protect_own_user_row() returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null and old.auth_id::text = auth.uid()::text and (
+    new.role is distinct from old.role or new.role_id is distinct from old.role_id
+    or new.is_active is distinct from old.is_active or new.org_id is distinct from old.org_id
+  ) then
+    raise exception 'You can''t change your own role, access or org' using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists users_protect_own_row on users;
+create trigger users_protect_own_row before update on users
+  for each row execute function protect_own_user_row();
+
+-- ============================================================
+-- Client portal sign-in (/api/portal). One row per emailed
+-- code + magic link; only hashes are stored. Server-only: RLS
+-- on, no policies.
+-- ============================================================
+create table if not exists portal_login_codes (
+  id bigint generated by default as identity primary key,
+  email text not null,
+  code_hash text not null,
+  token_hash text not null unique,
+  attempts int not null default 0,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz default now()
+);
+
+create index if not exists portal_login_codes_email_idx on portal_login_codes (email, created_at desc);
+
+alter table portal_login_codes enable row level security;
+
+-- Sign-in looks up the lowercased address with exact matches on
+-- clients.email and projects.pm_emails, so both are stored lowercased
+create or replace function lowercase_portal_emails() returns trigger
+language plpgsql
+as $$
+begin
+  if tg_table_name = 'clients' then
+    new.email := lower(trim(new.email));
+  elsif new.pm_emails is not null then
+    new.pm_emails := array(select lower(trim(e)) from unnest(new.pm_emails) with ordinality as t(e, i) order by i);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists clients_lowercase_email on clients;
+create trigger clients_lowercase_email before insert or update of email on clients
+  for each row execute function lowercase_portal_emails();
+drop trigger if exists projects_lowercase_pm_emails on projects;
+create trigger projects_lowercase_pm_emails before insert or update of pm_emails on projects
+  for each row execute function lowercase_portal_emails();
+
+update clients set email = lower(trim(email)) where email is distinct from lower(trim(email));
+update projects set pm_emails = pm_emails
+  where exists (select 1 from unnest(pm_emails) as e where e is distinct from lower(trim(e)));
+
+-- ============================================================
+-- Remote quote acceptance through the share link
+-- (/api/quote-share). The signer may leave out optional lines;
+-- accepting locks the quote: its lines, totals, status and
+-- signature can't change afterwards (send a new version instead).
+-- accepted_snapshot is exactly what was signed.
+-- ============================================================
+alter table quotes add column if not exists signature_type text;        -- drawn, typed
+alter table quotes add column if not exists signed_ip text;
+alter table quotes add column if not exists signed_user_agent text;
+alter table quotes add column if not exists locked_at timestamptz;
+alter table quotes add column if not exists accepted_snapshot jsonb;    -- { version, items, subtotal, tax, total }
+alter table quotes add column if not exists declined_at timestamptz;
+alter table quotes add column if not exists declined_name text;
+alter table quotes add column if not exists decline_reason text;
+
+alter table quote_items add column if not exists optional boolean default false;
+alter table quote_items add column if not exists selected boolean default true;
+
+create or replace function enforce_quote_lock() returns trigger
+language plpgsql
+as $$
+declare
+  v_quote_id bigint;
+begin
+  if tg_table_name = 'quotes' then
+    if old.locked_at is not null and (
+      new.subtotal is distinct from old.subtotal or new.tax is distinct from old.tax
+      or new.total is distinct from old.total or new.version is distinct from old.version
+      or new.locked_at is distinct from old.locked_at or new.accepted_snapshot is distinct from old.accepted_snapshot
+      or new.status is distinct from old.status or new.signature_data is distinct from old.signature_data
+      or new.signature_type is distinct from old.signature_type or new.signed_name is distinct from old.signed_name
+      or new.signed_email is distinct from old.signed_email or new.signed_at is distinct from old.signed_at
+      or new.signed_ip is distinct from old.signed_ip or new.signed_user_agent is distinct from old.signed_user_agent
+    ) then
+      raise exception 'Quote % is signed and locked; create a new version to change it', old.id;
+    end if;
+    return new;
+  end if;
+
+  v_quote_id := case when tg_op = 'DELETE' then old.quote_id else new.quote_id end;
+  if exists (select 1 from quotes where id = v_quote_id and locked_at is not null)
+     or (tg_op = 'UPDATE' and exists (select 1 from quotes where id = old.quote_id and locked_at is not null)) then
+    raise exception 'Quote % is signed and locked; create a new version to change it', v_quote_id;
+  end if;
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+drop trigger if exists quotes_lock on quotes;
+create trigger quotes_lock before update on quotes
+  for each row execute function enforce_quote_lock();
+drop trigger if exists quote_items_lock on quote_items;
+create trigger quote_items_lock before insert or update or delete on quote_items
+  for each row execute function enforce_quote_lock();
+
+-- Accept a quote in one transaction: record which optional lines were kept,
+-- recompute the totals from them, sign and lock. Returns { ok, quote } or
+-- { ok: false, error } when the quote is no longer open for signing.
+create or replace function accept_quote(
+  p_quote_id bigint,
+  p_version int,
+  p_selected_item_ids bigint[],
+  p_signed_name text,
+  p_signed_email text,
+  p_signature_type text,
+  p_signature_data text,
+  p_ip text,
+  p_user_agent text
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_quote quotes;
+  v_items jsonb;
+  v_subtotal numeric;
+begin
+  select * into v_quote from quotes where id = p_quote_id for update;
+  if v_quote.id is null then return jsonb_build_object('ok', false, 'error', 'Quote not found'); end if;
+  if v_quote.locked_at is not null or v_quote.status = 'signed' then
+    return jsonb_build_object('ok', false, 'error', 'Quote is already signed');
+  end if;
+  if v_quote.declined_at is not null then return jsonb_build_object('ok', false, 'error', 'Quote was declined'); end if;
+  if v_quote.expires_at is not null and v_quote.expires_at < current_date then
+    return jsonb_build_object('ok', false, 'error', 'Quote expired');
+  end if;
+  if coalesce(v_quote.version, 1) <> coalesce(p_version, 1) then
+    return jsonb_build_object('ok', false, 'error', 'Quote has changed, reload to see the latest version');
+  end if;
+
+  update quote_items
+  set selected = not coalesce(optional, false) or id = any(coalesce(p_selected_item_ids, '{}'))
+  where quote_id = p_quote_id;
+
+  select coalesce(sum(line_total) filter (where selected), 0),
+         coalesce(jsonb_agg(jsonb_build_object(
+           'id', id, 'name', name, 'qty', qty, 'unit_price', unit_price, 'line_total', line_total,
+           'category', category, 'optional', coalesce(optional, false), 'selected', selected
+         ) order by id), '[]'::jsonb)
+  into v_subtotal, v_items
+  from quote_items where quote_id = p_quote_id;
+
+  update quotes set
+    subtotal = v_subtotal,
+    total = v_subtotal + coalesce(tax, 0),
+    status = 'signed',
+    signed_name = p_signed_name,
+    signed_email = p_signed_email,
+    signed_at = now(),
+    signature_type = p_signature_type,
+    signature_data = p_signature_data,
+    signed_ip = p_ip,
+    signed_user_agent = p_user_agent,
+    locked_at = now(),
+    accepted_snapshot = jsonb_build_object(
+      'version', coalesce(version, 1), 'items', v_items,
+      'subtotal', v_subtotal, 'tax', coalesce(tax, 0), 'total', v_subtotal + coalesce(tax, 0)
+    )
+  where id = p_quote_id
+  returning * into v_quote;
+
+  return jsonb_build_object('ok', true, 'quote', to_jsonb(v_quote));
+end;
+$$;
+
+revoke execute on function accept_quote(bigint, int, bigint[], text, text, text, text, text, text) from public, anon, authenticated;
+
+-- ============================================================
+-- Server-rendered documents (/api/documents/quote/:id and
+-- /api/documents/completion/:id). Org branding for the PDFs and
+-- the private bucket stored copies go to; /api/send-email
+-- attaches them by signed URL.
+-- ============================================================
+alter table orgs add column if not exists logo_url text;          -- https PNG or JPEG
+alter table orgs add column if not exists quote_terms text;
+alter table orgs add column if not exists completion_terms text;
+
+insert into storage.buckets (id, name, public)
+values ('documents', 'documents', false)
+on conflict (id) do nothing;
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { authorizeRequest } from "../api/_lib/auth.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const ENV = { SUPABASE_URL: "https://sb.test", SUPABASE_SERVICE_ROLE_KEY: "service-key" };
+
+// A signed-in user whose users row in org 1 has the given role and no role_id
+async function authorizeAs(role) {
+  return withEnv(ENV, async () => {
+    const stub = stubFetch((url) => {
+      if (url === "https://sb.test/auth/v1/user") return { body: { id: "auth-1", email: "u@example.test" } };
+      if (url.startsWith("https://sb.test/rest/v1/users")) return { body: [{ id: 5, email: "u@example.test", role, role_id: null, org_id: 1 }] };
+    });
+    try {
+      const res = mockRes();
+      const auth = await authorizeRequest(mockReq({ headers: { authorization: "Bearer user-jwt" } }), res, { orgId: 1, permission: ["settings", "edit"] });
+      return { auth, res };
+    } finally {
+      stub.restore();
+    }
+  });
+}
+
+test("authorizeRequest: admin and owner roles have every permission", async () => {
+  for (const role of ["admin", "Owner", " ADMIN "]) {
+    const { auth } = await authorizeAs(role);
+    assert.ok(auth, role);
+  }
+});
+
+test("authorizeRequest: roles that only contain admin/owner are ordinary roles", async () => {
+  for (const role of ["not-admin", "sysadmin-readonly", "owner-assistant", "staff"]) {
+    const { auth, res } = await authorizeAs(role);
+    assert.equal(auth, null, role);
+    assert.equal(res.statusCode, 403, role);
+  }
+});
@@ -0,0 +1,196 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import handler from "../api/documents/[type]/[id].js";
+import { renderCompletionPdf, renderQuotePdf } from "../api/_lib/documents.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const ENV = { SUPABASE_URL: "https://sb.test", SUPABASE_SERVICE_ROLE_KEY: "service-key" };
+
+const ORG = { id: 1, name: "Acme Installs", timezone: "America/Chicago", logo_url: null, quote_terms: "Net 30.", completion_terms: "Warranty: 1 year." };
+const PROJECT = { id: 10, org_id: 1, name: "Lobby Refit", client_id: 20, location: "Springfield" };
+const CLIENT = { id: 20, company: "Globex" };
+
+const SIGNED_QUOTE = {
+  id: 30,
+  org_id: 1,
+  project_id: 10,
+  version: 2,
+  status: "signed",
+  locked_at: "2026-03-02T15:00:00Z",
+  created_at: "2026-03-01T12:00:00Z",
+  subtotal: 1100,
+  tax: 88,
+  total: 1188,
+  signature_type: "typed",
+  signed_name: "Dana Client",
+  signed_email: "dana@globex.test",
+  signed_at: "2026-03-02T15:00:00Z",
+  signed_ip: "203.0.113.7",
+};
+
+const ITEMS = [
+  { name: "Reception desk", qty: 1, unit_price: 1000, line_total: 1000 },
+  { name: "Cable trays", qty: 2, unit_price: 50, line_total: 100, optional: true, selected: true },
+  { name: "Extra shelving", qty: 1, unit_price: 400, line_total: 400, optional: true, selected: false },
+];
+
+// Every string drawn with jsPDF's text(): it writes uncompressed "(...) Tj"
+function pdfText(pdf) {
+  const out = [];
+  for (const m of Buffer.from(pdf).toString("latin1").matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)) {
+    out.push(m[1].replace(/\\(.)/g, "$1"));
+  }
+  return out.join("\n");
+}
+
+test("renderQuotePdf: a signed quote shows what was accepted, without the signer IP", async () => {
+  const pdf = await renderQuotePdf({ org: ORG, project: PROJECT, client: CLIENT, quote: SIGNED_QUOTE, items: ITEMS });
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  const text = pdfText(pdf);
+  assert.match(text, /QUOTE/);
+  assert.match(text, /Version 2/);
+  assert.match(text, /Reception desk/);
+  assert.match(text, /Cable trays \(optional\)/);
+  assert.doesNotMatch(text, /Extra shelving/);
+  assert.match(text, /Total: \$1188\.00/);
+  assert.match(text, /Net 30\./);
+  assert.match(text, /Accepted by/);
+  assert.match(text, /dana@globex\.test/);
+  assert.doesNotMatch(text, /203\.0\.113\.7/);
+  assert.doesNotMatch(text, /IP address/);
+});
+
+test("renderQuotePdf: includeSignerIp adds the IP for staff", async () => {
+  const pdf = await renderQuotePdf({ org: ORG, project: PROJECT, client: CLIENT, quote: SIGNED_QUOTE, items: ITEMS }, { includeSignerIp: true });
+  assert.match(pdfText(pdf), /IP address 203\.0\.113\.7/);
+});
+
+test("renderQuotePdf: an open quote lists every item and has no signature block", async () => {
+  const quote = { ...SIGNED_QUOTE, status: "sent", locked_at: null, signed_name: null, signed_at: null, expires_at: "2026-04-01" };
+  const text = pdfText(await renderQuotePdf({ org: ORG, project: PROJECT, client: CLIENT, quote, items: ITEMS }, { includeSignerIp: true }));
+  assert.match(text, /Extra shelving \(optional\)/);
+  assert.match(text, /Valid until/);
+  assert.doesNotMatch(text, /Accepted by/);
+  assert.doesNotMatch(text, /IP address/);
+});
+
+test("renderCompletionPdf: certificate with checklist count and sign-off", async () => {
+  const completion = {
+    id: 40,
+    org_id: 1,
+    project_id: 10,
+    po_number: "PO-5521",
+    submitted_at: "2026-05-04T20:00:00Z",
+    checklists: { walls: true, floors: true, cleanup: false },
+    product_return: "no",
+    product_damaged: "yes",
+    inventory_damaged_items: "1 shelf bracket",
+    signoff_name: "Dana Client",
+    signoff_email: "dana@globex.test",
+    signoff_confirmed: true,
+    signoff_at: "2026-05-04T21:30:00Z",
+  };
+  const pdf = await renderCompletionPdf({ org: ORG, project: PROJECT, client: CLIENT, lead: { id: 3, name: "Sam Lead" }, completion });
+  const text = pdfText(pdf);
+  assert.match(text, /CERTIFICATE OF COMPLETION/);
+  assert.match(text, /Lobby Refit for Globex has been completed and accepted by the client\./);
+  assert.match(text, /PO-5521/);
+  assert.match(text, /Sam Lead/);
+  assert.match(text, /2 of 3 items confirmed/);
+  assert.match(text, /1 shelf bracket/);
+  assert.match(text, /Warranty: 1 year\./);
+  assert.match(text, /Client sign-off/);
+  assert.match(text, /Confirmed May 4, 2026, 4:30 PM CDT/);
+});
+
+test("renderCompletionPdf: unconfirmed sign-off says so", async () => {
+  const completion = { id: 41, org_id: 1, project_id: 10, signoff_name: "Dana Client", signoff_confirmed: false };
+  const text = pdfText(await renderCompletionPdf({ org: ORG, project: PROJECT, client: CLIENT, lead: null, completion }));
+  assert.match(text, /has been completed\./);
+  assert.match(text, /Sign-off not yet confirmed/);
+});
+
+// Supabase for the quote above; staffOrg is the org of the signed-in user's
+// users row (an admin there)
+function documentsStub({ staffOrg = 1 } = {}) {
+  return stubFetch((url) => {
+    if (url === "https://sb.test/auth/v1/user") return { body: { id: "auth-1", email: "u@example.test" } };
+    if (url.startsWith("https://sb.test/rest/v1/users")) return { body: [{ id: 5, email: "u@example.test", role: "admin", role_id: null, org_id: staffOrg }] };
+    if (url.startsWith("https://sb.test/rest/v1/quotes?id=eq.30")) return { body: [SIGNED_QUOTE] };
+    if (url.startsWith("https://sb.test/rest/v1/quotes")) return { body: [] };
+    if (url.startsWith("https://sb.test/rest/v1/quote_items")) return { body: ITEMS };
+    if (url.startsWith("https://sb.test/rest/v1/orgs")) return { body: [ORG] };
+    if (url.startsWith("https://sb.test/rest/v1/projects")) return { body: [PROJECT] };
+    if (url.startsWith("https://sb.test/rest/v1/clients")) return { body: [CLIENT] };
+    if (url.startsWith("https://sb.test/storage/v1/object/sign/")) return { body: { signedURL: "/object/sign/documents/1/quotes/quote-30-v2.pdf?token=t" } };
+    if (url.startsWith("https://sb.test/storage/v1/object/")) return { body: { Key: "documents/1/quotes/quote-30-v2.pdf" } };
+  });
+}
+
+async function call({ method = "GET", id = "30", orgId = "1", token = "user-jwt" } = {}) {
+  const req = mockReq({ method, headers: { authorization: `Bearer ${token}` }, query: { type: "quote", id, orgId } });
+  const res = mockRes();
+  await handler(req, res);
+  return res;
+}
+
+test("documents route: staff of another org get 403 and nothing is loaded", async () => {
+  await withEnv(ENV, async () => {
+    const stub = documentsStub({ staffOrg: 2 });
+    try {
+      const res = await call();
+      assert.equal(res.statusCode, 403);
+      assert.ok(!stub.calls.some((c) => c.url.includes("/rest/v1/quotes")));
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("documents route: a record from another org is 404, even for the service key", async () => {
+  await withEnv(ENV, async () => {
+    for (const token of ["user-jwt", "service-key"]) {
+      const stub = documentsStub({ staffOrg: 2 });
+      try {
+        const res = await call({ orgId: "2", token });
+        assert.equal(res.statusCode, 404, token);
+        assert.deepEqual(res.body, { error: "Not found" });
+        assert.ok(!stub.calls.some((c) => c.url.includes("/storage/v1/")), token);
+      } finally {
+        stub.restore();
+      }
+    }
+  });
+});
+
+test("documents route: the staff GET shows the signer IP", async () => {
+  await withEnv(ENV, async () => {
+    const stub = documentsStub();
+    try {
+      const res = await call();
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers["content-type"], "application/pdf");
+      assert.match(pdfText(res.body), /IP address 203\.0\.113\.7/);
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("documents route: stored copies (POST) leave the signer IP out", async () => {
+  await withEnv(ENV, async () => {
+    const stub = documentsStub();
+    try {
+      const res = await call({ method: "POST", token: "service-key" });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.path, "1/quotes/quote-30-v2.pdf");
+      const upload = stub.calls.find((c) => c.url === "https://sb.test/storage/v1/object/documents/1/quotes/quote-30-v2.pdf");
+      const text = pdfText(upload.body);
+      assert.match(text, /Accepted by/);
+      assert.doesNotMatch(text, /203\.0\.113\.7/);
+    } finally {
+      stub.restore();
+    }
+  });
+});
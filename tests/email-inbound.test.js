@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import handler from "../api/email-inbound.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const ENV = { GRAPH_WEBHOOK_SECRET: "graph-secret", TRIGGER_SECRET_KEY: "tr_test" };
+
+function notification(overrides = {}) {
+  return { subscriptionId: "sub-1", clientState: "graph-secret", changeType: "created", resourceData: { id: "AAMk-1" }, ...overrides };
+}
+
+async function call(value) {
+  const res = mockRes();
+  await handler(mockReq({ body: { value } }), res);
+  return res;
+}
+
+test("handler: echoes the subscription validation token", async () => {
+  const res = mockRes();
+  await handler(mockReq({ query: { validationToken: "abc 123" } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, "abc 123");
+});
+
+test("handler: queues process-inbound-email keyed by subscription and message, and does nothing else", async () => {
+  await withEnv(ENV, async () => {
+    const stub = stubFetch(() => ({ body: { id: "run_1" } }));
+    try {
+      const res = await call([notification()]);
+      assert.equal(res.statusCode, 202);
+      assert.deepEqual(res.body, { ok: true, queued: 1 });
+      assert.equal(stub.calls.length, 1);
+      assert.equal(stub.calls[0].url, "https://api.trigger.dev/api/v1/tasks/process-inbound-email/trigger");
+      assert.deepEqual(JSON.parse(stub.calls[0].body), {
+        payload: { subscriptionId: "sub-1", messageId: "AAMk-1" },
+        options: { idempotencyKey: "email-sub-1-AAMk-1" },
+      });
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: a wrong clientState or a non-created change is ignored", async () => {
+  await withEnv(ENV, async () => {
+    const stub = stubFetch(() => ({ body: {} }));
+    try {
+      const res = await call([notification({ clientState: "nope" }), notification({ changeType: "updated" })]);
+      assert.equal(res.statusCode, 202);
+      assert.equal(res.body.queued, 0);
+      assert.equal(stub.calls.length, 0);
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: a failed queue call is a 5xx so Graph redelivers", async () => {
+  await withEnv(ENV, async () => {
+    const stub = stubFetch(() => ({ status: 500, body: { error: "down" } }));
+    try {
+      const res = await call([notification()]);
+      assert.equal(res.statusCode, 503);
+    } finally {
+      stub.restore();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import handler, { isAllowed, resolveEndpoint } from "../api/ghl-proxy.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const ENV = { SUPABASE_URL: "https://sb.test", SUPABASE_SERVICE_ROLE_KEY: "service-key" };
+
+test("resolveEndpoint rejects dot segments, encoded or not", () => {
+  for (const endpoint of [
+    "contacts/../opportunities/X",
+    "contacts/%2e%2e/opportunities/X",
+    "contacts/.%2E/opportunities/X",
+    "contacts/%2e/X",
+    "contacts/a%2Fb",
+    "contacts/a%5Cb",
+    "contacts//X",
+    "https://evil.example/v1/contacts",
+    "contacts/%E0%A4%A",
+  ]) {
+    assert.equal(resolveEndpoint(endpoint), null, endpoint);
+  }
+});
+
+test("resolveEndpoint matches on the decoded path and re-encodes the URL", () => {
+  assert.deepEqual(resolveEndpoint("/contacts/a%20b/?limit=5"), { path: "contacts/a b", url: "contacts/a%20b?limit=5" });
+  assert.deepEqual(resolveEndpoint("pipelines"), { path: "pipelines", url: "pipelines" });
+});
+
+test("isAllowed: * is one segment, ** the rest", () => {
+  assert.equal(isAllowed(["PUT contacts/*"], "PUT", "contacts/abc"), true);
+  assert.equal(isAllowed(["PUT contacts/*"], "PUT", "contacts/abc/tags"), false);
+  assert.equal(isAllowed(["GET pipelines/**"], "GET", "pipelines"), true);
+  assert.equal(isAllowed(["GET pipelines/**"], "DELETE", "pipelines/1"), false);
+});
+
+// Supabase and GHL for a service-key caller of org 1; countRows is what the
+// rate-limit count returns
+function ghlStub({ allowlist, countRows = [] }) {
+  return stubFetch((url, init) => {
+    if (url.includes("/rest/v1/ghl_config")) return { body: [{ org_id: 1, ghl_api_key: "ghl-key", proxy_allowlist: allowlist, proxy_rate_limit: 2 }] };
+    if (url.includes("/rest/v1/ghl_proxy_audit") && init.method === "POST") return { status: 201, body: [{ id: 7 }] };
+    if (url.includes("/rest/v1/ghl_proxy_audit") && init.method === "GET") return { body: countRows };
+    if (url.includes("/rest/v1/ghl_proxy_audit") && init.method === "PATCH") return { status: 204 };
+    if (url.startsWith("https://rest.gohighlevel.com/")) return { body: { ok: true } };
+  });
+}
+
+async function call(body) {
+  const req = mockReq({ headers: { authorization: "Bearer service-key" }, body });
+  const res = mockRes();
+  await handler(req, res);
+  return res;
+}
+
+test("handler: encoded dot segments can't escape a contacts/** rule", async () => {
+  await withEnv(ENV, async () => {
+    const stub = ghlStub({ allowlist: ["DELETE contacts/**"] });
+    try {
+      const res = await call({ org_id: 1, method: "DELETE", endpoint: "contacts/%2e%2e/opportunities/X" });
+      assert.equal(res.statusCode, 403);
+      assert.ok(!stub.calls.some((c) => c.url.startsWith("https://rest.gohighlevel.com/")));
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: reserves the audit row before forwarding, then records the result", async () => {
+  await withEnv(ENV, async () => {
+    const stub = ghlStub({ allowlist: ["DELETE contacts/**"], countRows: [{ id: 6 }, { id: 7 }] });
+    try {
+      const res = await call({ org_id: 1, method: "DELETE", endpoint: "contacts/abc" });
+      assert.equal(res.statusCode, 200);
+      const urls = stub.calls.map((c) => `${c.method} ${c.url}`);
+      const reserve = urls.findIndex((u) => u.startsWith("POST https://sb.test/rest/v1/ghl_proxy_audit"));
+      const ghl = urls.indexOf("DELETE https://rest.gohighlevel.com/v1/contacts/abc");
+      const result = urls.findIndex((u) => u.startsWith("PATCH https://sb.test/rest/v1/ghl_proxy_audit?id=eq.7"));
+      assert.ok(reserve >= 0 && reserve < ghl && ghl < result, urls.join("\n"));
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: over the limit, the reservation is marked rate limited and nothing is forwarded", async () => {
+  await withEnv(ENV, async () => {
+    const stub = ghlStub({ allowlist: ["GET contacts/**"], countRows: [{ id: 5 }, { id: 6 }, { id: 7 }] });
+    try {
+      const res = await call({ org_id: 1, method: "GET", endpoint: "contacts/abc" });
+      assert.equal(res.statusCode, 429);
+      assert.ok(!stub.calls.some((c) => c.url.startsWith("https://rest.gohighlevel.com/")));
+      const patch = stub.calls.find((c) => c.method === "PATCH");
+      assert.deepEqual(JSON.parse(patch.body), { allowed: false, status: 429, duration_ms: 0, error: "rate limited" });
+    } finally {
+      stub.restore();
+    }
+  });
+});
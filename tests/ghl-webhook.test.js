@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import handler from "../api/ghl-webhook.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const ENV = { SUPABASE_URL: "https://sb.test", SUPABASE_SERVICE_ROLE_KEY: "service-key", TRIGGER_SECRET_KEY: undefined };
+
+// ghl_config for location loc-1 and, optionally, the stored contact
+function ghlStub(stored = null) {
+  return stubFetch((url, init) => {
+    if (url.includes("/rest/v1/ghl_config")) return { body: [{ org_id: 1, webhook_secret: "hook-secret", pull_settings: {} }] };
+    if (url.includes("/rest/v1/ghl_entity_map") && init.method === "GET") return { body: stored ? [stored] : [] };
+    if (url.includes("/rest/v1/ghl_entity_map") && init.method === "POST") return { status: 201 };
+  });
+}
+
+const contactUpdate = (dateUpdated) => ({ type: "ContactUpdate", locationId: "loc-1", id: "c-1", firstName: "Ann", dateUpdated });
+
+async function call({ headers = {}, query = {}, body }) {
+  const res = mockRes();
+  await handler(mockReq({ headers, query, body }), res);
+  return res;
+}
+
+test("handler: the secret is only accepted in the X-GHL-Webhook-Secret header", async () => {
+  await withEnv(ENV, async () => {
+    const stub = ghlStub();
+    try {
+      const viaQuery = await call({ query: { secret: "hook-secret" }, body: contactUpdate("2026-03-01T10:00:00Z") });
+      assert.equal(viaQuery.statusCode, 401);
+      const viaHeader = await call({ headers: { "x-ghl-webhook-secret": "hook-secret" }, body: contactUpdate("2026-03-01T10:00:00Z") });
+      assert.equal(viaHeader.statusCode, 200);
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: a payload older than the stored dateUpdated is ignored", async () => {
+  await withEnv(ENV, async () => {
+    const stub = ghlStub({ ghl_data: { id: "c-1", firstName: "Anna", dateUpdated: "2026-03-02T10:00:00Z" } });
+    try {
+      const res = await call({ headers: { "x-ghl-webhook-secret": "hook-secret" }, body: contactUpdate("2026-03-01T10:00:00Z") });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.ignored, "stale");
+      assert.ok(!stub.calls.some((c) => c.method === "POST"));
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: a newer payload is merged over the stored record", async () => {
+  await withEnv(ENV, async () => {
+    const stub = ghlStub({ ghl_data: { id: "c-1", firstName: "Anna", email: "a@example.test", dateUpdated: "2026-03-02T10:00:00Z" } });
+    try {
+      const res = await call({ headers: { "x-ghl-webhook-secret": "hook-secret" }, body: contactUpdate("2026-03-03T10:00:00Z") });
+      assert.equal(res.statusCode, 200);
+      const saved = JSON.parse(stub.calls.find((c) => c.method === "POST").body);
+      assert.equal(saved.ghl_data.firstName, "Ann");
+      assert.equal(saved.ghl_data.email, "a@example.test");
+    } finally {
+      stub.restore();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+// Doubles for calling Vercel route handlers directly: a req/res pair and a
+// fetch stub that answers Supabase, Twilio, GHL, ... from a router function.
+
+export function mockReq({ method = "POST", url = "/", headers = {}, body = undefined, query = {} } = {}) {
+  return { method, url, headers: { host: "crm.example.com", ...headers }, body, query, socket: {} };
+}
+
+export function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    ended: false,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    json(body) { this.body = body; this.ended = true; return this; },
+    send(body) { this.body = body; this.ended = true; return this; },
+    end() { this.ended = true; return this; },
+  };
+}
+
+// Replaces global fetch. route(url, init) returns { status?, body? } (body is
+// sent as JSON), a Response, or undefined for 404. Every call is recorded.
+export function stubFetch(route) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input);
+    const method = (init.method || "GET").toUpperCase();
+    const call = { url, method, headers: init.headers || {}, body: init.body };
+    calls.push(call);
+    const out = await route(url, { ...init, method });
+    if (out instanceof Response) return out;
+    if (!out) return new Response("not found", { status: 404 });
+    const status = out.status ?? 200;
+    const text = out.body === undefined || status === 204 ? null : JSON.stringify(out.body);
+    return new Response(text, { status, headers: { "Content-Type": "application/json" } });
+  };
+  return { calls, restore: () => { globalThis.fetch = original; } };
+}
+
+// Runs fn with the given env vars set, restoring them afterwards
+export async function withEnv(vars, fn) {
+  const saved = {};
+  for (const [key, value] of Object.entries(vars)) {
+    saved[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
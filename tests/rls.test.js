@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+// Runs rls.test.sql with psql against $DATABASE_URL (a database with
+// schema_updates.sql applied, e.g. `supabase start`). The script rolls
+// everything back. Skipped when DATABASE_URL isn't set.
+const databaseUrl = process.env.DATABASE_URL;
+
+test("row level security (rls.test.sql)", { skip: databaseUrl ? false : "DATABASE_URL not set" }, () => {
+  const file = fileURLToPath(new URL("./rls.test.sql", import.meta.url));
+  const out = spawnSync("psql", [databaseUrl, "-X", "-q", "-v", "ON_ERROR_STOP=1", "-f", file], { encoding: "utf-8", timeout: 120000 });
+  if (out.error) throw out.error;
+  assert.equal(out.status, 0, out.stderr || out.stdout);
+  assert.match(out.stdout, /rls: all checks passed/);
+});
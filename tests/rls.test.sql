@@ -0,0 +1,212 @@
+-- Row level security tests for the policies in schema_updates.sql.
+-- Runs as the `authenticated` role with a Supabase JWT for each test user
+-- and checks that staff of org A cannot read or write org B's rows, that
+-- an inactive user sees and changes nothing, and that a Settings editor
+-- can't raise their own role. Everything happens in one transaction that
+-- is rolled back.
+--
+-- Run against a database with schema_updates.sql applied (e.g. the local
+-- Supabase stack from `supabase start`):
+--   npm run test:rls            (uses $DATABASE_URL)
+-- npm test runs it too (tests/rls.test.js) when DATABASE_URL is set, which
+-- is how CI runs it (.github/workflows/test.yml).
+-- Any failed check raises and psql exits non-zero.
+
+\set ON_ERROR_STOP on
+begin;
+
+-- ------------------------------------------------------------------
+-- Fixtures (as the table owner; RLS does not apply here)
+-- ------------------------------------------------------------------
+insert into auth.users (id, email) values
+  ('00000000-0000-4000-a000-00000000000a', 'rls-member-a@example.test'),
+  ('00000000-0000-4000-a000-00000000000b', 'rls-inactive@example.test'),
+  ('00000000-0000-4000-a000-00000000000c', 'rls-settings@example.test')
+on conflict (id) do nothing;
+
+do $$
+declare
+  v_org_a bigint;
+  v_org_b bigint;
+  v_role bigint;
+  v_settings_role bigint;
+begin
+  insert into orgs (name, slug) values ('RLS Test A', 'rls-test-a') returning id into v_org_a;
+  insert into orgs (name, slug) values ('RLS Test B', 'rls-test-b') returning id into v_org_b;
+
+  -- Full Clients access, but only in org A
+  insert into staff_roles (name, org_id) values ('RLS Clients', v_org_a) returning id into v_role;
+  insert into staff_permissions (role_id, org_id, section, action, allowed)
+  select v_role, v_org_a, 'clients', a, true from unnest(array['view', 'create', 'edit', 'delete']) as a;
+
+  -- Manages staff (Settings), but is not an admin
+  insert into staff_roles (name, org_id) values ('RLS Settings', v_org_a) returning id into v_settings_role;
+  insert into staff_permissions (role_id, org_id, section, action, allowed)
+  select v_settings_role, v_org_a, 'settings', a, true from unnest(array['view', 'create', 'edit', 'delete']) as a;
+
+  insert into users (email, auth_id, org_id, role, role_id, is_staff, is_active) values
+    ('rls-member-a@example.test', '00000000-0000-4000-a000-00000000000a', v_org_a, 'staff', v_role, true, true),
+    -- An admin of org A who has been deactivated: nothing may pass
+    ('rls-inactive@example.test', '00000000-0000-4000-a000-00000000000b', v_org_a, 'admin', null, true, false),
+    ('rls-settings@example.test', '00000000-0000-4000-a000-00000000000c', v_org_a, 'staff', v_settings_role, true, true);
+
+  insert into clients (org_id, company, email) values
+    (v_org_a, 'RLS Client A', 'a@example.test'),
+    (v_org_b, 'RLS Client B', 'b@example.test');
+
+  perform set_config('rls_test.org_a', v_org_a::text, true);
+  perform set_config('rls_test.org_b', v_org_b::text, true);
+  perform set_config('rls_test.clients_role', v_role::text, true);
+end $$;
+
+-- ------------------------------------------------------------------
+-- Active member of org A
+-- ------------------------------------------------------------------
+set local role authenticated;
+set local request.jwt.claim.sub = '00000000-0000-4000-a000-00000000000a';
+set local request.jwt.claims = '{"sub": "00000000-0000-4000-a000-00000000000a", "role": "authenticated"}';
+
+do $$
+declare
+  v_org_a bigint := current_setting('rls_test.org_a')::bigint;
+  v_org_b bigint := current_setting('rls_test.org_b')::bigint;
+  n int;
+begin
+  -- Reads: own org yes (so the checks below are not vacuous), org B no
+  select count(*) into n from clients where org_id = v_org_a;
+  if n <> 1 then raise exception 'FAIL: member of A sees % of org A''s clients, expected 1', n; end if;
+  select count(*) into n from clients where org_id = v_org_b;
+  if n <> 0 then raise exception 'FAIL: member of A can read org B''s clients'; end if;
+  select count(*) into n from orgs where id = v_org_b;
+  if n <> 0 then raise exception 'FAIL: member of A can read org B'; end if;
+  select count(*) into n from users where org_id = v_org_b;
+  if n <> 0 then raise exception 'FAIL: member of A can read org B''s users'; end if;
+
+  -- Insert into org B
+  begin
+    insert into clients (org_id, company) values (v_org_b, 'RLS Injected');
+    raise exception 'FAIL: member of A inserted a client into org B';
+  exception when insufficient_privilege then null;
+  end;
+
+  -- Update and delete org B's rows: filtered out, nothing changes
+  update clients set company = 'RLS Hijacked' where org_id = v_org_b;
+  get diagnostics n = row_count;
+  if n <> 0 then raise exception 'FAIL: member of A updated % of org B''s clients', n; end if;
+  delete from clients where org_id = v_org_b;
+  get diagnostics n = row_count;
+  if n <> 0 then raise exception 'FAIL: member of A deleted % of org B''s clients', n; end if;
+
+  -- Move an own row into org B
+  begin
+    update clients set org_id = v_org_b where org_id = v_org_a;
+    raise exception 'FAIL: member of A moved a client into org B';
+  exception when insufficient_privilege then null;
+  end;
+
+  -- Raise own role / join org B (needs Settings edit)
+  update users set role = 'admin' where auth_id::text = '00000000-0000-4000-a000-00000000000a';
+  get diagnostics n = row_count;
+  if n <> 0 then raise exception 'FAIL: member of A changed their own role'; end if;
+  begin
+    insert into users (email, auth_id, org_id, is_active) values ('rls-member-a@example.test', '00000000-0000-4000-a000-00000000000a', v_org_b, true);
+    raise exception 'FAIL: member of A added themselves to org B';
+  exception when insufficient_privilege then null;
+  end;
+end $$;
+
+reset role;
+
+do $$
+declare
+  n int;
+begin
+  select count(*) into n from clients where org_id = current_setting('rls_test.org_b')::bigint and company = 'RLS Client B';
+  if n <> 1 then raise exception 'FAIL: org B''s client was changed by a member of A'; end if;
+end $$;
+
+-- ------------------------------------------------------------------
+-- Inactive user (an admin of org A, deactivated)
+-- ------------------------------------------------------------------
+set local role authenticated;
+set local request.jwt.claim.sub = '00000000-0000-4000-a000-00000000000b';
+set local request.jwt.claims = '{"sub": "00000000-0000-4000-a000-00000000000b", "role": "authenticated"}';
+
+do $$
+declare
+  v_org_a bigint := current_setting('rls_test.org_a')::bigint;
+  v_org_b bigint := current_setting('rls_test.org_b')::bigint;
+  n int;
+begin
+  select count(*) into n from clients where org_id in (v_org_a, v_org_b);
+  if n <> 0 then raise exception 'FAIL: inactive user can read % clients', n; end if;
+  select count(*) into n from orgs where id in (v_org_a, v_org_b);
+  if n <> 0 then raise exception 'FAIL: inactive user can read orgs'; end if;
+  select count(*) into n from staff_roles where org_id = v_org_a;
+  if n <> 0 then raise exception 'FAIL: inactive user can read staff roles'; end if;
+
+  begin
+    insert into clients (org_id, company) values (v_org_a, 'RLS Inactive');
+    raise exception 'FAIL: inactive user inserted a client';
+  exception when insufficient_privilege then null;
+  end;
+
+  update clients set company = 'RLS Inactive' where org_id in (v_org_a, v_org_b);
+  get diagnostics n = row_count;
+  if n <> 0 then raise exception 'FAIL: inactive user updated % clients', n; end if;
+
+  -- Re-enabling themselves is an update to their own users row
+  update users set is_active = true where auth_id::text = '00000000-0000-4000-a000-00000000000b';
+  get diagnostics n = row_count;
+  if n <> 0 then raise exception 'FAIL: inactive user re-activated themselves'; end if;
+end $$;
+
+reset role;
+
+-- ------------------------------------------------------------------
+-- Settings editor of org A (manages staff, not an admin)
+-- ------------------------------------------------------------------
+set local role authenticated;
+set local request.jwt.claim.sub = '00000000-0000-4000-a000-00000000000c';
+set local request.jwt.claims = '{"sub": "00000000-0000-4000-a000-00000000000c", "role": "authenticated"}';
+
+do $$
+declare
+  v_org_b bigint := current_setting('rls_test.org_b')::bigint;
+  v_me text := '00000000-0000-4000-a000-00000000000c';
+  n int;
+begin
+  -- Managing other staff works (so the checks below are not vacuous)
+  update users set role = 'lead' where auth_id::text = '00000000-0000-4000-a000-00000000000a';
+  get diagnostics n = row_count;
+  if n <> 1 then raise exception 'FAIL: Settings editor could not change another member''s role'; end if;
+  update users set last_login = now() where auth_id::text = v_me;
+  get diagnostics n = row_count;
+  if n <> 1 then raise exception 'FAIL: Settings editor could not update their own row'; end if;
+
+  begin
+    update users set role = 'admin' where auth_id::text = v_me;
+    raise exception 'FAIL: Settings editor made themselves admin';
+  exception when insufficient_privilege then null;
+  end;
+  begin
+    update users set role_id = current_setting('rls_test.clients_role')::bigint where auth_id::text = v_me;
+    raise exception 'FAIL: Settings editor changed their own role_id';
+  exception when insufficient_privilege then null;
+  end;
+  begin
+    update users set is_active = false where auth_id::text = v_me;
+    raise exception 'FAIL: Settings editor changed their own is_active';
+  exception when insufficient_privilege then null;
+  end;
+  begin
+    update users set org_id = v_org_b where auth_id::text = v_me;
+    raise exception 'FAIL: Settings editor moved themselves to org B';
+  exception when insufficient_privilege then null;
+  end;
+end $$;
+
+reset role;
+
+\echo 'rls: all checks passed'
+rollback;
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import handler from "../api/send-email.js";
+import { interpolate } from "../api/_lib/templates.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const CONTEXT = {
+  contact: { name: "Jane  Smith" },
+  quote: { total: 12500.5 },
+  project: { install_date: "2026-03-04", name: "" },
+  org: { timezone: "America/Chicago" },
+};
+
+test("interpolate: filters match the workflow runner's templates", () => {
+  assert.equal(interpolate("Hi {{contact.name|first_name}}", CONTEXT), "Hi Jane");
+  assert.equal(interpolate("{{quote.total|currency}}", CONTEXT), "$12,500.50");
+  assert.equal(interpolate("{{ project.install_date | date:\"long\" }}", CONTEXT), "Wednesday, March 4, 2026");
+  assert.equal(interpolate("{{project.name|default:\"your project\"}}", CONTEXT), "your project");
+  assert.equal(interpolate("{{contact.name|upper|truncate:5}}", CONTEXT), "JANE…");
+  assert.equal(interpolate("[{{missing.path}}]", CONTEXT), "[]");
+});
+
+test("interpolate: escape runs after the filters", () => {
+  const esc = (s) => s.replace(/</g, "&lt;");
+  assert.equal(interpolate("{{x|default:\"<b>\"}}", {}, { escape: esc }), "&lt;b>");
+});
+
+const ENV = { SUPABASE_URL: "https://sb.test", SUPABASE_SERVICE_ROLE_KEY: "service-key", MS_TENANT_ID: "t", MS_CLIENT_ID: "c", MS_CLIENT_SECRET: "s" };
+
+test("handler: renders a template's filters into the subject and HTML", async () => {
+  await withEnv(ENV, async () => {
+    const stub = stubFetch((url) => {
+      if (url.includes("/rest/v1/email_config")) return { body: [{ sender_mailbox: "office@example.test" }] };
+      if (url.includes("/rest/v1/email_templates")) {
+        return { body: [{ subject: "Quote for {{contact.name|first_name}}", html: "<p>Total {{quote.total|currency}}</p>{{body}}" }] };
+      }
+      if (url.includes("login.microsoftonline.com")) return { body: { access_token: "graph-token" } };
+      if (url.includes("/sendMail")) return { status: 202 };
+      if (url.includes("/rest/v1/messages")) return { status: 201, body: [{ id: 9 }] };
+    });
+    try {
+      const res = mockRes();
+      await handler(mockReq({
+        headers: { authorization: "Bearer service-key" },
+        body: { orgId: 1, to: "jane@example.test", templateKey: "quote", body: "See attached.", variables: CONTEXT },
+      }), res);
+      assert.equal(res.statusCode, 202);
+      const sent = JSON.parse(stub.calls.find((c) => c.url.includes("/sendMail")).body);
+      assert.equal(sent.message.subject, "Quote for Jane");
+      assert.equal(sent.message.body.content, "<p>Total $12,500.50</p>See attached.");
+    } finally {
+      stub.restore();
+    }
+  });
+});
+
+test("handler: an idempotencyKey that was already sent is not sent again", async () => {
+  await withEnv(ENV, async () => {
+    const stub = stubFetch((url, init) => {
+      if (url.includes("/rest/v1/messages") && init.method === "GET") return { body: [{ id: 41 }] };
+      if (url.includes("/rest/v1/messages")) return { status: 201, body: [{ id: 42 }] };
+      if (url.includes("/rest/v1/email_config")) return { body: [{ sender_mailbox: "office@example.test" }] };
+      if (url.includes("login.microsoftonline.com")) return { body: { access_token: "graph-token" } };
+      if (url.includes("/sendMail")) return { status: 202 };
+    });
+    try {
+      const res = mockRes();
+      await handler(mockReq({
+        headers: { authorization: "Bearer service-key" },
+        body: { orgId: 1, to: "jane@example.test", subject: "Hi", body: "Hello", idempotencyKey: "run-12-step-3" },
+      }), res);
+      assert.equal(res.statusCode, 202);
+      assert.deepEqual(res.body, { ok: true, messageId: 41, alreadySent: true });
+      assert.ok(stub.calls[0].url.includes("send_key=eq.run-12-step-3"));
+      assert.ok(!stub.calls.some((c) => c.url.includes("/sendMail")));
+    } finally {
+      stub.restore();
+    }
+  });
+});
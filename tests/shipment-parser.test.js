@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import parseShipmentRoute from "../api/parse-shipment.js";
+import { isShipmentNotice, MIN_AUTO_IMPORT_CONFIDENCE, parseShipmentNotice } from "../api/_lib/shipment-parser.js";
+import { mockReq, mockRes, withEnv } from "./helpers/http.js";
+
+const read = (file) => readFileSync(new URL(`./fixtures/shipments/${file}`, import.meta.url), "utf-8");
+
+// Each notice in fixtures/shipments/<name>.txt, with the subject it arrived under.
+// The -forwarded and -asn notices are whole emails as they reach the orders
+// mailbox (forward header, column headings, footers) with every name and
+// number made up; their .expected.json is written by hand from the notice,
+// not captured from the parser.
+const NOTICES = [
+  { name: "order-blocks", subject: "" },
+  { name: "order-blocks-forwarded", subject: "FW: Shipment Notification - Customer PO # DV0712345001" },
+  { name: "labelled", subject: "Shipment confirmation - PO DV061882117002" },
+  { name: "labelled-asn", subject: "Advance Ship Notice: Sales Order SO-204518 / PO DV0712345002" },
+  { name: "low-confidence", subject: "Your package is on its way" },
+];
+const subjectOf = (name) => NOTICES.find((n) => n.name === name).subject;
+
+for (const { name, subject } of NOTICES) {
+  test(`${name}: parses to the expected output`, () => {
+    const expected = JSON.parse(read(`${name}.expected.json`));
+    assert.deepEqual(parseShipmentNotice(read(`${name}.txt`), { subject }), expected);
+  });
+}
+
+test("order-blocks: picked for Order Number / Vendor Code / Carton Count notices", () => {
+  const parsed = parseShipmentNotice(read("order-blocks.txt"));
+  assert.equal(parsed.format, "order-blocks");
+  assert.deepEqual(parsed.orders.map((o) => o.orderNumber), ["4471203", "4471204"]);
+  assert.ok(parsed.confidence >= MIN_AUTO_IMPORT_CONFIDENCE);
+});
+
+test("labelled: clears the auto-import threshold", () => {
+  const parsed = parseShipmentNotice(read("labelled.txt"), { subject: subjectOf("labelled") });
+  assert.equal(parsed.format, "labelled");
+  assert.equal(parsed.customerPO.value, "DV061882117002");
+  assert.ok(parsed.confidence >= MIN_AUTO_IMPORT_CONFIDENCE);
+});
+
+test("low-confidence: a tracking-only notice is held for review", () => {
+  const parsed = parseShipmentNotice(read("low-confidence.txt"), { subject: subjectOf("low-confidence") });
+  assert.ok(isShipmentNotice(subjectOf("low-confidence"), read("low-confidence.txt")));
+  assert.equal(parsed.orders.length, 1);
+  assert.ok(parsed.confidence < MIN_AUTO_IMPORT_CONFIDENCE);
+});
+
+test("format option restricts parsing to that layout", () => {
+  const parsed = parseShipmentNotice(read("labelled.txt"), { format: "order-blocks" });
+  assert.equal(parsed.format, null);
+  assert.deepEqual(parsed.orders, []);
+  assert.ok(parsed.unparsedLines.includes("Carrier: Estes Express"));
+});
+
+test("POST /api/parse-shipment: adds notice, the import threshold and each order's ISO expectedDate", async () => {
+  await withEnv({ SUPABASE_SERVICE_ROLE_KEY: "service-key" }, async () => {
+    const res = mockRes();
+    await parseShipmentRoute(mockReq({ headers: { authorization: "Bearer service-key" }, body: { orgId: 1, text: read("order-blocks.txt") } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.notice, true);
+    assert.equal(res.body.minAutoImportConfidence, MIN_AUTO_IMPORT_CONFIDENCE);
+    assert.ok(res.body.orders.length > 0);
+    for (const o of res.body.orders) assert.match(o.expectedDate, /^\d{4}-\d{2}-\d{2}$/);
+  });
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { getTwilioAuthToken, getWebhookUrl, isValidTwilioSignature } from "../api/_lib/twilio.js";
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/twilio/${name}.json`, import.meta.url), "utf-8"));
+
+// Signatures in the fixtures come from outside this code: Twilio's docs
+// example, and openssl-computed values checked with the twilio library
+for (const name of ["voice-docs-example", "sms-inbound", "status-callback"]) {
+  const { authToken, url, params, signature } = fixture(name);
+
+  test(`${name}: accepts the recorded signature`, () => {
+    assert.equal(isValidTwilioSignature({ authToken, signature, url, params }), true);
+  });
+
+  test(`${name}: rejects a tampered param`, () => {
+    const tampered = { ...params, From: "+15125559999" };
+    assert.equal(isValidTwilioSignature({ authToken, signature, url, params: tampered }), false);
+  });
+
+  test(`${name}: rejects an added param`, () => {
+    const tampered = { ...params, Extra: "1" };
+    assert.equal(isValidTwilioSignature({ authToken, signature, url, params: tampered }), false);
+  });
+
+  test(`${name}: rejects a different url`, () => {
+    assert.equal(isValidTwilioSignature({ authToken, signature, url: `${url}x`, params }), false);
+  });
+
+  test(`${name}: rejects another account's token`, () => {
+    assert.equal(isValidTwilioSignature({ authToken: `${authToken}0`, signature, url, params }), false);
+  });
+
+  test(`${name}: rejects a missing or truncated signature`, () => {
+    assert.equal(isValidTwilioSignature({ authToken, signature: undefined, url, params }), false);
+    assert.equal(isValidTwilioSignature({ authToken, signature: "", url, params }), false);
+    assert.equal(isValidTwilioSignature({ authToken, signature: signature.slice(0, -2), url, params }), false);
+  });
+
+  test(`${name}: rejects when no auth token is configured`, () => {
+    assert.equal(isValidTwilioSignature({ authToken: "", signature, url, params }), false);
+  });
+}
+
+test("getTwilioAuthToken prefers the org's subaccount token", () => {
+  const saved = { ...process.env };
+  try {
+    process.env.TWILIO_AUTH_TOKEN = "main";
+    process.env.TWILIO_AUTH_TOKEN_ACME = "acme";
+    assert.equal(getTwilioAuthToken("acme"), "acme");
+    assert.equal(getTwilioAuthToken("other"), "main");
+    assert.equal(getTwilioAuthToken(""), "main");
+  } finally {
+    process.env = saved;
+  }
+});
+
+test("getWebhookUrl uses CRM_BASE_URL, else the forwarded host", () => {
+  const saved = process.env.CRM_BASE_URL;
+  try {
+    const req = { url: "/api/twilio-status?x=1", headers: { host: "crm.example.com", "x-forwarded-proto": "https" } };
+    delete process.env.CRM_BASE_URL;
+    assert.equal(getWebhookUrl(req), "https://crm.example.com/api/twilio-status?x=1");
+    process.env.CRM_BASE_URL = "https://app.example.com/";
+    assert.equal(getWebhookUrl(req), "https://app.example.com/api/twilio-status?x=1");
+  } finally {
+    if (saved === undefined) delete process.env.CRM_BASE_URL;
+    else process.env.CRM_BASE_URL = saved;
+  }
+});
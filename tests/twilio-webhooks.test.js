@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import inboundHandler from "../api/twilio-inbound.js";
+import statusHandler from "../api/twilio-status.js";
+import { mockReq, mockRes, stubFetch, withEnv } from "./helpers/http.js";
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/twilio/${name}.json`, import.meta.url), "utf-8"));
+
+const ROUTES = [
+  { name: "twilio-inbound", handler: inboundHandler, fixture: fixture("sms-inbound") },
+  { name: "twilio-status", handler: statusHandler, fixture: fixture("status-callback") },
+];
+
+// Supabase answers every lookup with no rows; only writes are of interest
+async function post(handler, { url, params, signature }) {
+  const env = {
+    SUPABASE_URL: "https://sb.test",
+    SUPABASE_SERVICE_ROLE_KEY: "service-key",
+    TWILIO_AUTH_TOKEN: "test_auth_token_0123456789abcdef",
+    CRM_BASE_URL: new URL(url).origin,
+  };
+  return withEnv(env, async () => {
+    const stub = stubFetch(() => ({ body: [] }));
+    try {
+      const res = mockRes();
+      const headers = signature === undefined ? {} : { "x-twilio-signature": signature };
+      await handler(mockReq({ url: new URL(url).pathname, headers, body: params }), res);
+      return { res, writes: stub.calls.filter((c) => c.method !== "GET") };
+    } finally {
+      stub.restore();
+    }
+  });
+}
+
+for (const { name, handler, fixture: f } of ROUTES) {
+  test(`${name}: 403 and no writes for a bad signature`, async () => {
+    const forged = await post(handler, { ...f, signature: "AAAAAAAAAAAAAAAAAAAAAAAAAAA=" });
+    assert.equal(forged.res.statusCode, 403);
+    assert.deepEqual(forged.writes, []);
+  });
+
+  test(`${name}: 403 without a signature, or with params changed after signing`, async () => {
+    assert.equal((await post(handler, { ...f, signature: undefined })).res.statusCode, 403);
+    const tampered = await post(handler, { ...f, params: { ...f.params, From: "+15125559999" } });
+    assert.equal(tampered.res.statusCode, 403);
+  });
+
+  test(`${name}: a correctly signed request gets past the check`, async () => {
+    const { res } = await post(handler, f);
+    assert.notEqual(res.statusCode, 403);
+  });
+}
@@ -11,14 +11,42 @@ create table if not exists workflow_events (
   entity_type text not null,        -- e.g. project, quote, contact
   entity_id text,                   -- ID of the entity that triggered the event
   payload jsonb default '{}'::jsonb, -- full event payload
+  idempotency_key text,             -- caller-supplied; duplicates are ignored
+  dispatched_at timestamptz,        -- set once Trigger.dev accepted the event
+  dispatch_attempts int default 0,
+  last_dispatch_error text,
   created_at timestamptz default now(),
-  processed_at timestamptz          -- set when Trigger.dev processes it
+  processed_at timestamptz,         -- set when Trigger.dev processes it
+  unique (org_id, idempotency_key)
 );
 
 create index if not exists workflow_events_org_idx on workflow_events (org_id);
 create index if not exists workflow_events_type_idx on workflow_events (event_type);
 create index if not exists workflow_events_unprocessed_idx on workflow_events (processed_at) where processed_at is null;
 
+alter table workflow_events add column if not exists idempotency_key text;
+alter table workflow_events add column if not exists dispatched_at timestamptz;
+alter table workflow_events add column if not exists dispatch_attempts int default 0;
+alter table workflow_events add column if not exists last_dispatch_error text;
+create unique index if not exists workflow_events_idempotency_idx on workflow_events (org_id, idempotency_key);
+create index if not exists workflow_events_undispatched_idx on workflow_events (created_at) where dispatched_at is null;
+
+-- ============================================================
+-- Scheduled Trigger Log (one row per date reminder emitted, so the
+-- daily scan never emits the same entity + date twice)
+-- ============================================================
+create table if not exists scheduled_trigger_log (
+  id bigint generated by default as identity primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  trigger_value text not null,      -- install_date, quote_expires, punchlist_followup, shipment_eta
+  offset_days int not null default 0,
+  entity_type text not null,
+  entity_id text not null,
+  target_date date not null,        -- the entity's date that matched
+  created_at timestamptz default now(),
+  unique (org_id, trigger_value, offset_days, entity_type, entity_id, target_date)
+);
+
 -- ============================================================
 -- Workflow Runs (one row per automation execution)
 -- ============================================================
@@ -27,8 +55,14 @@ create table if not exists workflow_runs (
   org_id bigint references orgs(id) on delete cascade,
   automation_id text references automations(id) on delete cascade,
   event_id bigint references workflow_events(id) on delete set null,
-  status text default 'pending',    -- pending, running, completed, failed
+  status text default 'pending',    -- pending, running, waiting, completed, failed, cancelled
   error text,
+  trigger_run_id text,              -- Trigger.dev run id (used to cancel on exit goals)
+  contact_id bigint,                -- contact the run is about (exit goals / event waits)
+  entity_type text,
+  entity_id text,
+  failed_step_order int,            -- step to resume from (resume-automation-run)
+  context jsonb,                    -- run context snapshot at failure
   started_at timestamptz default now(),
   completed_at timestamptz
 );
@@ -37,6 +71,42 @@ create index if not exists workflow_runs_org_idx on workflow_runs (org_id);
 create index if not exists workflow_runs_auto_idx on workflow_runs (automation_id);
 create index if not exists workflow_runs_status_idx on workflow_runs (status);
 
+alter table workflow_runs add column if not exists trigger_run_id text;
+alter table workflow_runs add column if not exists contact_id bigint;
+alter table workflow_runs add column if not exists entity_type text;
+alter table workflow_runs add column if not exists entity_id text;
+alter table workflow_runs add column if not exists failed_step_order int;  -- step to resume from
+alter table workflow_runs add column if not exists context jsonb;          -- run context snapshot at failure
+
+create index if not exists workflow_runs_contact_idx on workflow_runs (contact_id);
+create index if not exists workflow_runs_entity_idx on workflow_runs (entity_type, entity_id);
+
+-- Exit goals: event types that cancel in-flight runs of an automation
+-- for the same contact / entity (e.g. {sms.inbound,quote.signed})
+alter table automations add column if not exists "exitEvents" text[] default '{}';
+
+-- ============================================================
+-- Workflow Event Waits (wait_for_event steps paused on a
+-- Trigger.dev waitpoint token until a matching event arrives)
+-- ============================================================
+create table if not exists workflow_event_waits (
+  id bigint generated by default as identity primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  run_id bigint references workflow_runs(id) on delete cascade,
+  step_id bigint,
+  event_type text not null,         -- e.g. sms.inbound, quote.signed
+  token_id text not null,           -- Trigger.dev waitpoint token
+  contact_id bigint,
+  entity_type text,
+  entity_id text,
+  expires_at timestamptz,
+  resolved_at timestamptz,
+  resolved_event_id bigint references workflow_events(id) on delete set null,
+  created_at timestamptz default now()
+);
+
+create index if not exists workflow_event_waits_pending_idx on workflow_event_waits (org_id, event_type) where resolved_at is null;
+
 -- ============================================================
 -- Workflow Run Steps (one row per step executed in a run)
 -- ============================================================
@@ -48,6 +118,7 @@ create table if not exists workflow_run_steps (
   step_type text,
   action_type text,
   status text,                      -- completed, failed, skipped
+  branch text,                      -- true / false branch taken, or error (onError: branch)
   result jsonb default '{}'::jsonb,
   error_message text,
   started_at timestamptz,
@@ -56,6 +127,8 @@ create table if not exists workflow_run_steps (
 
 create index if not exists workflow_run_steps_run_idx on workflow_run_steps (run_id);
 
+alter table workflow_run_steps add column if not exists branch text;
+
 -- ============================================================
 -- Messages (SMS / email history for all orgs)
 -- ============================================================
@@ -70,10 +143,24 @@ create table if not exists messages (
   channel text default 'sms',       -- sms, email, whatsapp
   twilio_sid text,
   contact_id bigint,
+  conversation_id bigint,           -- set for SMS; see record_conversation_message()
   automation_id text,
+  sent_by text,                     -- staff email for replies from the inbox
   error_code text,
   error_message text,
   media_count int default 0,
+  -- email only (channel = 'email'; see /api/send-email)
+  subject text,
+  email_from text,
+  email_to text,
+  email_cc text[],
+  body_html text,
+  attachments jsonb,                -- [{name, contentType}]
+  template_key text,
+  entity_type text,                 -- project, quote, ...
+  entity_id text,
+  external_id text,                 -- Graph message id for inbound email
+  metadata jsonb,                   -- inbound email: sender name, client, shipment parse result
   created_at timestamptz default now(),
   updated_at timestamptz default now()
 );
@@ -90,17 +177,81 @@ create table if not exists conversations (
   id bigint generated by default as identity primary key,
   org_id bigint references orgs(id) on delete cascade,
   contact_id bigint,
-  phone_number text,
+  phone_number text,                -- E.164, the other party
   last_message_at timestamptz,
   last_message_preview text,
+  last_message_direction text,      -- inbound, outbound
   unread_count int default 0,
   status text default 'open',       -- open, closed, snoozed
-  created_at timestamptz default now()
+  snoozed_until timestamptz,
+  created_at timestamptz default now(),
+  unique (org_id, phone_number)
 );
 
 create index if not exists conversations_org_idx on conversations (org_id);
 create index if not exists conversations_contact_idx on conversations (contact_id);
 
+alter table conversations add column if not exists last_message_direction text;
+alter table conversations add column if not exists snoozed_until timestamptz;
+create unique index if not exists conversations_org_phone_idx on conversations (org_id, phone_number);
+
+alter table messages add column if not exists conversation_id bigint;
+alter table messages add column if not exists sent_by text;
+create index if not exists messages_conversation_idx on messages (conversation_id, created_at);
+alter table messages add column if not exists subject text;
+alter table messages add column if not exists email_from text;
+alter table messages add column if not exists email_to text;
+alter table messages add column if not exists email_cc text[];
+alter table messages add column if not exists body_html text;
+alter table messages add column if not exists attachments jsonb;
+alter table messages add column if not exists template_key text;
+alter table messages add column if not exists entity_type text;
+alter table messages add column if not exists entity_id text;
+create index if not exists messages_entity_idx on messages (entity_type, entity_id) where entity_type is not null;
+alter table messages add column if not exists external_id text;
+alter table messages add column if not exists metadata jsonb;
+create unique index if not exists messages_org_external_idx on messages (org_id, external_id);
+-- Automation sends: run + step ("run-12-step-3"), written once the provider
+-- has accepted the message so a retried step doesn't send it again
+alter table messages add column if not exists send_key text;
+create unique index if not exists messages_org_send_key_idx on messages (org_id, send_key);
+
+-- Thread a message into its conversation (one per org + phone number) and
+-- return the conversation id. Inbound messages bump unread_count and reopen
+-- closed/snoozed threads; outbound ones only update the preview.
+create or replace function record_conversation_message(
+  p_org_id bigint,
+  p_phone text,
+  p_contact_id bigint,
+  p_body text,
+  p_direction text
+) returns bigint
+language plpgsql
+as $$
+declare
+  v_id bigint;
+begin
+  insert into conversations as c (
+    org_id, phone_number, contact_id, last_message_at, last_message_preview,
+    last_message_direction, unread_count, status
+  )
+  values (
+    p_org_id, p_phone, p_contact_id, now(), left(coalesce(p_body, ''), 160),
+    p_direction, case when p_direction = 'inbound' then 1 else 0 end, 'open'
+  )
+  on conflict (org_id, phone_number) do update set
+    contact_id = coalesce(c.contact_id, excluded.contact_id),
+    last_message_at = excluded.last_message_at,
+    last_message_preview = excluded.last_message_preview,
+    last_message_direction = excluded.last_message_direction,
+    unread_count = case when p_direction = 'inbound' then c.unread_count + 1 else c.unread_count end,
+    status = case when p_direction = 'inbound' then 'open' else c.status end,
+    snoozed_until = case when p_direction = 'inbound' then null else c.snoozed_until end
+  returning id into v_id;
+  return v_id;
+end;
+$$;
+
 -- ============================================================
 -- Tasks (created by automations or manually)
 -- ============================================================
@@ -121,3 +272,265 @@ create table if not exists tasks (
 create index if not exists tasks_org_idx on tasks (org_id);
 create index if not exists tasks_status_idx on tasks (status);
 create index if not exists tasks_due_idx on tasks (due_date);
+
+-- ============================================================
+-- Webhook Subscriptions (org-level: send every event of these
+-- types to a URL, no automation needed)
+-- ============================================================
+create table if not exists webhook_subscriptions (
+  id bigint generated by default as identity primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  name text,
+  url text not null,
+  secret text not null,             -- HMAC key for X-Vector-Signature
+  event_types text[] not null default '{}', -- e.g. {quote.signed,project.status_changed}; {*} = all
+  active boolean default true,
+  last_delivery_at timestamptz,
+  last_delivery_status text,        -- delivered, failed
+  created_at timestamptz default now()
+);
+
+create index if not exists webhook_subscriptions_org_idx on webhook_subscriptions (org_id) where active;
+
+-- ============================================================
+-- Webhook Deliveries (one row per attempt, subscriptions and
+-- automation webhook actions alike)
+-- ============================================================
+create table if not exists webhook_deliveries (
+  id bigint generated by default as identity primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  delivery_id text not null,        -- X-Vector-Delivery; same across retries
+  subscription_id bigint references webhook_subscriptions(id) on delete set null,
+  automation_id text,
+  run_id bigint references workflow_runs(id) on delete set null,
+  event_id bigint references workflow_events(id) on delete set null,
+  event_type text not null,
+  url text not null,
+  attempt int not null default 1,
+  status text not null,             -- delivered, failed
+  response_status int,
+  response_body text,
+  error text,
+  duration_ms int,
+  created_at timestamptz default now()
+);
+
+create index if not exists webhook_deliveries_org_idx on webhook_deliveries (org_id, created_at desc);
+create index if not exists webhook_deliveries_subscription_idx on webhook_deliveries (subscription_id, created_at desc);
+create index if not exists webhook_deliveries_delivery_idx on webhook_deliveries (delivery_id);
+
+-- ============================================================
+-- Messaging Config (one row per org: where its SMS goes out from
+-- and how inbound webhooks find the org). Replaces the
+-- TWILIO_MS_* / ORG_ID_* env vars.
+-- ============================================================
+create table if not exists messaging_config (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null unique references orgs(id) on delete cascade,
+  messaging_service_sid text unique, -- MG...; preferred sender
+  sender_numbers text[] default '{}', -- E.164; first one is used when there is no messaging service
+  status_callback_url text,         -- e.g. https://<crm>/api/twilio-status
+  enabled boolean default true,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists messaging_config_numbers_idx on messaging_config using gin (sender_numbers);
+
+-- Carry over the old env config, e.g.:
+-- insert into messaging_config (org_id, messaging_service_sid) values (1, 'MG...')
+--   on conflict (org_id) do update set messaging_service_sid = excluded.messaging_service_sid;
+
+-- ============================================================
+-- SMS Suppressions (per-org opt-out list for A2P compliance).
+-- Updated by /api/twilio-inbound on STOP/START/HELP keywords and
+-- by staff overrides; every SMS send checks it first.
+-- ============================================================
+create table if not exists sms_suppressions (
+  id bigint generated by default as identity primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  phone_number text not null,       -- E.164
+  opted_out boolean not null default false, -- false = row only records a START/HELP
+  source text,                      -- keyword, staff, carrier (Twilio error 21610)
+  last_keyword text,                -- STOP, START, HELP, ...
+  reason text,                      -- staff note on overrides
+  updated_by text,                  -- staff email for overrides
+  opted_out_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (org_id, phone_number)
+);
+
+create index if not exists sms_suppressions_opted_out_idx on sms_suppressions (org_id) where opted_out;
+
+-- ============================================================
+-- Email Config (per-org sender mailbox for /api/send-email).
+-- Orgs without a row send from the MS_SENDER env mailbox; the
+-- app registration needs Mail.Send for every mailbox used here,
+-- plus Mail.Read for mailboxes with inbound_enabled.
+-- ============================================================
+create table if not exists email_config (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null unique references orgs(id) on delete cascade,
+  sender_mailbox text,              -- e.g. projects@acme.com
+  reply_to text,
+  inbound_enabled boolean default false, -- subscribe to the mailbox's inbox (/api/email-inbound)
+  graph_subscription_id text unique,
+  graph_subscription_expires_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+alter table email_config add column if not exists inbound_enabled boolean default false;
+alter table email_config add column if not exists graph_subscription_id text unique;
+alter table email_config add column if not exists graph_subscription_expires_at timestamptz;
+
+-- ============================================================
+-- Email Templates (HTML bodies by key, e.g. shipment_received).
+-- {{path}} placeholders are filled from the request's variables
+-- and HTML-escaped; {{body}} is the plain-text body.
+-- ============================================================
+create table if not exists email_templates (
+  id bigint generated by default as identity primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  key text not null,
+  name text,
+  subject text,                     -- used when the request has no subject
+  html text not null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (org_id, key)
+);
+
+-- ============================================================
+-- GoHighLevel push (ghl-push task). ghl_entity_map rows link a
+-- GHL record to the CRM row it mirrors; last_pushed_* lets the
+-- pull side recognise our own writes coming back (echo loops).
+-- ============================================================
+alter table ghl_config add column if not exists push_settings jsonb default '{}'::jsonb;
+
+alter table ghl_entity_map add column if not exists crm_entity_type text;   -- client, contact, project
+alter table ghl_entity_map add column if not exists crm_entity_id text;
+alter table ghl_entity_map add column if not exists last_pushed_payload jsonb;
+alter table ghl_entity_map add column if not exists last_pushed_at timestamptz;
+
+create unique index if not exists ghl_entity_map_org_ghl_idx on ghl_entity_map (org_id, entity_type, ghl_id);
+create index if not exists ghl_entity_map_crm_idx on ghl_entity_map (org_id, crm_entity_type, crm_entity_id) where crm_entity_id is not null;
+
+-- ============================================================
+-- GoHighLevel pull (ghl-apply task). Synced contacts and
+-- opportunities are applied to clients, people and projects;
+-- fields edited on both sides land in ghl_sync_conflicts.
+-- ============================================================
+alter table ghl_config add column if not exists pull_settings jsonb default '{}'::jsonb;
+
+alter table ghl_entity_map add column if not exists needs_apply boolean default true;
+alter table ghl_entity_map add column if not exists last_applied_payload jsonb;   -- CRM values last taken from GHL (merge base)
+alter table ghl_entity_map add column if not exists applied_at timestamptz;
+
+create index if not exists ghl_entity_map_apply_idx on ghl_entity_map (org_id, entity_type, synced_at) where needs_apply;
+
+create table if not exists ghl_sync_conflicts (
+  id bigserial primary key,
+  org_id bigint not null references orgs(id) on delete cascade,
+  ghl_entity_type text not null,            -- contact, opportunity
+  ghl_id text not null,
+  crm_entity_type text not null,            -- client, contact, project
+  crm_entity_id text not null,
+  field text not null,
+  crm_value jsonb,
+  ghl_value jsonb,
+  base_value jsonb,
+  status text not null default 'open',      -- open, resolved
+  resolution text,                          -- crm, ghl
+  resolved_by text,
+  resolved_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (org_id, crm_entity_type, crm_entity_id, field)
+);
+
+create index if not exists ghl_sync_conflicts_open_idx on ghl_sync_conflicts (org_id, created_at) where status = 'open';
+
+-- ============================================================
+-- Resumable GHL sync (ghl-sync task) and the /api/ghl-webhook
+-- receiver. Each contacts/opportunities run checkpoints its page
+-- cursor in ghl_sync_log; updated_since is where the previous
+-- completed run started.
+-- ============================================================
+create table if not exists ghl_sync_log (
+  id bigserial primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  sync_type text not null,                  -- workflows, contacts, pipelines, opportunities, custom_fields
+  status text not null default 'running',   -- running, completed, failed
+  records_synced int default 0,
+  error_message text,
+  started_at timestamptz default now(),
+  completed_at timestamptz
+);
+
+alter table ghl_sync_log add column if not exists started_at timestamptz default now();
+alter table ghl_sync_log add column if not exists cursor jsonb;            -- null once the run completes
+alter table ghl_sync_log add column if not exists updated_since timestamptz;
+alter table ghl_sync_log add column if not exists trigger_run_id text;
+alter table ghl_sync_log add column if not exists updated_at timestamptz default now();
+
+create index if not exists ghl_sync_log_org_type_idx on ghl_sync_log (org_id, sync_type, id desc);
+
+alter table ghl_config add column if not exists webhook_secret text;       -- ?secret= on the GHL webhook URL
+create index if not exists ghl_config_location_idx on ghl_config (ghl_location_id);
+
+-- ============================================================
+-- /api/ghl-proxy guard rails: per-org allowlist of "METHOD path"
+-- rules (null = read-only defaults), a calls-per-minute limit,
+-- and an audit row for every proxied call (also what the rate
+-- limit counts).
+-- ============================================================
+alter table ghl_config add column if not exists proxy_allowlist jsonb;      -- ["GET pipelines/**", "PUT contacts/*"]
+alter table ghl_config add column if not exists proxy_rate_limit int;       -- per minute, default 60
+
+create table if not exists ghl_proxy_audit (
+  id bigserial primary key,
+  org_id bigint references orgs(id) on delete cascade,
+  user_id text,                             -- Supabase auth id; null for server callers
+  user_email text,
+  method text not null,
+  endpoint text not null,
+  allowed boolean not null default true,    -- false: blocked by allowlist or rate limit
+  status int,                               -- GHL response status (403/429 when blocked)
+  duration_ms int,
+  error text,
+  created_at timestamptz default now()
+);
+
+create index if not exists ghl_proxy_audit_org_idx on ghl_proxy_audit (org_id, created_at desc);
+
+-- ============================================================
+-- Row level security for the tables above (apply_org_policies and
+-- the permission grid come from schema_updates.sql). Settings
+-- tables need the Settings permission; the SMS inbox and tasks
+-- only need org membership. Run, event and log tables are only
+-- ever touched with the service role key: RLS on, no policies.
+-- ============================================================
+select apply_org_policies(t.name, t.section) from (values
+  ('ghl_config', 'settings'),
+  ('ghl_entity_map', 'settings'),
+  ('ghl_sync_log', 'settings'),
+  ('ghl_sync_conflicts', 'settings'),
+  ('ghl_proxy_audit', 'settings'),
+  ('email_config', 'settings'),
+  ('messaging_config', 'settings'),
+  ('email_templates', 'settings'),
+  ('webhook_subscriptions', 'settings'),
+  ('webhook_deliveries', 'settings'),
+  ('conversations', null),
+  ('messages', null),
+  ('sms_suppressions', null),
+  ('tasks', null)
+) as t(name, section);
+
+alter table workflow_events enable row level security;
+alter table scheduled_trigger_log enable row level security;
+alter table workflow_runs enable row level security;
+alter table workflow_event_waits enable row level security;
+alter table workflow_run_steps enable row level security;
@@ -0,0 +1,186 @@
+import { schedules, logger } from "@trigger.dev/sdk";
+import {
+  getSupabase,
+  emitEvent,
+  loadDateTriggerAutomations,
+  claimScheduledTrigger,
+  releaseScheduledTrigger,
+} from "../lib/supabase.js";
+import { processEvent } from "./workflow-runner.js";
+
+// ------------------------------------------------------------------
+// Date sources an automation can use as its triggerValue when
+// triggerType = "date". The event fires on (date + offsetDays), so
+// offsetDays = -3 means "3 days before install_date".
+// ------------------------------------------------------------------
+interface DateSource {
+  table: string;
+  dateField: string;
+  entityType: string;
+  // Extra PostgREST-style filters: only rows still needing the reminder
+  filters?: Array<{ column: string; op: "is" | "neq"; value: string | null }>;
+}
+
+const DATE_SOURCES: Record<string, DateSource> = {
+  install_date: { table: "projects", dateField: "install_date", entityType: "project" },
+  // Moves store their move day in install_date too
+  move_date: { table: "projects", dateField: "install_date", entityType: "project" },
+  quote_expires: {
+    table: "quotes",
+    dateField: "expires_at",
+    entityType: "quote",
+    filters: [{ column: "signed_at", op: "is", value: null }],
+  },
+  punchlist_followup: { table: "punchlist", dateField: "followup_date", entityType: "punchlist" },
+  shipment_eta: {
+    table: "shipments",
+    dateField: "eta_date",
+    entityType: "shipment",
+    filters: [{ column: "received_date", op: "is", value: null }],
+  },
+};
+
+// A missed or failed daily run is caught up by the next ones: each scan also
+// looks at dates up to this many days back. scheduled_trigger_log (one claim
+// per entity + date) keeps anything already emitted from firing again.
+const LOOKBACK_DAYS = 3;
+
+function toIsoDate(d: Date): string {
+  return d.toISOString().split("T")[0];
+}
+
+// The calendar day it is in the org's timezone (templates format dates in
+// it too); UTC when the org has none or it isn't a valid IANA name
+function todayInTimezone(now: Date, timeZone: string | null): string {
+  try {
+    if (timeZone) return new Intl.DateTimeFormat("en-CA", { timeZone }).format(now);
+  } catch (_) {
+    // fall through to UTC
+  }
+  return toIsoDate(now);
+}
+
+function addDays(isoDate: string, days: number): string {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return toIsoDate(d);
+}
+
+// ------------------------------------------------------------------
+// Daily scan: find rows whose date lines up with a published date
+// automation (or did within the last LOOKBACK_DAYS days) and emit a
+// date.reached event for each (once per entity + date, tracked in
+// scheduled_trigger_log).
+// ------------------------------------------------------------------
+export const scanDateTriggers = schedules.task({
+  id: "scan-date-triggers",
+  cron: "0 12 * * *", // daily, 12:00 UTC (morning in US time zones)
+  run: async (payload) => {
+    const automations = await loadDateTriggerAutomations();
+
+    // One scan per (org, triggerValue, offsetDays), however many automations share it
+    const combos = new Map<string, { orgId: string; triggerValue: string; offsetDays: number }>();
+    for (const a of automations) {
+      const triggerValue = String(a.triggerValue || "");
+      if (!DATE_SOURCES[triggerValue]) {
+        logger.warn(`Unsupported date trigger: ${triggerValue}`, { automationId: a.id });
+        continue;
+      }
+      const offsetDays = Number(a.offsetDays || 0);
+      combos.set(`${a.org_id}:${triggerValue}:${offsetDays}`, {
+        orgId: String(a.org_id),
+        triggerValue,
+        offsetDays,
+      });
+    }
+
+    const sb = getSupabase();
+    const orgInfo = new Map<string, { slug: string; timezone: string | null }>();
+    let emitted = 0;
+    let failed = 0;
+
+    for (const { orgId, triggerValue, offsetDays } of combos.values()) {
+      const source = DATE_SOURCES[triggerValue];
+      if (!orgInfo.has(orgId)) {
+        const { data: org } = await sb.from("orgs").select("slug,timezone").eq("id", orgId).maybeSingle();
+        orgInfo.set(orgId, { slug: org?.slug || "", timezone: org?.timezone || null });
+      }
+      const { slug: orgSlug, timezone } = orgInfo.get(orgId)!;
+      // Fires on date + offsetDays, so the matching date is today - offsetDays
+      const today = todayInTimezone(payload.timestamp, timezone);
+      const latestDate = addDays(today, -offsetDays);
+
+      // Upper bound is exclusive so timestamp fields match their whole day
+      let query = sb
+        .from(source.table)
+        .select("*")
+        .eq("org_id", orgId)
+        .gte(source.dateField, addDays(latestDate, -LOOKBACK_DAYS))
+        .lt(source.dateField, addDays(latestDate, 1));
+      for (const f of source.filters || []) {
+        query = f.op === "is" ? query.is(f.column, f.value) : query.neq(f.column, f.value);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) {
+        logger.error(`Date scan failed for ${triggerValue}`, { orgId, error: error.message });
+        continue;
+      }
+
+      for (const row of rows || []) {
+        const targetDate = String(row[source.dateField]).slice(0, 10);
+        const claimId = await claimScheduledTrigger({
+          org_id: orgId,
+          trigger_value: triggerValue,
+          offset_days: offsetDays,
+          entity_type: source.entityType,
+          entity_id: String(row.id),
+          target_date: targetDate,
+        });
+        if (claimId == null) continue;
+
+        // daysLate > 0: caught up after a missed scan
+        const daysLate = Math.round((Date.parse(latestDate) - Date.parse(targetDate)) / 86400000);
+        const eventPayload = { ...row, triggerValue, offsetDays, targetDate, daysLate };
+        let event: { id: number };
+        try {
+          event = await emitEvent({
+            org_id: orgId,
+            event_type: "date.reached",
+            entity_type: source.entityType,
+            entity_id: row.id,
+            payload: eventPayload,
+          });
+        } catch (e) {
+          // Unclaim so the task's retry emits it; a stored event that fails
+          // to dispatch below is left to the event sweeper instead
+          logger.error(`date.reached emit failed`, { orgId, triggerValue, entityId: row.id, error: (e as Error).message });
+          await releaseScheduledTrigger(claimId).catch((err) =>
+            logger.error(`Could not release date trigger claim`, { claimId, error: (err as Error).message })
+          );
+          failed++;
+          continue;
+        }
+
+        await processEvent.trigger(
+          {
+            eventId: event.id,
+            orgId,
+            orgSlug,
+            eventType: "date.reached",
+            entityType: source.entityType,
+            entityId: row.id,
+            payload: eventPayload,
+          },
+          { idempotencyKey: `event-${event.id}` }
+        );
+        emitted++;
+      }
+    }
+
+    logger.info(`Date trigger scan complete`, { combos: combos.size, emitted, failed });
+    // Rows emitted above stay claimed, so the retry only redoes the failures
+    if (failed > 0) throw new Error(`${failed} date.reached event(s) could not be emitted`);
+    return { emitted };
+  },
+});
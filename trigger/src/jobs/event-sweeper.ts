@@ -0,0 +1,62 @@
+import { schedules, logger } from "@trigger.dev/sdk";
+import { getSupabase, loadUndispatchedEvents, markEventDispatched } from "../lib/supabase.js";
+import { processEvent } from "./workflow-runner.js";
+
+// Events younger than this may still be mid-dispatch in /api/trigger-event
+const MIN_AGE_MINUTES = 5;
+// Older undispatched events (e.g. from before the sweeper existed) are left
+// for a deliberate /api/event-replay
+const MAX_AGE_HOURS = 24;
+const MAX_ATTEMPTS = 10;
+const BATCH_SIZE = 100;
+
+// ------------------------------------------------------------------
+// Re-dispatch workflow_events that never reached Trigger.dev, e.g.
+// because the Trigger.dev call in /api/trigger-event failed. The
+// idempotency key matches the API's, so an event never runs twice.
+// ------------------------------------------------------------------
+export const sweepUnprocessedEvents = schedules.task({
+  id: "sweep-unprocessed-events",
+  cron: "*/10 * * * *",
+  run: async () => {
+    const events = await loadUndispatchedEvents(MIN_AGE_MINUTES, MAX_AGE_HOURS, MAX_ATTEMPTS, BATCH_SIZE);
+    if (events.length === 0) return { dispatched: 0 };
+
+    const sb = getSupabase();
+    const orgSlugs = new Map<string, string>();
+    let dispatched = 0;
+
+    for (const event of events) {
+      const orgId = String(event.org_id);
+      if (!orgSlugs.has(orgId)) {
+        const { data: org } = await sb.from("orgs").select("slug").eq("id", orgId).maybeSingle();
+        orgSlugs.set(orgId, org?.slug || "");
+      }
+      const attempts = (event.dispatch_attempts || 0) + 1;
+
+      try {
+        await processEvent.trigger(
+          {
+            eventId: event.id!,
+            orgId,
+            orgSlug: orgSlugs.get(orgId) || "",
+            eventType: event.event_type,
+            entityType: event.entity_type,
+            entityId: event.entity_id,
+            payload: event.payload || {},
+          },
+          { idempotencyKey: `event-${event.id}` }
+        );
+        await markEventDispatched(event.id!, attempts);
+        dispatched++;
+      } catch (err) {
+        const errMsg = err instanceof Error ? err.message : String(err);
+        logger.error(`Re-dispatch of event ${event.id} failed`, { error: errMsg, attempts });
+        await markEventDispatched(event.id!, attempts, errMsg);
+      }
+    }
+
+    logger.info("Event sweep complete", { found: events.length, dispatched });
+    return { found: events.length, dispatched };
+  },
+});
@@ -0,0 +1,214 @@
+import { task, logger } from "@trigger.dev/sdk";
+import {
+  ENTITY_TABLES,
+  findCrmRecordByEmailOrPhone,
+  insertCrmRecord,
+  loadEntity,
+  loadGhlConfig,
+  loadGhlEntity,
+  loadGhlLink,
+  loadUnappliedGhlEntities,
+  markGhlEntityApplied,
+  recordGhlConflicts,
+  updateCrmRecord,
+  type GhlEntityLink,
+} from "../lib/supabase.js";
+import { isGhlEcho } from "../lib/ghl.js";
+import { getPullSettings, mapFromGhl, mergeFromGhl, type GhlPullSettings } from "../lib/ghl-mapping.js";
+
+const BATCH_SIZE = 100;
+
+type ApplyResult = Record<string, unknown>;
+
+// Merge incoming GHL values into a linked CRM row, recording conflicts for
+// fields edited on both sides since the last apply
+async function mergeIntoCrm(
+  link: GhlEntityLink,
+  crmType: string,
+  row: Record<string, unknown>,
+  incoming: Record<string, unknown>
+): Promise<ApplyResult> {
+  const base = link.last_applied_payload || null;
+  const { updates, conflicts } = mergeFromGhl(row, incoming, base);
+
+  if (Object.keys(updates).length) {
+    await updateCrmRecord(link.org_id, ENTITY_TABLES[crmType], row.id, updates);
+  }
+  await recordGhlConflicts(
+    conflicts.map((c) => ({
+      org_id: link.org_id,
+      ghl_entity_type: link.entity_type,
+      ghl_id: link.ghl_id,
+      crm_entity_type: crmType,
+      crm_entity_id: String(row.id),
+      field: c.field,
+      crm_value: c.crmValue ?? null,
+      ghl_value: c.ghlValue,
+      base_value: c.baseValue,
+    }))
+  );
+
+  await markGhlEntityApplied(link.id!, {
+    crm_entity_type: crmType,
+    crm_entity_id: String(row.id),
+    last_applied_payload: { ...(base || {}), ...incoming },
+  });
+  return { action: "merged", crmType, crmId: row.id, updated: Object.keys(updates), conflicts: conflicts.map((c) => c.field) };
+}
+
+// ------------------------------------------------------------------
+// GHL contact → client or person (merge into the linked row, else adopt a
+// row with the same email/phone, else create one)
+// ------------------------------------------------------------------
+async function applyContact(settings: GhlPullSettings, link: GhlEntityLink): Promise<ApplyResult> {
+  const ghl = (link.ghl_data || {}) as Record<string, unknown>;
+
+  let crmType = link.crm_entity_type as "client" | "contact" | null;
+  if (!crmType) {
+    crmType = settings.contactTarget === "auto" ? (ghl.companyName ? "client" : "contact") : settings.contactTarget;
+  }
+  const incoming = mapFromGhl(ghl, crmType === "client" ? settings.clientFields : settings.contactFields);
+  if (Object.keys(incoming).length === 0) return skipApply(link, "no mapped fields");
+
+  if (link.crm_entity_id) {
+    const row = await loadEntity(link.org_id, crmType, link.crm_entity_id);
+    if (row) return mergeIntoCrm(link, crmType, row, incoming);
+  }
+
+  const table = ENTITY_TABLES[crmType];
+  const existing = await findCrmRecordByEmailOrPhone(link.org_id, table, String(ghl.email || ""), String(ghl.phone || ""));
+  if (existing) {
+    // Never take over a row another GHL contact already owns
+    const owner = await loadGhlLinkForCrm(link, crmType, existing.id);
+    if (!owner) return mergeIntoCrm(link, crmType, existing, incoming);
+  }
+
+  if (crmType === "client" && !incoming.company) incoming.company = incoming.name || ghl.email || "GHL contact";
+  if (crmType === "contact" && !incoming.name) return skipApply(link, "contact has no name");
+  const created = await insertCrmRecord(
+    link.org_id,
+    table,
+    crmType === "contact" ? { role: "Contact", ...incoming } : incoming
+  );
+  await markGhlEntityApplied(link.id!, {
+    crm_entity_type: crmType,
+    crm_entity_id: String(created.id),
+    last_applied_payload: incoming,
+  });
+  return { action: "created", crmType, crmId: created.id };
+}
+
+async function loadGhlLinkForCrm(link: GhlEntityLink, crmType: string, crmId: unknown) {
+  const owner = await loadGhlLink(link.org_id, link.entity_type, crmType, crmId as string);
+  return owner && owner.ghl_id !== link.ghl_id ? owner : null;
+}
+
+async function skipApply(link: GhlEntityLink, reason: string): Promise<ApplyResult> {
+  await markGhlEntityApplied(link.id!, {});
+  return { skipped: true, reason };
+}
+
+// ------------------------------------------------------------------
+// GHL opportunity → project. The stage sets the status; the client comes
+// from the opportunity's contact once that contact is linked to a client.
+// ------------------------------------------------------------------
+async function applyOpportunity(settings: GhlPullSettings, link: GhlEntityLink): Promise<ApplyResult> {
+  const ghl = (link.ghl_data || {}) as Record<string, unknown>;
+  const incoming = mapFromGhl(ghl, settings.projectFields);
+  const stageId = String(ghl.pipelineStageId || ghl.stageId || "");
+  const status = settings.stageStatuses[stageId];
+  if (status) incoming.status = status;
+
+  if (link.crm_entity_id) {
+    const row = await loadEntity(link.org_id, "project", link.crm_entity_id);
+    if (row) return mergeIntoCrm(link, "project", row, incoming);
+  }
+  if (!settings.createProjects) return skipApply(link, "project creation disabled");
+
+  const contactId = (ghl.contact as Record<string, unknown> | undefined)?.id as string | undefined;
+  const contactLink = contactId ? await loadGhlEntity(link.org_id, "contact", contactId) : null;
+  if (contactLink?.needs_apply) {
+    // The contact hasn't been applied yet — leave this for the next run
+    return { skipped: true, reason: "waiting for contact", retry: true };
+  }
+  if (contactLink?.crm_entity_type !== "client" || !contactLink.crm_entity_id) {
+    return skipApply(link, "opportunity's contact is not linked to a client");
+  }
+  if (!incoming.name) incoming.name = "GHL opportunity";
+
+  const created = await insertCrmRecord(link.org_id, "projects", {
+    project_type: "install",
+    status: "scheduled",
+    team: [],
+    docs: {},
+    ...incoming,
+    client_id: Number(contactLink.crm_entity_id),
+  });
+  await markGhlEntityApplied(link.id!, {
+    crm_entity_type: "project",
+    crm_entity_id: String(created.id),
+    last_applied_payload: incoming,
+  });
+  return { action: "created", crmType: "project", crmId: created.id };
+}
+
+// Applies one synced GHL record to the CRM
+export async function applyGhlEntity(settings: GhlPullSettings, link: GhlEntityLink): Promise<ApplyResult> {
+  if ((link.ghl_data as Record<string, unknown> | null)?.deleted) return skipApply(link, "deleted in GHL");
+  // Our own push coming back — GHL matches the CRM already
+  if (isGhlEcho(link, (link.ghl_data || {}) as Record<string, unknown>)) return skipApply(link, "echo of our push");
+  if (link.entity_type === "contact") return applyContact(settings, link);
+  if (link.entity_type === "opportunity") return applyOpportunity(settings, link);
+  return skipApply(link, `nothing to apply for ${link.entity_type}`);
+}
+
+// ------------------------------------------------------------------
+// Applies everything the ghl-sync task and /api/ghl-webhook stored since the
+// last run (needs_apply), contacts first so opportunities can find their
+// client. One run per org at a time (concurrencyKey = orgId).
+// ------------------------------------------------------------------
+export interface GhlApplyParams {
+  orgId: string;
+}
+
+export const ghlApply = task({
+  id: "ghl-apply",
+  queue: { concurrencyLimit: 1 },
+  retry: {
+    maxAttempts: 3,
+    factor: 2,
+    minTimeoutInMs: 5000,
+    maxTimeoutInMs: 60000,
+  },
+  run: async (params: GhlApplyParams) => {
+    const config = await loadGhlConfig(params.orgId);
+    if (!config) return { skipped: true, reason: "GHL not configured" };
+    const settings = getPullSettings(config);
+    if (!settings.enabled) return { skipped: true, reason: "GHL pull disabled" };
+
+    const counts: Record<string, number> = { created: 0, merged: 0, skipped: 0, conflicts: 0, failed: 0 };
+    for (const entityType of ["contact", "opportunity"]) {
+      const seen = new Set<number>();
+      for (;;) {
+        const batch = (await loadUnappliedGhlEntities(params.orgId, entityType, BATCH_SIZE)).filter((l) => !seen.has(l.id!));
+        if (batch.length === 0) break;
+        for (const link of batch) {
+          seen.add(link.id!);
+          try {
+            const result = await applyGhlEntity(settings, link);
+            if (result.skipped) counts.skipped++;
+            else counts[String(result.action)]++;
+            counts.conflicts += ((result.conflicts as string[]) || []).length;
+          } catch (e) {
+            // One bad record shouldn't hold up the rest; it stays needs_apply
+            counts.failed++;
+            logger.error(`GHL apply failed for ${entityType} ${link.ghl_id}`, { error: (e as Error).message });
+          }
+        }
+      }
+    }
+
+    logger.info("GHL apply finished", { orgId: params.orgId, ...counts });
+    return counts;
+  },
+});
@@ -0,0 +1,226 @@
+import { task, logger } from "@trigger.dev/sdk";
+import {
+  loadEntity,
+  loadGhlConfig,
+  loadGhlEntity,
+  loadGhlLink,
+  saveGhlLink,
+  type GhlConfig,
+} from "../lib/supabase.js";
+import {
+  getPushSettings,
+  ghlHasValues,
+  ghlRequest,
+  mapToGhlContact,
+  opportunityStatus,
+  type GhlPushSettings,
+} from "../lib/ghl.js";
+
+// CRM events that change something GHL should know about
+const GHL_PUSH_EVENTS = ["client.updated", "contact.updated", "project.created", "project.status_changed", "quote.signed"];
+
+type PushResult = Record<string, unknown>;
+
+// 429 and 5xx are worth retrying; anything else (bad mapping, missing
+// required field) would fail the same way again
+function failPush(what: string, status: number, error?: string): PushResult {
+  if (status === 429 || status >= 500) throw new Error(`GHL ${what} failed (${status}): ${error}`);
+  logger.error(`GHL ${what} failed`, { status, error });
+  return { failed: true, status, error };
+}
+
+// ------------------------------------------------------------------
+// Client / person → GHL contact (update the linked one, else match by
+// email, else create)
+// ------------------------------------------------------------------
+async function pushContact(
+  config: GhlConfig,
+  settings: GhlPushSettings,
+  orgId: string,
+  crmType: "client" | "contact",
+  crmId: string | number
+): Promise<PushResult> {
+  const row = await loadEntity(orgId, crmType, crmId);
+  if (!row) return { skipped: true, reason: `${crmType} ${crmId} not found` };
+
+  const payload = mapToGhlContact(row, crmType === "client" ? settings.clientFields : settings.contactFields);
+  if (!payload.email && !payload.phone) return { skipped: true, reason: "GHL contacts need an email or phone" };
+
+  let link = await loadGhlLink(orgId, "contact", crmType, crmId);
+  if (link && ghlHasValues(link.ghl_data, payload)) {
+    // Nothing new — including edits that came from GHL in the first place
+    return { skipped: true, reason: "GHL already up to date", ghlId: link.ghl_id };
+  }
+
+  let ghlId = link?.ghl_id || null;
+  if (!ghlId && payload.email) {
+    const found = await ghlRequest<{ contacts?: Array<{ id: string }> }>(
+      config,
+      "GET",
+      `contacts/lookup?email=${encodeURIComponent(String(payload.email))}`
+    );
+    const match = found.ok ? found.data?.contacts?.[0] : undefined;
+    if (match) {
+      // Only adopt a GHL contact no other CRM record is linked to
+      const existing = await loadGhlEntity(orgId, "contact", match.id);
+      if (!existing?.crm_entity_id || (existing.crm_entity_type === crmType && existing.crm_entity_id === String(crmId))) {
+        ghlId = match.id;
+        link = existing;
+      }
+    }
+  }
+
+  const resp = ghlId
+    ? await ghlRequest<{ contact?: Record<string, unknown> }>(config, "PUT", `contacts/${ghlId}`, payload)
+    : await ghlRequest<{ contact?: Record<string, unknown> }>(config, "POST", "contacts/", payload);
+  if (!resp.ok || !resp.data?.contact) return failPush(ghlId ? "contact update" : "contact create", resp.status, resp.error);
+
+  const contact = resp.data.contact;
+  const now = new Date().toISOString();
+  await saveGhlLink({
+    org_id: orgId,
+    entity_type: "contact",
+    ghl_id: String(contact.id),
+    ghl_data: { ...(link?.ghl_data || {}), ...contact },
+    crm_entity_type: crmType,
+    crm_entity_id: String(crmId),
+    last_pushed_payload: payload,
+    last_pushed_at: now,
+    synced_at: now,
+  });
+
+  return { pushed: true, action: ghlId ? "updated" : "created", ghlId: contact.id };
+}
+
+// ------------------------------------------------------------------
+// Project → GHL opportunity stage (creating the opportunity under the
+// client's GHL contact if the project isn't linked yet)
+// ------------------------------------------------------------------
+async function pushProjectStage(
+  config: GhlConfig,
+  settings: GhlPushSettings,
+  orgId: string,
+  projectId: string | number,
+  override?: { stageId: string; status: string }
+): Promise<PushResult> {
+  const project = await loadEntity(orgId, "project", projectId);
+  if (!project) return { skipped: true, reason: `project ${projectId} not found` };
+
+  const projectStatus = String(project.status || "");
+  const stageId = override?.stageId || settings.statusStages[projectStatus];
+  if (!stageId) return { skipped: true, reason: `no GHL stage mapped for status "${projectStatus}"` };
+  const status = override?.status || opportunityStatus(settings, projectStatus);
+
+  const link = await loadGhlLink(orgId, "opportunity", "project", projectId);
+  const target = { pipelineStageId: stageId, status };
+  if (link && ghlHasValues(link.ghl_data, target)) {
+    return { skipped: true, reason: "GHL already up to date", ghlId: link.ghl_id };
+  }
+
+  const ghlData = (link?.ghl_data || {}) as Record<string, unknown>;
+  const pipelineId = String(ghlData.pipelineId || settings.pipelineId || "");
+  if (!pipelineId) return { skipped: true, reason: "no GHL pipeline configured" };
+
+  let contactId = (ghlData.contact as Record<string, unknown> | undefined)?.id as string | undefined;
+  if (!contactId && project.client_id) {
+    let clientLink = await loadGhlLink(orgId, "contact", "client", project.client_id as number);
+    if (!clientLink) {
+      await pushContact(config, settings, orgId, "client", project.client_id as number);
+      clientLink = await loadGhlLink(orgId, "contact", "client", project.client_id as number);
+    }
+    contactId = clientLink?.ghl_id;
+  }
+  if (!contactId) return { skipped: true, reason: "project's client has no GHL contact" };
+
+  const body = { title: String(ghlData.name || project.name || "Project"), stageId, status, contactId };
+  const resp = link
+    ? await ghlRequest(config, "PUT", `pipelines/${pipelineId}/opportunities/${link.ghl_id}`, body)
+    : await ghlRequest(config, "POST", `pipelines/${pipelineId}/opportunities/`, body);
+  if (!resp.ok || !resp.data) return failPush(link ? "opportunity update" : "opportunity create", resp.status, resp.error);
+
+  const opp = resp.data as Record<string, unknown>;
+  const ghlId = String(opp.id || link?.ghl_id);
+  const now = new Date().toISOString();
+  await saveGhlLink({
+    org_id: orgId,
+    entity_type: "opportunity",
+    ghl_id: ghlId,
+    ghl_data: { ...ghlData, ...opp, pipelineId, ...target },
+    crm_entity_type: "project",
+    crm_entity_id: String(projectId),
+    last_pushed_payload: target,
+    last_pushed_at: now,
+    synced_at: now,
+  });
+
+  return { pushed: true, action: link ? "moved" : "created", ghlId, stageId, status };
+}
+
+// ------------------------------------------------------------------
+// One CRM event → GHL. Queued by processEvent for GHL_PUSH_EVENTS when
+// the org has push enabled.
+// ------------------------------------------------------------------
+export interface GhlPushParams {
+  eventId: number;
+  orgId: string;
+  eventType: string;
+  entityType: string;
+  entityId: string | number;
+}
+
+export const ghlPush = task({
+  id: "ghl-push",
+  retry: {
+    maxAttempts: 5,
+    factor: 2,
+    minTimeoutInMs: 5000,
+    maxTimeoutInMs: 5 * 60000,
+  },
+  run: async (params: GhlPushParams) => {
+    const config = await loadGhlConfig(params.orgId);
+    if (!config?.ghl_api_key) return { skipped: true, reason: "GHL not configured" };
+    const settings = getPushSettings(config);
+    if (!settings.enabled) return { skipped: true, reason: "GHL push disabled" };
+
+    let result: PushResult;
+    switch (params.eventType) {
+      case "client.updated":
+        result = await pushContact(config, settings, params.orgId, "client", params.entityId);
+        break;
+      case "contact.updated":
+        result = await pushContact(config, settings, params.orgId, "contact", params.entityId);
+        break;
+      case "project.created":
+      case "project.status_changed":
+        result = await pushProjectStage(config, settings, params.orgId, params.entityId);
+        break;
+      case "quote.signed": {
+        const quote = await loadEntity(params.orgId, "quote", params.entityId);
+        if (!settings.quoteSignedStage) result = { skipped: true, reason: "no GHL stage set for signed quotes" };
+        else if (!quote?.project_id) result = { skipped: true, reason: "quote has no project" };
+        else {
+          result = await pushProjectStage(config, settings, params.orgId, quote.project_id as number, {
+            stageId: settings.quoteSignedStage,
+            status: "won",
+          });
+        }
+        break;
+      }
+      default:
+        result = { skipped: true, reason: `no GHL push for ${params.eventType}` };
+    }
+
+    logger.info(`GHL push for ${params.eventType}`, { eventId: params.eventId, ...result });
+    return result;
+  },
+});
+
+export async function dispatchGhlPush(params: GhlPushParams) {
+  if (!GHL_PUSH_EVENTS.includes(params.eventType)) return false;
+  const config = await loadGhlConfig(params.orgId);
+  if (!config?.ghl_api_key || !getPushSettings(config).enabled) return false;
+
+  // A re-processed event doesn't push twice
+  await ghlPush.trigger(params, { idempotencyKey: `ghl-push-${params.eventId}` });
+  return true;
+}
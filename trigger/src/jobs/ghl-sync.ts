@@ -0,0 +1,233 @@
+import { task, schedules, logger } from "@trigger.dev/sdk";
+import {
+  createGhlSyncLog,
+  getSupabase,
+  loadGhlConfig,
+  loadGhlPullConfigs,
+  loadLatestGhlSyncLog,
+  saveGhlEntities,
+  updateGhlSyncLog,
+  type GhlConfig,
+  type GhlSyncLog,
+} from "../lib/supabase.js";
+import { ghlRequest } from "../lib/ghl.js";
+import { getPullSettings } from "../lib/ghl-mapping.js";
+import { ghlApply } from "./ghl-apply.js";
+
+const PAGE_SIZE = 100;
+// A running log nobody has checkpointed for this long belongs to a dead run
+const STALE_RUN_MS = 30 * 60 * 1000;
+
+export type GhlSyncType = "contacts" | "opportunities";
+
+interface GhlPageMeta {
+  nextPageUrl?: string | null;
+  startAfterId?: string | null;
+  startAfter?: number | null;
+}
+
+type GhlRecord = Record<string, unknown> & { id: string };
+
+// GHL v1 lists have no updated-since filter, so every page is still read;
+// only records changed after the checkpoint are written (and re-applied)
+function changedSince(record: GhlRecord, since: string | null) {
+  if (!since) return true;
+  const stamp = record.dateUpdated || record.updatedAt || record.dateAdded || record.createdAt;
+  return !stamp || new Date(String(stamp)).getTime() > new Date(since).getTime();
+}
+
+async function savePage(log: GhlSyncLog, entityType: string, records: GhlRecord[]) {
+  const now = new Date().toISOString();
+  const changed = records.filter((r) => changedSince(r, log.updated_since));
+  await saveGhlEntities(
+    changed.map((r) => ({
+      org_id: log.org_id,
+      entity_type: entityType,
+      ghl_id: String(r.id),
+      ghl_data: r,
+      needs_apply: true,
+      synced_at: now,
+    }))
+  );
+  return changed.length;
+}
+
+// ------------------------------------------------------------------
+// Contacts: startAfterId/startAfter paging. cursor = { startAfterId, startAfter }
+// ------------------------------------------------------------------
+async function syncContacts(config: GhlConfig, log: GhlSyncLog) {
+  let cursor = (log.cursor || {}) as { startAfterId?: string; startAfter?: number };
+  let written = log.records_synced || 0;
+
+  for (;;) {
+    const qs = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (cursor.startAfterId) qs.set("startAfterId", cursor.startAfterId);
+    if (cursor.startAfter) qs.set("startAfter", String(cursor.startAfter));
+    const resp = await ghlRequest<{ contacts?: GhlRecord[]; meta?: GhlPageMeta }>(config, "GET", `contacts/?${qs}`);
+    if (!resp.ok) throw new Error(`GHL contacts page failed (${resp.status}): ${resp.error}`);
+
+    const contacts = resp.data?.contacts || [];
+    written += await savePage(log, "contact", contacts);
+
+    const meta = resp.data?.meta;
+    const done = contacts.length < PAGE_SIZE || !meta?.nextPageUrl;
+    cursor = done
+      ? {}
+      : { startAfterId: meta?.startAfterId || contacts[contacts.length - 1].id, startAfter: meta?.startAfter ?? undefined };
+    await updateGhlSyncLog(log.id, { cursor: done ? null : cursor, records_synced: written });
+    if (done) return written;
+  }
+}
+
+// ------------------------------------------------------------------
+// Opportunities: every pipeline, page by page.
+// cursor = { pipelineId, page, startAfterId, startAfter }
+// ------------------------------------------------------------------
+interface OpportunityCursor {
+  pipelineId?: string;
+  page?: number;
+  startAfterId?: string;
+  startAfter?: number;
+}
+
+async function syncOpportunities(config: GhlConfig, log: GhlSyncLog) {
+  const pResp = await ghlRequest<{ pipelines?: Array<{ id: string }> }>(config, "GET", "pipelines/");
+  if (!pResp.ok) throw new Error(`GHL pipelines failed (${pResp.status}): ${pResp.error}`);
+  const pipelineIds = (pResp.data?.pipelines || []).map((p) => p.id);
+
+  const saved = (log.cursor || {}) as OpportunityCursor;
+  let written = log.records_synced || 0;
+  const startIndex = saved.pipelineId ? Math.max(0, pipelineIds.indexOf(saved.pipelineId)) : 0;
+
+  for (let i = startIndex; i < pipelineIds.length; i++) {
+    const pipelineId = pipelineIds[i];
+    let cursor: OpportunityCursor = saved.pipelineId === pipelineId ? saved : { pipelineId, page: 1 };
+    let previousFirstId: string | null = null;
+
+    for (;;) {
+      const qs = new URLSearchParams({ limit: String(PAGE_SIZE), page: String(cursor.page || 1) });
+      if (cursor.startAfterId) qs.set("startAfterId", cursor.startAfterId);
+      if (cursor.startAfter) qs.set("startAfter", String(cursor.startAfter));
+      const resp = await ghlRequest<{ opportunities?: GhlRecord[]; meta?: GhlPageMeta }>(
+        config,
+        "GET",
+        `pipelines/${pipelineId}/opportunities?${qs}`
+      );
+      if (!resp.ok) throw new Error(`GHL opportunities page failed (${resp.status}): ${resp.error}`);
+
+      const opps = resp.data?.opportunities || [];
+      // Guard against the API handing back the same page again
+      if (opps.length && opps[0].id === previousFirstId) break;
+      previousFirstId = opps[0]?.id || null;
+      written += await savePage(log, "opportunity", opps);
+
+      const meta = resp.data?.meta;
+      const done = opps.length < PAGE_SIZE || (meta !== undefined && !meta.nextPageUrl);
+      if (done) break;
+      cursor = {
+        pipelineId,
+        page: (cursor.page || 1) + 1,
+        startAfterId: meta?.startAfterId || opps[opps.length - 1].id,
+        startAfter: meta?.startAfter ?? undefined,
+      };
+      await updateGhlSyncLog(log.id, { cursor: { ...cursor }, records_synced: written });
+    }
+
+    const next = pipelineIds[i + 1];
+    await updateGhlSyncLog(log.id, { cursor: next ? { pipelineId: next, page: 1 } : null, records_synced: written });
+  }
+  return written;
+}
+
+// The log this run works on: its own (a retry), a failed or abandoned run
+// to resume from its cursor, or a new incremental run starting where the
+// last completed one did. Null when another live run has it.
+async function claimSyncLog(orgId: string, syncType: GhlSyncType, full: boolean, runId: string) {
+  const latest = await loadLatestGhlSyncLog(orgId, syncType);
+  if (latest?.status === "running") {
+    const lastTouched = new Date(latest.updated_at || latest.started_at || 0).getTime();
+    if (latest.trigger_run_id !== runId && Date.now() - lastTouched < STALE_RUN_MS) return null;
+    return latest;
+  }
+  if (latest?.status === "failed" && latest.cursor && !full) return latest;
+
+  const lastCompleted = full ? null : await loadLatestGhlSyncLog(orgId, syncType, "completed");
+  return createGhlSyncLog({
+    org_id: orgId,
+    sync_type: syncType,
+    status: "running",
+    records_synced: 0,
+    updated_since: lastCompleted?.started_at || null,
+    trigger_run_id: runId,
+  });
+}
+
+// ------------------------------------------------------------------
+// One resumable contacts/opportunities sync for an org. Queued by
+// /api/ghl-sync and hourly by ghl-sync-scheduled; full re-reads everything.
+// ------------------------------------------------------------------
+export interface GhlSyncParams {
+  orgId: string;
+  syncType: GhlSyncType;
+  full?: boolean;
+}
+
+export const ghlSync = task({
+  id: "ghl-sync",
+  maxDuration: 3600,
+  queue: { concurrencyLimit: 1 }, // per org + type via concurrencyKey
+  retry: {
+    maxAttempts: 5,
+    factor: 2,
+    minTimeoutInMs: 10000,
+    maxTimeoutInMs: 5 * 60000,
+  },
+  run: async (params: GhlSyncParams, { ctx }) => {
+    const config = await loadGhlConfig(params.orgId);
+    if (!config?.ghl_api_key) return { skipped: true, reason: "GHL not configured" };
+
+    const log = await claimSyncLog(params.orgId, params.syncType, !!params.full, ctx.run.id);
+    if (!log) return { skipped: true, reason: `a ${params.syncType} sync is already running` };
+    await updateGhlSyncLog(log.id, { status: "running", trigger_run_id: ctx.run.id, error_message: null });
+
+    let recordsSynced: number;
+    try {
+      recordsSynced =
+        params.syncType === "contacts" ? await syncContacts(config, log) : await syncOpportunities(config, log);
+    } catch (e) {
+      // The cursor stays, so the retry (or the next run) resumes from it
+      await updateGhlSyncLog(log.id, { status: "failed", error_message: (e as Error).message });
+      throw e;
+    }
+
+    const now = new Date().toISOString();
+    await updateGhlSyncLog(log.id, { status: "completed", cursor: null, records_synced: recordsSynced, completed_at: now });
+    await getSupabase().from("ghl_config").update({ last_sync_at: now, updated_at: now }).eq("org_id", params.orgId);
+
+    let applyRunId: string | null = null;
+    if (recordsSynced > 0 && getPullSettings(config).enabled) {
+      const handle = await ghlApply.trigger({ orgId: params.orgId }, { concurrencyKey: params.orgId });
+      applyRunId = handle.id;
+    }
+
+    logger.info(`GHL ${params.syncType} sync finished`, { orgId: params.orgId, logId: log.id, recordsSynced });
+    return { logId: log.id, recordsSynced, resumed: !!log.cursor, applyRunId };
+  },
+});
+
+// ------------------------------------------------------------------
+// Hourly incremental sync for orgs that pull GHL data into the CRM
+// ------------------------------------------------------------------
+export const ghlSyncScheduled = schedules.task({
+  id: "ghl-sync-scheduled",
+  cron: "15 * * * *",
+  run: async () => {
+    const configs = await loadGhlPullConfigs();
+    for (const cfg of configs) {
+      for (const syncType of ["contacts", "opportunities"] as GhlSyncType[]) {
+        await ghlSync.trigger({ orgId: cfg.org_id, syncType }, { concurrencyKey: `${cfg.org_id}:${syncType}` });
+      }
+    }
+    return { orgs: configs.length };
+  },
+});
@@ -0,0 +1,198 @@
+import { schedules, task, logger } from "@trigger.dev/sdk";
+import {
+  findIdByEmail,
+  loadEmailConfigBySubscription,
+  loadInboundEmailConfigs,
+  storeInboundEmail,
+  updateEmailConfig,
+  updateMessage,
+  upsertShipmentsForPO,
+  type ParsedShipmentOrder,
+} from "../lib/supabase.js";
+import { createMailSubscription, getMailMessage, renewMailSubscription } from "../lib/graph.js";
+
+// Renew anything expiring within this window (the task runs every 6 hours)
+const RENEW_WITHIN_HOURS = 24;
+const MAX_BODY_LENGTH = 100000;
+
+// ------------------------------------------------------------------
+// Keep a Graph inbox subscription alive for every email_config row
+// with inbound_enabled. Notifications go to /api/email-inbound, which
+// queues process-inbound-email for each new message.
+// ------------------------------------------------------------------
+export const renewMailSubscriptions = schedules.task({
+  id: "renew-mail-subscriptions",
+  cron: "0 */6 * * *",
+  run: async () => {
+    const clientState = process.env.GRAPH_WEBHOOK_SECRET;
+    if (!clientState) throw new Error("Missing GRAPH_WEBHOOK_SECRET");
+    const baseUrl = process.env.CRM_BASE_URL || "https://vector-crm.vercel.app";
+    const notificationUrl = `${baseUrl}/api/email-inbound`;
+
+    const configs = await loadInboundEmailConfigs();
+    let created = 0;
+    let renewed = 0;
+    let failed = 0;
+
+    for (const cfg of configs) {
+      const mailbox = String(cfg.sender_mailbox);
+      const expiresAt = cfg.graph_subscription_expires_at ? new Date(cfg.graph_subscription_expires_at).getTime() : 0;
+      if (cfg.graph_subscription_id && expiresAt > Date.now() + RENEW_WITHIN_HOURS * 3600000) continue;
+
+      if (cfg.graph_subscription_id) {
+        const result = await renewMailSubscription(cfg.graph_subscription_id);
+        if (result.ok && result.data) {
+          await updateEmailConfig(cfg.id, { graph_subscription_expires_at: result.data.expirationDateTime });
+          renewed++;
+          continue;
+        }
+        // Expired or deleted on Graph's side: fall through and subscribe again
+        logger.warn(`Renewing mail subscription for ${mailbox} failed`, { status: result.status, error: result.error });
+      }
+
+      const result = await createMailSubscription(mailbox, notificationUrl, clientState);
+      if (result.ok && result.data) {
+        await updateEmailConfig(cfg.id, {
+          graph_subscription_id: result.data.id,
+          graph_subscription_expires_at: result.data.expirationDateTime,
+        });
+        created++;
+      } else {
+        logger.error(`Creating mail subscription for ${mailbox} failed`, { status: result.status, error: result.error });
+        failed++;
+      }
+    }
+
+    logger.info("Mail subscriptions checked", { configs: configs.length, created, renewed, failed });
+    return { created, renewed, failed };
+  },
+});
+
+interface ShipmentParse {
+  format: string | null;
+  confidence: number;
+  customerPO: { value: string; confidence: number };
+  orders: ParsedShipmentOrder[];
+  unparsedLines: string[];
+  notice: boolean;
+  minAutoImportConfidence: number;
+}
+
+// ------------------------------------------------------------------
+// One new message in an org mailbox (queued by /api/email-inbound).
+// Stores it in messages (channel 'email', direction 'inbound'), links it
+// to a contact and client, turns vendor shipment notices into shipments
+// and emits email.received. Every step is keyed by the Graph message id,
+// so a retry (or a second notification for the same mail) picks up where
+// the last attempt stopped instead of skipping or duplicating work.
+// ------------------------------------------------------------------
+export const processInboundEmail = task({
+  id: "process-inbound-email",
+  retry: { maxAttempts: 5, factor: 2, minTimeoutInMs: 5000 },
+  run: async (params: { subscriptionId: string; messageId: string }) => {
+    const cfg = await loadEmailConfigBySubscription(params.subscriptionId);
+    if (!cfg || !cfg.mailbox) {
+      logger.warn("Unknown mail subscription, ignored", { subscriptionId: params.subscriptionId });
+      return { skipped: true, reason: "unknown subscription" };
+    }
+    const { orgId, orgSlug, mailbox } = cfg;
+
+    const msg = await getMailMessage(mailbox, params.messageId);
+    if (msg.status === 404) {
+      // Deleted or moved before we got to it
+      logger.warn("Mail message not found", { mailbox, messageId: params.messageId });
+      return { skipped: true, reason: "message not found" };
+    }
+    if (!msg.ok || !msg.data) throw new Error(`Graph message fetch failed (${msg.status}): ${msg.error}`);
+    const mail = msg.data;
+
+    const from = String(mail.from?.emailAddress?.address || "").toLowerCase();
+    const fromName = mail.from?.emailAddress?.name || "";
+    const subject = mail.subject || "";
+    const text = String(mail.body?.content || "").slice(0, MAX_BODY_LENGTH);
+    const contactId = from ? await findIdByEmail(orgId, "people", from) : null;
+    let clientId = from ? await findIdByEmail(orgId, "clients", from) : null;
+
+    const row = await storeInboundEmail({
+      org_id: orgId,
+      direction: "inbound",
+      channel: "email",
+      status: "received",
+      external_id: mail.id,
+      email_from: from,
+      email_to: (mail.toRecipients || []).map((r) => r.emailAddress?.address).filter(Boolean).join(", "),
+      email_cc: (mail.ccRecipients || []).map((r) => r.emailAddress?.address).filter(Boolean),
+      subject,
+      body: text,
+      contact_id: contactId,
+      metadata: { fromName, receivedAt: mail.receivedDateTime, hasAttachments: !!mail.hasAttachments, clientId },
+      created_at: mail.receivedDateTime || new Date().toISOString(),
+    });
+
+    // Vendor shipment notices become shipments under the customer PO, parsed
+    // by the same route as Upload Shipment List
+    const baseUrl = process.env.CRM_BASE_URL || "https://vector-crm.vercel.app";
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    let shipment: Record<string, unknown> | null = null;
+    let projectId: number | null = null;
+    if (text.trim()) {
+      const parseResp = await fetch(`${baseUrl}/api/parse-shipment`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${serviceKey}` },
+        body: JSON.stringify({ orgId, text, subject }),
+      });
+      if (!parseResp.ok) throw new Error(`parse-shipment failed: ${await parseResp.text()}`);
+      const parsed = (await parseResp.json()) as ShipmentParse;
+
+      if (parsed.notice) {
+        const customerPO = parsed.customerPO.value;
+        const summary = { format: parsed.format, confidence: parsed.confidence, customerPO: customerPO || null, orders: parsed.orders, unparsedLines: parsed.unparsedLines };
+        if (parsed.orders.length > 0 && customerPO && parsed.confidence >= parsed.minAutoImportConfidence) {
+          const created = await upsertShipmentsForPO(orgId, customerPO, parsed.orders);
+          shipment = { parseStatus: "parsed", ...summary, ...created };
+          clientId = clientId || created.clientId;
+          projectId = created.projectId;
+        } else {
+          // Left for staff to paste into Upload Shipment List
+          shipment = { parseStatus: "needs_review", ...summary, shipmentIds: [] };
+        }
+      }
+    }
+
+    await updateMessage(row.id, {
+      entity_type: projectId ? "project" : null,
+      entity_id: projectId ? String(projectId) : null,
+      metadata: { ...(row.metadata || {}), clientId, shipment },
+    });
+
+    // Same key on every attempt: /api/trigger-event stores and dispatches it once
+    const eventResp = await fetch(`${baseUrl}/api/trigger-event`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${serviceKey}` },
+      body: JSON.stringify({
+        orgId,
+        orgSlug,
+        eventType: "email.received",
+        entityType: "message",
+        entityId: row.id,
+        idempotencyKey: `email-${mail.id}`,
+        payload: {
+          from,
+          fromName,
+          subject,
+          body: text.slice(0, 2000),
+          contactId,
+          clientId,
+          projectId,
+          messageId: row.id,
+          shipmentNotice: !!shipment,
+          shipmentIds: (shipment?.shipmentIds as number[] | undefined) || [],
+        },
+      }),
+    });
+    if (!eventResp.ok) throw new Error(`email.received failed: ${await eventResp.text()}`);
+
+    logger.info("Inbound email", { orgId, from, subject: subject.substring(0, 50), retried: !row.created, shipment: shipment?.parseStatus || null });
+    return { messageId: row.id, shipment: shipment?.parseStatus || null };
+  },
+});
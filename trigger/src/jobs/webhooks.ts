@@ -0,0 +1,112 @@
+import { task, logger } from "@trigger.dev/sdk";
+import { randomUUID } from "node:crypto";
+import { loadWebhookSubscriptions, logWebhookDelivery } from "../lib/supabase.js";
+import { postWebhook, type WebhookEnvelope } from "../lib/webhooks.js";
+
+// ------------------------------------------------------------------
+// Deliver one webhook. Each attempt is logged to webhook_deliveries;
+// a failed attempt throws so Trigger.dev retries with backoff
+// (30s, 1m, 2m, 4m, ... capped at 30m, 8 attempts ≈ 1.5 hours).
+// ------------------------------------------------------------------
+export interface DeliverWebhookParams {
+  orgId: string;
+  url: string;
+  secret: string | null;
+  eventType: string;
+  data: Record<string, unknown>;
+  deliveryId?: string;
+  subscriptionId?: number | null;
+  automationId?: string | null;
+  runId?: number | null;
+  eventId?: number | null;
+}
+
+export const deliverWebhook = task({
+  id: "deliver-webhook",
+  retry: {
+    maxAttempts: 8,
+    factor: 2,
+    minTimeoutInMs: 30000,
+    maxTimeoutInMs: 30 * 60000,
+    randomize: true,
+  },
+  run: async (params: DeliverWebhookParams, { ctx }) => {
+    // The delivery id stays the same across retries so receivers can dedupe
+    const deliveryId = params.deliveryId || ctx.run.id;
+    const envelope: WebhookEnvelope = {
+      id: deliveryId,
+      event: params.eventType,
+      org_id: params.orgId,
+      created_at: ctx.run.createdAt.toISOString(),
+      data: params.data,
+    };
+
+    const attempt = ctx.attempt.number;
+    const result = await postWebhook(params.url, envelope, params.secret);
+
+    await logWebhookDelivery({
+      org_id: params.orgId,
+      delivery_id: deliveryId,
+      subscription_id: params.subscriptionId ?? null,
+      automation_id: params.automationId ?? null,
+      run_id: params.runId ?? null,
+      event_id: params.eventId ?? null,
+      event_type: params.eventType,
+      url: params.url,
+      attempt,
+      status: result.ok ? "delivered" : "failed",
+      response_status: result.status,
+      response_body: result.responseBody,
+      error: result.error ?? null,
+      duration_ms: result.durationMs,
+    });
+
+    if (!result.ok) {
+      logger.warn(`Webhook attempt ${attempt} to ${params.url} failed`, { deliveryId, error: result.error });
+      throw new Error(`Webhook delivery failed: ${result.error}`);
+    }
+
+    return { delivered: true, deliveryId, attempts: attempt, status: result.status };
+  },
+});
+
+// ------------------------------------------------------------------
+// Fan an event out to the org's webhook subscriptions. Deliveries run
+// on their own, so a slow endpoint never holds up the automations.
+// ------------------------------------------------------------------
+export async function dispatchWebhookSubscriptions(params: {
+  eventId: number;
+  orgId: string;
+  eventType: string;
+  entityType: string;
+  entityId: string | number;
+  payload: Record<string, unknown>;
+}) {
+  const subscriptions = await loadWebhookSubscriptions(params.orgId, params.eventType);
+  if (subscriptions.length === 0) return 0;
+
+  for (const sub of subscriptions) {
+    await deliverWebhook.trigger(
+      {
+        orgId: params.orgId,
+        url: String(sub.url),
+        secret: sub.secret || null,
+        eventType: params.eventType,
+        data: {
+          event_id: params.eventId,
+          entity_type: params.entityType,
+          entity_id: params.entityId,
+          payload: params.payload,
+        },
+        deliveryId: randomUUID(),
+        subscriptionId: sub.id,
+        eventId: params.eventId,
+      },
+      // A re-processed event (sweeper, retry) doesn't deliver twice
+      { idempotencyKey: `webhook-${sub.id}-${params.eventId}` }
+    );
+  }
+
+  logger.info(`Queued ${subscriptions.length} webhook deliveries`, { eventId: params.eventId });
+  return subscriptions.length;
+}
@@ -1,14 +1,32 @@
-import { task, wait, logger } from "@trigger.dev/sdk";
+import { task, wait, runs, logger } from "@trigger.dev/sdk";
 import {
   getSupabase,
   loadWorkflowSteps,
   loadMatchingAutomations,
+  loadAutomationAiSettings,
   createWorkflowRun,
   updateWorkflowRun,
+  loadWorkflowRun,
   logStepExecution,
+  loadEntity,
+  loadEntityContext,
+  registerEventWait,
+  loadPendingEventWaits,
+  resolveEventWait,
+  loadExitAutomations,
+  loadActiveRuns,
+  recordConversationMessage,
+  findSentMessage,
+  isSmsSuppressed,
   type CrmEventType,
+  type RunSubject,
 } from "../lib/supabase.js";
-import { sendSms, getMessagingServiceForOrg } from "../lib/twilio.js";
+import { sendSms, getMessagingConfigForOrg, SmsSuppressedError } from "../lib/twilio.js";
+import { evaluateCondition } from "../lib/conditions.js";
+import { interpolate } from "../lib/templates.js";
+import { composeAiMessage, type AiSettings } from "../lib/ai.js";
+import { deliverWebhook, dispatchWebhookSubscriptions } from "./webhooks.js";
+import { dispatchGhlPush } from "./ghl-push.js";
 
 // ------------------------------------------------------------------
 // Event payload shape from the CRM
@@ -34,6 +52,14 @@ export const processEvent = task({
 
     logger.info("Processing CRM event", { eventId, orgId, eventType, entityType, entityId });
 
+    // However it got here (API, sweeper, replay, scheduled scan), the event
+    // is now in Trigger.dev's hands
+    await getSupabase()
+      .from("workflow_events")
+      .update({ dispatched_at: new Date().toISOString() })
+      .eq("id", eventId)
+      .is("dispatched_at", null);
+
     // Map event types to trigger types used in the automation builder
     const triggerTypeMap: Record<string, string> = {
       "lead.created": "contact_created",
@@ -45,13 +71,35 @@ export const processEvent = task({
       "project.status_changed": "project_status_change",
       "project.created": "project_created",
       "email.received": "email_received",
+      "date.reached": "date",
     };
 
     const triggerType = triggerTypeMap[eventType] || eventType;
     const triggerValue = (payload.triggerValue as string) || undefined;
 
+    // Before starting anything new: stop runs whose exit goal this event
+    // meets, then wake runs waiting on this event
+    const subject: RunSubject = {
+      contactId: (payload.contactId ?? payload.contact_id ?? null) as RunSubject["contactId"],
+      entityType,
+      entityId,
+    };
+    await cancelRunsForExitGoals(orgId, eventType, eventId, subject);
+    await resumeEventWaits(orgId, eventType, eventId, subject, payload);
+
+    // Org-level webhook subscriptions get every matching event, automation or not
+    await dispatchWebhookSubscriptions({ eventId, orgId, eventType, entityType, entityId, payload });
+
+    // Mirror CRM-side changes to GoHighLevel (orgs with push enabled)
+    await dispatchGhlPush({ eventId, orgId, eventType, entityType, entityId });
+
     // Find all published automations matching this trigger
-    const automations = await loadMatchingAutomations(orgId, triggerType, triggerValue);
+    let automations = await loadMatchingAutomations(orgId, triggerType, triggerValue);
+
+    // Date triggers also have to match the automation's day offset
+    if (eventType === "date.reached") {
+      automations = automations.filter((a) => Number(a.offsetDays || 0) === Number(payload.offsetDays));
+    }
 
     if (automations.length === 0) {
       logger.info("No matching automations found", { orgId, triggerType, triggerValue });
@@ -75,6 +123,7 @@ export const processEvent = task({
         const result = await runAutomation.triggerAndWait({
           automationId: automation.id,
           automationName: automation.name,
+          ai: { enabled: !!automation.aiEnabled, prompt: String(automation.aiPrompt || "") },
           eventId,
           orgId,
           orgSlug,
@@ -108,6 +157,7 @@ export const processEvent = task({
 interface RunAutomationParams {
   automationId: string;
   automationName: string;
+  ai?: AiSettings;
   eventId: number;
   orgId: string;
   orgSlug: string;
@@ -120,17 +170,23 @@ interface RunAutomationParams {
 export const runAutomation = task({
   id: "run-automation",
   retry: { maxAttempts: 1 }, // Don't retry whole automation, steps have their own retry
-  run: async (params: RunAutomationParams) => {
-    const { automationId, automationName, eventId, orgId, orgSlug, payload, entityId } = params;
+  run: async (params: RunAutomationParams, { ctx }) => {
+    const { automationId, automationName, eventId, orgId, orgSlug, payload, entityType, entityId } = params;
 
     logger.info(`Running automation: ${automationName}`, { automationId, eventId });
 
-    // Create a run record
+    const contactId = (payload.contactId ?? payload.contact_id ?? null) as RunSubject["contactId"];
+
+    // Create a run record (contact + entity let exit goals find it later)
     const run = await createWorkflowRun({
       org_id: orgId,
       automation_id: automationId,
       event_id: eventId,
       status: "running",
+      trigger_run_id: ctx.run.id,
+      contact_id: contactId,
+      entity_type: entityType || null,
+      entity_id: entityId ? String(entityId) : null,
     });
 
     const steps = await loadWorkflowSteps(automationId);
@@ -144,118 +200,581 @@ export const runAutomation = task({
       return { runId: run.id, stepsExecuted: 0 };
     }
 
-    let stepsExecuted = 0;
-    let shouldContinue = true;
-
-    // Build a context object that steps can read/write
+    // Build a context object that steps can read/write: related rows first,
+    // so anything the caller passed in the payload takes precedence. A failed
+    // lookup only leaves those {{paths}} empty; it never strands the run.
+    let related: Record<string, Record<string, unknown>> = {};
+    try {
+      related = await loadEntityContext(orgId, entityType, entityId, contactId);
+    } catch (e) {
+      logger.warn("Could not load related entities", { entityType, entityId, error: (e as Error).message });
+    }
     const context: Record<string, unknown> = {
       orgId,
       orgSlug,
+      automationId,
+      runId: run.id,
+      entityType,
       entityId,
+      ...related,
       ...payload,
     };
 
-    for (const step of steps) {
-      if (!shouldContinue) break;
+    const { roots, branches } = buildStepTree(steps);
+    const state: StepRunState = {
+      runId: run.id,
+      context,
+      orgId,
+      orgSlug,
+      subject: { contactId, entityType, entityId },
+      ai: params.ai,
+      stepsExecuted: 0,
+      stopped: false,
+    };
+
+    await executeStepSequence(roots, branches, state);
 
-      const startedAt = new Date().toISOString();
-      const stepType = step.stepType || step.step_type || "";
-      const actionType = step.actionType || step.action_type || "";
-      const config = step.config || {};
+    const stepsExecuted = state.stepsExecuted;
 
-      try {
-        logger.info(`Executing step ${step.stepOrder}: ${stepType}/${actionType}`, {
-          stepId: step.id,
-          config,
-        });
+    // Mark run as completed
+    await updateWorkflowRun(run.id, {
+      status: "completed",
+      completed_at: new Date().toISOString(),
+    });
+
+    logger.info(`Automation completed: ${automationName}`, { runId: run.id, stepsExecuted });
+    return { runId: run.id, stepsExecuted };
+  },
+});
+
+// ------------------------------------------------------------------
+// Resume a failed run from the step that failed, reusing the context
+// snapshot saved at failure. Steps that already ran are not repeated.
+// ------------------------------------------------------------------
+export const resumeAutomationRun = task({
+  id: "resume-automation-run",
+  retry: { maxAttempts: 1 },
+  run: async (params: { runId: number }, { ctx }) => {
+    const run = await loadWorkflowRun(params.runId);
+    if (!run) throw new Error(`Workflow run ${params.runId} not found`);
+    if (run.status !== "failed" || run.failed_step_order === null || !run.context) {
+      throw new Error(`Workflow run ${params.runId} is not a resumable failed run`);
+    }
+
+    const steps = await loadWorkflowSteps(run.automation_id);
+    const targetOrder = Number(run.failed_step_order);
+    if (!steps.some((s) => getStepOrder(s) === targetOrder)) {
+      throw new Error(`Step ${targetOrder} no longer exists in automation ${run.automation_id}`);
+    }
+
+    logger.info(`Resuming run ${run.id} at step ${targetOrder}`, { automationId: run.automation_id });
+
+    await updateWorkflowRun(run.id, {
+      status: "running",
+      error: null,
+      failed_step_order: null,
+      completed_at: null,
+      trigger_run_id: ctx.run.id,
+    });
 
-        // ---- STEP EXECUTION ----
-        let result: Record<string, unknown> = {};
-
-        switch (stepType) {
-          case "Trigger":
-            // Trigger steps are entry points â no action needed during execution
-            result = { skipped: true, reason: "trigger step" };
-            break;
-
-          case "Wait":
-            result = await executeWaitStep(config);
-            break;
-
-          case "Action":
-            result = await executeActionStep(actionType, config, context, orgSlug);
-            break;
-
-          case "Condition":
-            const passed = evaluateCondition(config, context);
-            result = { conditionPassed: passed };
-            if (!passed && config.stopOnFalse) {
-              shouldContinue = false;
-              result.stopped = true;
-            }
-            break;
-
-          default:
-            result = { skipped: true, reason: `unknown stepType: ${stepType}` };
+    const context = run.context as Record<string, unknown>;
+    const { roots, branches } = buildStepTree(steps);
+    const state: StepRunState = {
+      runId: run.id,
+      context,
+      orgId: String(run.org_id),
+      orgSlug: String(context.orgSlug || ""),
+      subject: { contactId: run.contact_id, entityType: run.entity_type, entityId: run.entity_id },
+      ai: await loadAutomationAiSettings(run.automation_id),
+      stepsExecuted: 0,
+      stopped: false,
+      resume: { targetOrder, ancestors: getStepAncestors(steps, targetOrder) },
+    };
+
+    await executeStepSequence(roots, branches, state);
+
+    await updateWorkflowRun(run.id, {
+      status: "completed",
+      completed_at: new Date().toISOString(),
+    });
+
+    logger.info(`Resumed run completed`, { runId: run.id, stepsExecuted: state.stepsExecuted });
+    return { runId: run.id, resumedFrom: targetOrder, stepsExecuted: state.stepsExecuted };
+  },
+});
+
+// ------------------------------------------------------------------
+// Dry run: execute an automation against a sample payload or a real
+// entity with every side effect recorded instead of performed. Used by
+// the builder's "Test Run" button (via /api/automation-test).
+// ------------------------------------------------------------------
+interface DryRunParams {
+  orgId: string;
+  orgSlug: string;
+  automationId?: string;
+  // Unsaved steps from the builder; when omitted the saved steps are used
+  steps?: Array<Record<string, unknown>>;
+  eventType?: CrmEventType;
+  entityType?: string;
+  entityId?: string | number;
+  payload?: Record<string, unknown>;
+  // Unsaved AI settings from the builder; when omitted the saved ones are used
+  ai?: AiSettings;
+}
+
+export const dryRunAutomation = task({
+  id: "dry-run-automation",
+  retry: { maxAttempts: 1 },
+  run: async (params: DryRunParams) => {
+    const { orgId, orgSlug, automationId, eventType, entityType, entityId } = params;
+
+    const steps = params.steps
+      ? params.steps.map((s, i) => ({ ...s, stepOrder: s.stepOrder ?? i }))
+      : automationId
+        ? await loadWorkflowSteps(automationId)
+        : [];
+
+    // A real entity's row (and its related rows) is merged under any sample
+    // fields passed in
+    let entity: Record<string, unknown> | null = null;
+    if (entityType && entityId) {
+      entity = await loadEntity(orgId, entityType, entityId);
+      if (!entity) throw new Error(`${entityType} ${entityId} not found`);
+    }
+    // As in a real run, a failed lookup only leaves those {{paths}} empty
+    let related: Record<string, Record<string, unknown>> = {};
+    try {
+      related = await loadEntityContext(orgId, entityType, entityId, params.payload?.contactId);
+    } catch (e) {
+      logger.warn("Could not load related entities", { entityType, entityId, error: (e as Error).message });
+    }
+
+    const context: Record<string, unknown> = {
+      orgId,
+      orgSlug,
+      entityId,
+      entityType,
+      eventType,
+      ...(entity || {}),
+      ...related,
+      ...(params.payload || {}),
+    };
+
+    logger.info("Dry-running automation", { automationId, orgId, steps: steps.length });
+
+    const { roots, branches } = buildStepTree(steps);
+    const state: StepRunState = {
+      runId: null,
+      context,
+      orgId,
+      orgSlug,
+      subject: { entityType, entityId },
+      ai: params.ai ?? (automationId ? await loadAutomationAiSettings(automationId) : undefined),
+      stepsExecuted: 0,
+      stopped: false,
+      dryRun: true,
+      trace: [],
+    };
+
+    await executeStepSequence(roots, branches, state);
+
+    return {
+      dryRun: true,
+      status: state.error ? "failed" : "completed",
+      error: state.error || null,
+      stepsExecuted: state.stepsExecuted,
+      trace: state.trace,
+    };
+  },
+});
+
+// ------------------------------------------------------------------
+// Step graph: root steps run in stepOrder; a step with parentStep set
+// belongs to the "true" or "false" branch of that Condition step.
+// ------------------------------------------------------------------
+type WorkflowStepRow = Awaited<ReturnType<typeof loadWorkflowSteps>>[number];
+
+interface StepRunState {
+  runId: number | null; // null in dry-run mode (nothing is written)
+  context: Record<string, unknown>;
+  orgId: string;
+  orgSlug: string;
+  subject: RunSubject;
+  // Automation-level aiEnabled/aiPrompt for send_sms/send_email
+  ai?: AiSettings;
+  stepsExecuted: number;
+  stopped: boolean;
+  dryRun?: boolean;
+  trace?: StepTraceEntry[];
+  error?: string;
+  // Set when resuming a failed run: steps before targetOrder are skipped
+  resume?: { targetOrder: number; ancestors: Map<number, string> };
+}
+
+// One entry per step in a dry run, returned to the builder
+interface StepTraceEntry {
+  stepId: number | null;
+  stepOrder: number;
+  stepType: string;
+  actionType: string;
+  actionName: string;
+  status: "completed" | "skipped" | "failed";
+  result?: Record<string, unknown>;
+  error?: string;
+}
+
+function getStepOrder(step: WorkflowStepRow): number {
+  return Number(step.stepOrder ?? step.step_order);
+}
+
+function getParentStep(step: WorkflowStepRow): number | null {
+  const parent = step.parentStep ?? step.parent_step;
+  return parent === null || parent === undefined || parent === "" ? null : Number(parent);
+}
+
+// "true" (default), "false", or "error" (the step failed, see onError)
+function normalizeBranch(branch: unknown): string {
+  const b = String(branch || "true").toLowerCase();
+  return b === "false" || b === "error" ? b : "true";
+}
+
+function branchKey(parentOrder: number, branch: string): string {
+  return `${parentOrder}:${branch}`;
+}
+
+function buildStepTree(steps: WorkflowStepRow[]) {
+  const orders = new Set(steps.map(getStepOrder));
+  const roots: WorkflowStepRow[] = [];
+  const branches = new Map<string, WorkflowStepRow[]>();
+
+  for (const step of steps) {
+    const parent = getParentStep(step);
+    if (parent === null) {
+      roots.push(step);
+      continue;
+    }
+    if (!orders.has(parent) || parent === getStepOrder(step)) {
+      logger.warn(`Step ${getStepOrder(step)} references missing parent step ${parent}, skipping`, {
+        stepId: step.id,
+      });
+      continue;
+    }
+    const key = branchKey(parent, normalizeBranch(step.branch));
+    if (!branches.has(key)) branches.set(key, []);
+    branches.get(key)!.push(step);
+  }
+
+  // Steps arrive ordered by stepOrder, so each sequence is already sorted
+  return { roots, branches };
+}
+
+// Per-step error handling, read from the step's config:
+//   retry:   { maxAttempts: 3, backoffSeconds: 30, factor: 2 }
+//   onError: "fail" (default) | "continue" | "branch"
+// With onError "branch", child steps with branch = "error" run instead
+// of failing the workflow.
+interface StepErrorPolicy {
+  maxAttempts: number;
+  backoffSeconds: number;
+  factor: number;
+  onError: "fail" | "continue" | "branch";
+}
+
+function getStepErrorPolicy(config: Record<string, unknown>): StepErrorPolicy {
+  const retry = (config.retry || {}) as Record<string, unknown>;
+  const onError = String(config.onError || config.on_error || "fail");
+  return {
+    maxAttempts: Math.max(1, Math.min(10, Number(retry.maxAttempts || 1))),
+    backoffSeconds: Math.max(1, Number(retry.backoffSeconds || 30)),
+    factor: Math.max(1, Number(retry.factor || 2)),
+    onError: onError === "continue" || onError === "branch" ? onError : "fail",
+  };
+}
+
+interface StepOutcome {
+  result: Record<string, unknown>;
+  branchTaken: string | null;
+  stopAfterBranch: boolean;
+}
+
+async function runStep(step: WorkflowStepRow, state: StepRunState): Promise<StepOutcome> {
+  const stepType = step.stepType || step.step_type || "";
+  const actionType = step.actionType || step.action_type || "";
+  const config = step.config || {};
+  let result: Record<string, unknown> = {};
+  let branchTaken: string | null = null;
+  let stopAfterBranch = false;
+
+  // The builder saves lowercase step types ("action"), older rows use "Action"
+  switch (String(stepType).toLowerCase()) {
+    case "trigger":
+      // Trigger steps are entry points — no action needed during execution
+      result = { skipped: true, reason: "trigger step" };
+      break;
+
+    case "wait":
+      result = await executeWaitStep(config, state.dryRun);
+      break;
+
+    case "action":
+      result = await executeActionStep(actionType, config, state.context, state.dryRun, state.ai,
+        state.runId ? `run-${state.runId}-step-${getStepOrder(step)}` : undefined);
+      break;
+
+    case "wait_for_event": {
+      result = await executeWaitForEventStep(config, step.id ?? null, state);
+      // Same true/false branching as a Condition: true = event arrived
+      branchTaken = result.eventReceived ? "true" : "false";
+      result.branch = branchTaken;
+      break;
+    }
+
+    case "condition": {
+      const passed = evaluateCondition(config, state.context);
+      branchTaken = passed ? "true" : "false";
+      result = { conditionPassed: passed, branch: branchTaken };
+      if (!passed && config.stopOnFalse) {
+        stopAfterBranch = true;
+        result.stopped = true;
+      }
+      break;
+    }
+
+    default:
+      result = { skipped: true, reason: `unknown stepType: ${stepType}` };
+  }
+
+  return { result, branchTaken, stopAfterBranch };
+}
+
+async function executeStepSequence(
+  sequence: WorkflowStepRow[],
+  branches: Map<string, WorkflowStepRow[]>,
+  state: StepRunState
+): Promise<void> {
+  for (const step of sequence) {
+    if (state.stopped) return;
+
+    const stepOrder = getStepOrder(step);
+
+    // Resuming a failed run: skip what already ran, and walk down through
+    // the failed step's parent steps without re-running them
+    if (state.resume) {
+      if (stepOrder === state.resume.targetOrder) {
+        state.resume = undefined;
+      } else {
+        const branch = state.resume.ancestors.get(stepOrder);
+        if (branch) {
+          await executeStepSequence(branches.get(branchKey(stepOrder, branch)) || [], branches, state);
         }
+        continue;
+      }
+    }
+
+    const startedAt = new Date().toISOString();
+    const stepType = step.stepType || step.step_type || "";
+    const actionType = step.actionType || step.action_type || "";
+    const config = step.config || {};
+    const policy = getStepErrorPolicy(config);
+    let outcome: StepOutcome;
+
+    try {
+      logger.info(`Executing step ${stepOrder}: ${stepType}/${actionType}`, {
+        stepId: step.id,
+        config,
+      });
 
-        // Log successful step
+      // ---- STEP EXECUTION (with retry/backoff) ----
+      let attempt = 1;
+      for (;;) {
+        try {
+          outcome = await runStep(step, state);
+          break;
+        } catch (err) {
+          if (attempt >= policy.maxAttempts || state.dryRun) throw err;
+          const delay = Math.round(policy.backoffSeconds * Math.pow(policy.factor, attempt - 1));
+          logger.warn(`Step ${stepOrder} attempt ${attempt} failed, retrying in ${delay}s`, {
+            error: err instanceof Error ? err.message : String(err),
+          });
+          await wait.for({ seconds: delay });
+          attempt++;
+        }
+      }
+      if (attempt > 1) outcome.result.attempts = attempt;
+
+      // Log successful (or deliberately skipped) step
+      const stepStatus = outcome.result.skipped ? "skipped" : "completed";
+      if (state.dryRun) {
+        state.trace?.push({
+          stepId: step.id ?? null,
+          stepOrder,
+          stepType,
+          actionType,
+          actionName: step.actionName || "",
+          status: stepStatus,
+          result: outcome.result,
+        });
+      } else {
         await logStepExecution({
-          run_id: run.id,
+          run_id: state.runId!,
           step_id: step.id,
-          step_order: step.stepOrder || step.step_order,
+          step_order: stepOrder,
           step_type: stepType,
           action_type: actionType,
-          status: "completed",
-          result,
+          status: stepStatus,
+          branch: outcome.branchTaken,
+          result: outcome.result,
           started_at: startedAt,
           completed_at: new Date().toISOString(),
         });
+      }
 
-        stepsExecuted++;
-      } catch (err) {
-        const errMsg = err instanceof Error ? err.message : String(err);
-        logger.error(`Step ${step.stepOrder} failed`, { error: errMsg });
-
+      state.stepsExecuted++;
+    } catch (err) {
+      const errMsg = err instanceof Error ? err.message : String(err);
+      logger.error(`Step ${stepOrder} failed`, { error: errMsg });
+      const handled = policy.onError !== "fail";
+
+      // A dry run reports the failure in its trace instead of failing the task
+      if (state.dryRun) {
+        state.trace?.push({
+          stepId: step.id ?? null,
+          stepOrder,
+          stepType,
+          actionType,
+          actionName: step.actionName || "",
+          status: "failed",
+          error: errMsg,
+        });
+        if (!handled) {
+          state.error = `Step ${stepOrder} (${actionType}) failed: ${errMsg}`;
+          state.stopped = true;
+          return;
+        }
+      } else {
         await logStepExecution({
-          run_id: run.id,
+          run_id: state.runId!,
           step_id: step.id,
-          step_order: step.stepOrder || step.step_order,
+          step_order: stepOrder,
           step_type: stepType,
           action_type: actionType,
           status: "failed",
+          branch: policy.onError === "branch" ? "error" : null,
           error_message: errMsg,
+          result: { onError: policy.onError, attempts: policy.maxAttempts },
           started_at: startedAt,
           completed_at: new Date().toISOString(),
         });
+      }
 
-        // Stop the workflow on step failure
-        await updateWorkflowRun(run.id, {
+      if (!handled) {
+        // Stop the workflow on step failure; the context snapshot and failed
+        // step let resume-automation-run pick up from here later
+        await updateWorkflowRun(state.runId!, {
           status: "failed",
           error: errMsg,
+          failed_step_order: stepOrder,
+          context: state.context,
           completed_at: new Date().toISOString(),
         });
 
-        throw new Error(`Step ${step.stepOrder} (${actionType}) failed: ${errMsg}`);
+        throw new Error(`Step ${stepOrder} (${actionType}) failed: ${errMsg}`);
       }
+
+      // onError "continue" moves on; "branch" runs the step's error branch first
+      state.context.lastError = { stepOrder, message: errMsg };
+      outcome = {
+        result: {},
+        branchTaken: policy.onError === "branch" ? "error" : null,
+        stopAfterBranch: false,
+      };
     }
 
-    // Mark run as completed
-    await updateWorkflowRun(run.id, {
-      status: "completed",
-      completed_at: new Date().toISOString(),
-    });
+    // Run the chosen branch (which may contain nested conditions) before
+    // continuing with the next step at this level
+    if (outcome.branchTaken) {
+      const branchSteps = branches.get(branchKey(stepOrder, outcome.branchTaken)) || [];
+      if (branchSteps.length > 0) {
+        logger.info(`Step ${stepOrder} took "${outcome.branchTaken}" branch`, { steps: branchSteps.length });
+        await executeStepSequence(branchSteps, branches, state);
+      }
+    }
 
-    logger.info(`Automation completed: ${automationName}`, { runId: run.id, stepsExecuted });
-    return { runId: run.id, stepsExecuted };
-  },
-});
+    // stopOnFalse still halts the run, after any "false" branch has run
+    if (outcome.stopAfterBranch) state.stopped = true;
+  }
+}
+
+// Parent steps of a step, mapped to the branch that leads down to it
+function getStepAncestors(steps: WorkflowStepRow[], targetOrder: number): Map<number, string> {
+  const byOrder = new Map(steps.map((s) => [getStepOrder(s), s]));
+  const ancestors = new Map<number, string>();
+  let cur = byOrder.get(targetOrder);
+  while (cur) {
+    const parent = getParentStep(cur);
+    if (parent === null || ancestors.has(parent)) break;
+    ancestors.set(parent, normalizeBranch(cur.branch));
+    cur = byOrder.get(parent);
+  }
+  return ancestors;
+}
 
 // ------------------------------------------------------------------
 // Step executors
 // ------------------------------------------------------------------
 
-async function executeWaitStep(config: Record<string, unknown>): Promise<Record<string, unknown>> {
+// Pause until a matching event (e.g. sms.inbound from this contact, or
+// quote.signed for this quote) is processed, or the timeout passes.
+// processEvent completes the waitpoint token via resumeEventWaits.
+async function executeWaitForEventStep(
+  config: Record<string, unknown>,
+  stepId: number | null,
+  state: StepRunState
+): Promise<Record<string, unknown>> {
+  const eventType = String(config.eventType || config.event_type || "");
+  const timeoutMinutes = Number(config.timeoutMinutes || config.timeout_minutes || 0);
+  const timeoutHours = Number(config.timeoutHours || config.timeout_hours || 0);
+  const timeoutDays = Number(config.timeoutDays || config.timeout_days || 0);
+  const timeoutSeconds = timeoutMinutes * 60 + timeoutHours * 3600 + timeoutDays * 86400 || 86400;
+
+  if (!eventType) throw new Error("wait_for_event step has no eventType");
+
+  if (state.dryRun) {
+    // No events arrive during a dry run, so show the timeout path
+    return { eventReceived: false, skipped: true, waitingFor: eventType, seconds: timeoutSeconds, reason: "dry run" };
+  }
+
+  const token = await wait.createToken({ timeout: `${timeoutSeconds}s`, tags: [`run-${state.runId}`] });
+  await registerEventWait({
+    org_id: state.orgId,
+    run_id: state.runId!,
+    step_id: stepId,
+    event_type: eventType,
+    token_id: token.id,
+    contact_id: state.subject.contactId ?? null,
+    entity_type: state.subject.entityType ?? null,
+    entity_id: state.subject.entityId ? String(state.subject.entityId) : null,
+    expires_at: new Date(Date.now() + timeoutSeconds * 1000).toISOString(),
+  });
+
+  logger.info(`Waiting up to ${timeoutSeconds}s for ${eventType}`, { runId: state.runId });
+  await updateWorkflowRun(state.runId!, { status: "waiting" });
+  const waitResult = await wait.forToken<{ eventId: number; payload: Record<string, unknown> }>(token);
+  await updateWorkflowRun(state.runId!, { status: "running" });
+
+  if (!waitResult.ok) {
+    return { eventReceived: false, waitingFor: eventType, timedOut: true };
+  }
+
+  // Expose the matched event to later steps, e.g. {{event.body}}
+  state.context.event = waitResult.output.payload;
+  return { eventReceived: true, waitingFor: eventType, eventId: waitResult.output.eventId };
+}
+
+async function executeWaitStep(
+  config: Record<string, unknown>,
+  dryRun = false
+): Promise<Record<string, unknown>> {
   const delayMinutes = Number(config.delayMinutes || config.delay_minutes || 0);
   const delayHours = Number(config.delayHours || config.delay_hours || 0);
   const delayDays = Number(config.delayDays || config.delay_days || 0);
@@ -263,6 +782,10 @@ async function executeWaitStep(config: Record<string, unknown>): Promise<Record<
   const totalSeconds =
     delayMinutes * 60 + delayHours * 3600 + delayDays * 86400;
 
+  if (dryRun) {
+    return { waited: false, skipped: true, seconds: totalSeconds, reason: "dry run" };
+  }
+
   if (totalSeconds > 0) {
     logger.info(`Waiting ${totalSeconds} seconds`);
     await wait.for({ seconds: totalSeconds });
@@ -272,56 +795,186 @@ async function executeWaitStep(config: Record<string, unknown>): Promise<Record<
   return { waited: false, reason: "no delay configured" };
 }
 
+// With AI enabled, the message is written from aiPrompt (a step's own
+// aiPrompt overrides the automation's) and the interpolated static body
+// becomes the fallback. `aiResult` is spread into the step result so the
+// generated text ends up in workflow_run_steps.result.
+async function composeMessageBody(
+  channel: "sms" | "email",
+  staticBody: string,
+  config: Record<string, unknown>,
+  context: Record<string, unknown>,
+  ai?: AiSettings
+): Promise<{ body: string; aiResult: Record<string, unknown> }> {
+  if (!ai?.enabled || config.useAi === false) return { body: staticBody, aiResult: {} };
+
+  const instruction = interpolate(String(config.aiPrompt || ai.prompt || ""), context);
+  const composed = await composeAiMessage({ channel, instruction, context, fallback: staticBody, config });
+  return { body: composed.text, aiResult: { ai: composed.ai } };
+}
+
+// sendKey names this run's step ("run-12-step-3"). send_sms and send_email
+// store it with the sent message and look it up first, so a step retried
+// (or resumed) after the provider accepted the message doesn't send it twice.
 async function executeActionStep(
   actionType: string,
   config: Record<string, unknown>,
   context: Record<string, unknown>,
-  orgSlug: string
+  dryRun = false,
+  ai?: AiSettings,
+  sendKey?: string
 ): Promise<Record<string, unknown>> {
+  // In dry-run mode every side effect is replaced by a record of what would
+  // have happened (after interpolation), so the builder can show it
   switch (actionType) {
     case "send_sms": {
       const to = interpolate(String(config.to || ""), context);
-      const body = interpolate(String(config.body || config.message || ""), context);
+      const contactId = context.contactId || (context.contact as Record<string, unknown> | undefined)?.id || null;
+
+      const prior = sendKey && !dryRun ? await findSentMessage(String(context.orgId), sendKey) : null;
+      if (prior) {
+        // Sent by an earlier attempt; finish threading it if that attempt stopped short
+        let conversationId = prior.conversation_id;
+        if (!conversationId) {
+          conversationId = await recordConversationMessage({
+            orgId: String(context.orgId), phone: to, contactId, body: prior.body || "", direction: "outbound",
+          });
+          await getSupabase().from("messages").update({ conversation_id: conversationId }).eq("id", prior.id);
+        }
+        return { sent: true, alreadySent: true, sid: prior.twilio_sid, status: prior.status, body: prior.body, conversationId };
+      }
+      const { body, aiResult } = await composeMessageBody(
+        "sms",
+        interpolate(String(config.body || config.message || ""), context),
+        config,
+        context,
+        ai
+      );
 
       if (!to || !body) {
-        return { skipped: true, reason: "missing to or body" };
+        return { skipped: true, reason: "missing to or body", ...aiResult };
       }
 
-      const msSid = getMessagingServiceForOrg(orgSlug);
-      const result = await sendSms({ messagingServiceSid: msSid, to, body });
+      // Opted-out recipients are skipped, not failed (shown as skipped in the run log)
+      const optedOut = { skipped: true, reason: "recipient opted out of SMS", to, ...aiResult };
+      if (await isSmsSuppressed(String(context.orgId), to)) return optedOut;
+
+      if (dryRun) return { dryRun: true, channel: "sms", to, body, ...aiResult };
 
-      // Log to messages table
+      const sender = await getMessagingConfigForOrg(String(context.orgId));
+      let result;
+      try {
+        result = await sendSms({ ...sender, orgId: String(context.orgId), to, body });
+      } catch (err) {
+        if (err instanceof SmsSuppressedError) return optedOut;
+        throw err;
+      }
+
+      // Log to messages table first (that's what a retry checks), then
+      // thread it into the contact's conversation
       const sb = getSupabase();
-      await sb.from("messages").insert({
-        org_id: context.orgId,
-        direction: "outbound",
-        to_number: to,
+      const { data: logged, error: logError } = await sb
+        .from("messages")
+        .insert({
+          org_id: context.orgId,
+          direction: "outbound",
+          to_number: to,
+          body,
+          status: result.status,
+          twilio_sid: result.sid,
+          channel: "sms",
+          contact_id: contactId,
+          automation_id: context.automationId || null,
+          send_key: sendKey || null,
+        })
+        .select("id")
+        .single();
+      // Not thrown: the SMS went out, and failing the step would send it again
+      if (logError) logger.error(`SMS ${result.sid} sent but not logged`, { error: logError.message });
+      const conversationId = await recordConversationMessage({
+        orgId: String(context.orgId),
+        phone: to,
+        contactId,
         body,
-        status: result.status,
-        twilio_sid: result.sid,
-        channel: "sms",
-        contact_id: context.contactId || null,
-        automation_id: context.automationId || null,
+        direction: "outbound",
       });
+      if (logged) await sb.from("messages").update({ conversation_id: conversationId }).eq("id", logged.id);
 
-      return { sent: true, sid: result.sid, status: result.status };
+      return { sent: true, sid: result.sid, status: result.status, body, conversationId, ...aiResult };
     }
 
     case "send_email": {
       const to = interpolate(String(config.to || ""), context);
       const subject = interpolate(String(config.subject || ""), context);
-      const body = interpolate(String(config.body || ""), context);
 
-      if (!to || !subject || !body) {
-        return { skipped: true, reason: "missing to, subject, or body" };
+      const prior = sendKey && !dryRun ? await findSentMessage(String(context.orgId), sendKey) : null;
+      if (prior) return { sent: true, alreadySent: true, to, subject, messageId: prior.id };
+
+      const { body, aiResult } = await composeMessageBody(
+        "email",
+        interpolate(String(config.body || ""), context),
+        config,
+        context,
+        ai
+      );
+
+      // With a template the route can supply the subject and HTML body
+      const templateKey = config.templateKey ? String(config.templateKey) : null;
+      if (!to || (!templateKey && (!subject || !body))) {
+        return { skipped: true, reason: "missing to, subject, or body", ...aiResult };
       }
 
-      // Call existing send-email API route
+      // Storage files, e.g. [{ name: "Quote.pdf", url: "{{quote.pdfUrl}}" }]
+      const attachments = (Array.isArray(config.attachments) ? config.attachments : [])
+        .map((a: Record<string, unknown>) => ({
+          name: interpolate(String(a.name || ""), context),
+          url: interpolate(String(a.url || ""), context),
+        }))
+        .filter((a: { name: string; url: string }) => a.name && a.url);
+
+      // Server-rendered PDFs, e.g. [{ type: "quote", id: "{{entityId}}" }]
+      // or [{ type: "completion", id: "{{completionId}}" }]
+      const documents = (Array.isArray(config.documents) ? config.documents : [])
+        .map((d: Record<string, unknown>) => ({
+          type: String(d.type || ""),
+          id: interpolate(String(d.id || ""), context),
+        }))
+        .filter((d: { type: string; id: string }) => ["quote", "completion"].includes(d.type) && /^\d+$/.test(d.id));
+
+      if (dryRun) return { dryRun: true, channel: "email", to, subject, body, templateKey, attachments, documents, ...aiResult };
+
+      // The route sends from the org's mailbox and logs to messages
       const baseUrl = process.env.CRM_BASE_URL || "https://vector-crm.vercel.app";
+      for (const d of documents) {
+        const docResp = await fetch(`${baseUrl}/api/documents/${d.type}/${d.id}?orgId=${encodeURIComponent(String(context.orgId))}`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}` },
+        });
+        if (!docResp.ok) throw new Error(`${d.type} ${d.id} PDF failed: ${await docResp.text()}`);
+        const stored = (await docResp.json()) as { name: string; url: string };
+        attachments.push({ name: stored.name, url: stored.url });
+      }
       const resp = await fetch(`${baseUrl}/api/send-email`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ to, subject, body }),
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
+        },
+        body: JSON.stringify({
+          orgId: context.orgId,
+          to,
+          cc: config.cc ? interpolate(String(config.cc), context) : undefined,
+          subject: subject || undefined,
+          body,
+          templateKey,
+          variables: context,
+          attachments,
+          contactId: context.contactId || (context.contact as Record<string, unknown> | undefined)?.id || null,
+          automationId: context.automationId || null,
+          entityType: context.entityType || null,
+          entityId: context.entityId || null,
+          idempotencyKey: sendKey,
+        }),
       });
 
       if (!resp.ok) {
@@ -329,7 +982,8 @@ async function executeActionStep(
         throw new Error(`send-email failed: ${errText}`);
       }
 
-      return { sent: true, to, subject };
+      const sent = (await resp.json().catch(() => ({}))) as { messageId?: number | null };
+      return { sent: true, to, subject, body, templateKey, messageId: sent.messageId ?? null, ...aiResult };
     }
 
     case "create_task": {
@@ -339,6 +993,10 @@ async function executeActionStep(
       const dueDate = new Date();
       dueDate.setDate(dueDate.getDate() + dueInDays);
 
+      if (dryRun) {
+        return { dryRun: true, title, description, dueDate: dueDate.toISOString().split("T")[0] };
+      }
+
       const sb = getSupabase();
       const { data, error } = await sb
         .from("tasks")
@@ -369,6 +1027,8 @@ async function executeActionStep(
         return { skipped: true, reason: "missing table, field, or entityId" };
       }
 
+      if (dryRun) return { dryRun: true, table, field, value, entityId };
+
       const sb = getSupabase();
       const { error } = await sb
         .from(table)
@@ -380,16 +1040,40 @@ async function executeActionStep(
     }
 
     case "webhook": {
-      const url = String(config.url || "");
+      const url = interpolate(String(config.url || ""), context);
       if (!url) return { skipped: true, reason: "no webhook URL" };
 
-      const resp = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(context),
+      // config.payload ({ "name": "{{project.name}}", ... }) picks the fields
+      // to send; without it the whole run context goes out
+      const data =
+        config.payload && typeof config.payload === "object"
+          ? Object.fromEntries(
+              Object.entries(config.payload as Record<string, unknown>).map(([k, v]) => [
+                k,
+                typeof v === "string" ? interpolate(v, context) : v,
+              ])
+            )
+          : context;
+      const eventType = String(config.event || "automation.webhook");
+      const secret = config.secret ? String(config.secret) : process.env.WEBHOOK_SIGNING_SECRET || null;
+
+      if (dryRun) return { dryRun: true, url, event: eventType, signed: !!secret, body: data };
+
+      // Signed, with timeout + retry/backoff; every attempt is logged
+      const delivery = await deliverWebhook.triggerAndWait({
+        orgId: String(context.orgId),
+        url,
+        secret,
+        eventType,
+        data,
+        automationId: (context.automationId as string) || null,
+        runId: (context.runId as number) || null,
       });
+      if (!delivery.ok) {
+        throw new Error(`webhook to ${url} failed: ${delivery.error instanceof Error ? delivery.error.message : String(delivery.error)}`);
+      }
 
-      return { sent: true, status: resp.status };
+      return { sent: true, ...delivery.output };
     }
 
     default:
@@ -399,55 +1083,60 @@ async function executeActionStep(
 }
 
 // ------------------------------------------------------------------
-// Condition evaluator
+// Event side effects on in-flight runs
 // ------------------------------------------------------------------
-function evaluateCondition(
-  config: Record<string, unknown>,
-  context: Record<string, unknown>
-): boolean {
-  const field = String(config.field || "");
-  const operator = String(config.operator || "equals");
-  const value = config.value;
-  const actual = getNestedValue(context, field);
-
-  switch (operator) {
-    case "equals":
-      return String(actual) === String(value);
-    case "not_equals":
-      return String(actual) !== String(value);
-    case "contains":
-      return String(actual).includes(String(value));
-    case "not_contains":
-      return !String(actual).includes(String(value));
-    case "greater_than":
-      return Number(actual) > Number(value);
-    case "less_than":
-      return Number(actual) < Number(value);
-    case "is_empty":
-      return !actual || actual === "" || actual === null || actual === undefined;
-    case "is_not_empty":
-      return !!actual && actual !== "" && actual !== null && actual !== undefined;
-    default:
-      logger.warn(`Unknown condition operator: ${operator}`);
-      return false;
-  }
-}
 
-// ------------------------------------------------------------------
-// Template interpolation: "Hello {{contactName}}" â "Hello John"
-// ------------------------------------------------------------------
-function interpolate(template: string, context: Record<string, unknown>): string {
-  return template.replace(/\{\{(\w+(?:\.\w+)*)\}\}/g, (_, path) => {
-    const val = getNestedValue(context, path);
-    return val !== undefined && val !== null ? String(val) : "";
-  });
+// Cancel running/waiting runs of automations whose exit goals include this
+// event type, for the same contact or entity (e.g. stop a follow-up drip
+// once the client replies or signs the quote)
+async function cancelRunsForExitGoals(
+  orgId: string,
+  eventType: string,
+  eventId: number,
+  subject: RunSubject
+): Promise<void> {
+  const exitAutomations = await loadExitAutomations(orgId, eventType);
+  if (exitAutomations.length === 0) return;
+
+  const active = await loadActiveRuns(
+    exitAutomations.map((a) => a.id),
+    subject
+  );
+
+  for (const run of active) {
+    try {
+      if (run.trigger_run_id) await runs.cancel(run.trigger_run_id);
+    } catch (err) {
+      const errMsg = err instanceof Error ? err.message : String(err);
+      logger.warn(`Failed to cancel Trigger.dev run ${run.trigger_run_id}`, { error: errMsg });
+    }
+    await updateWorkflowRun(run.id, {
+      status: "cancelled",
+      error: `Exit goal met: ${eventType} (event ${eventId})`,
+      completed_at: new Date().toISOString(),
+    });
+    logger.info(`Cancelled run ${run.id} on exit goal ${eventType}`, { automationId: run.automation_id });
+  }
 }
 
-function getNestedValue(obj: Record<string, unknown>, path: string): unknown {
-  return path.split(".").reduce<unknown>((acc, key) => {
-    if (acc && typeof acc === "object" && key in (acc as Record<string, unknown>)) {
-      return (acc as Record<string, unknown>)[key];
+// Complete the waitpoint of every wait_for_event step waiting on this event
+async function resumeEventWaits(
+  orgId: string,
+  eventType: string,
+  eventId: number,
+  subject: RunSubject,
+  payload: Record<string, unknown>
+): Promise<void> {
+  const waits = await loadPendingEventWaits(orgId, eventType, subject);
+
+  for (const w of waits) {
+    try {
+      await wait.completeToken(w.token_id, { eventId, payload });
+    } catch (err) {
+      // Token already timed out, or its run was cancelled
+      const errMsg = err instanceof Error ? err.message : String(err);
+      logger.warn(`Failed to complete waitpoint ${w.token_id}`, { error: errMsg });
     }
-    return undefined;
-  }, obj);
+    await resolveEventWait(w.id, eventId);
+  }
 }
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { composeAiMessage } from "./ai.js";
+
+const FALLBACK = "Hi Ann, your install is on Tuesday.";
+const context = {
+  org: { name: "Vector Moving" },
+  contact: { name: "Ann Lee", portal_code: "123456" },
+  project: { name: "HQ Move" },
+};
+
+// Runs fn with only the given provider env vars set
+async function withProvider<T>(env: { AI_PROVIDER?: string; GEMINI_API_KEY?: string }, fn: () => Promise<T>): Promise<T> {
+  const saved = { AI_PROVIDER: process.env.AI_PROVIDER, GEMINI_API_KEY: process.env.GEMINI_API_KEY };
+  for (const k of ["AI_PROVIDER", "GEMINI_API_KEY"] as const) {
+    if (env[k] === undefined) delete process.env[k];
+    else process.env[k] = env[k];
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+const compose = (overrides: Partial<Parameters<typeof composeAiMessage>[0]> = {}) =>
+  composeAiMessage({ channel: "sms", instruction: "Remind them about the install", context, fallback: FALLBACK, config: {}, ...overrides });
+
+test("stub provider: generated text is used", async () => {
+  await withProvider({ AI_PROVIDER: "stub" }, async () => {
+    const result = await compose();
+    assert.equal(result.text, "Hi Ann, this is Vector Moving following up about HQ Move. Reply here with any questions.");
+    assert.deepEqual({ ...result.ai, generated: undefined }, { provider: "stub", generated: undefined, usedFallback: false });
+  });
+});
+
+test("banned phrases: default list and the step's own bannedPhrases fall back", async () => {
+  await withProvider({ AI_PROVIDER: "stub" }, async () => {
+    const defaults = await compose({ context: { ...context, org: { name: "Click Here Movers" } } });
+    assert.equal(defaults.text, FALLBACK);
+    assert.equal(defaults.ai.usedFallback, true);
+    assert.equal(defaults.ai.reason, 'banned phrase: "click here"');
+
+    const custom = await compose({ config: { bannedPhrases: ["Following Up"] } });
+    assert.equal(custom.text, FALLBACK);
+    assert.equal(custom.ai.reason, 'banned phrase: "following up"');
+    assert.match(String(custom.ai.generated), /following up/);
+  });
+});
+
+test("SMS: AI text is cut to 320 characters, and aiMaxLength can't raise it", async () => {
+  await withProvider({ AI_PROVIDER: "stub" }, async () => {
+    const longName = Array.from({ length: 80 }, (_, i) => `Tower${i}`).join(" ");
+    for (const config of [{}, { aiMaxLength: 1000 }]) {
+      const result = await compose({ context: { ...context, project: { name: longName } }, config });
+      assert.equal(result.ai.usedFallback, false);
+      assert.ok(result.text.length <= 320, `${result.text.length} chars`);
+      assert.ok(String(result.ai.generated).length > 320);
+    }
+    const short = await compose({ config: { aiMaxLength: 40 } });
+    assert.ok(short.text.length <= 40, short.text);
+  });
+});
+
+test("provider errors fall back to the static body", async () => {
+  await withProvider({ AI_PROVIDER: "gemini", GEMINI_API_KEY: "test-key" }, async () => {
+    const original = globalThis.fetch;
+    globalThis.fetch = async () => new Response(JSON.stringify({ error: { message: "quota exceeded" } }), { status: 429 });
+    try {
+      const result = await compose();
+      assert.equal(result.text, FALLBACK);
+      assert.deepEqual(result.ai, { provider: "gemini", generated: null, usedFallback: true, reason: "Gemini request failed: quota exceeded" });
+    } finally {
+      globalThis.fetch = original;
+    }
+  });
+});
+
+test("no provider configured, or an empty prompt, uses the static body", async () => {
+  await withProvider({}, async () => {
+    assert.equal((await compose()).ai.reason, "no AI provider configured");
+  });
+  await withProvider({ AI_PROVIDER: "stub" }, async () => {
+    const result = await compose({ instruction: "  " });
+    assert.equal(result.text, FALLBACK);
+    assert.equal(result.ai.reason, "empty aiPrompt");
+  });
+});
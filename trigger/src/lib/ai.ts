@@ -0,0 +1,196 @@
+// AI message composition for automations with aiEnabled.
+//
+// Providers implement LlmProvider; AI_PROVIDER picks one:
+//   "gemini" (default when GEMINI_API_KEY is set) — Google Generative Language API
+//   "stub"   — deterministic local output for tests and dry runs without a key
+// Generated text goes through guardrails (length limit, banned phrases);
+// if generation fails or is rejected, the step's static message is used.
+
+import { logger } from "@trigger.dev/sdk";
+
+export interface LlmProvider {
+  name: string;
+  generate(prompt: string, options: { maxOutputTokens: number }): Promise<string>;
+}
+
+export interface AiSettings {
+  enabled: boolean;
+  prompt: string;
+}
+
+export interface ComposeResult {
+  text: string;
+  ai: {
+    provider: string | null;
+    generated: string | null;
+    usedFallback: boolean;
+    reason?: string;
+  };
+}
+
+// SMS over 320 chars splits into 3+ segments; keep AI texts to two
+const SMS_MAX_LENGTH = 320;
+const EMAIL_MAX_LENGTH = 4000;
+
+const DEFAULT_BANNED_PHRASES = [
+  "as an ai",
+  "language model",
+  "guarantee",
+  "guaranteed",
+  "100% free",
+  "act now",
+  "click here",
+  "lowest price",
+];
+
+// Fields never sent to the provider
+const PRIVATE_FIELD = /signature|portal_code|token|password|secret|api_key/i;
+
+// ------------------------------------------------------------------
+// Providers
+// ------------------------------------------------------------------
+const geminiProvider: LlmProvider = {
+  name: "gemini",
+  async generate(prompt, { maxOutputTokens }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) throw new Error("Missing GEMINI_API_KEY");
+    const model = process.env.GEMINI_MODEL || "gemini-1.5-flash";
+
+    const resp = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: { maxOutputTokens, temperature: 0.4 },
+        }),
+      }
+    );
+
+    const data = await resp.json();
+    if (!resp.ok) {
+      throw new Error(`Gemini request failed: ${data.error?.message || JSON.stringify(data)}`);
+    }
+    const text = data.candidates?.[0]?.content?.parts?.map((p: { text?: string }) => p.text || "").join("");
+    if (!text) throw new Error("Gemini returned no text");
+    return text;
+  },
+};
+
+// Same input → same output; reads the first name and org from the context
+// block that buildPrompt appends
+const stubProvider: LlmProvider = {
+  name: "stub",
+  async generate(prompt) {
+    const name = /"contact":\{[^}]*"name":"([^"\s]+)/.exec(prompt)?.[1] || "there";
+    const org = /"org":\{[^}]*"name":"([^"]+)"/.exec(prompt)?.[1] || "our team";
+    const project = /"project":\{[^}]*"name":"([^"]+)"/.exec(prompt)?.[1];
+    return `Hi ${name}, this is ${org} following up${project ? ` about ${project}` : ""}. Reply here with any questions.`;
+  },
+};
+
+const PROVIDERS: Record<string, LlmProvider> = {
+  gemini: geminiProvider,
+  stub: stubProvider,
+};
+
+export function getLlmProvider(): LlmProvider | null {
+  const name = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? "gemini" : "");
+  return PROVIDERS[name] || null;
+}
+
+// ------------------------------------------------------------------
+// Prompt + guardrails
+// ------------------------------------------------------------------
+
+// Primitive fields of the hydrated rows, minus anything private
+function summarizeContext(context: Record<string, unknown>): Record<string, Record<string, unknown>> {
+  const summary: Record<string, Record<string, unknown>> = {};
+  for (const key of ["org", "contact", "client", "project", "quote"]) {
+    const row = context[key];
+    if (!row || typeof row !== "object") continue;
+    const fields: Record<string, unknown> = {};
+    for (const [k, v] of Object.entries(row as Record<string, unknown>)) {
+      if (PRIVATE_FIELD.test(k) || v === null || v === "" || typeof v === "object") continue;
+      fields[k] = v;
+    }
+    summary[key] = fields;
+  }
+  return summary;
+}
+
+function buildPrompt(instruction: string, channel: "sms" | "email", context: Record<string, unknown>, maxLength: number) {
+  const rules =
+    channel === "sms"
+      ? `Write a single SMS message, plain text, at most ${maxLength} characters, no links unless given, no emojis.`
+      : `Write the body of an email, plain text, at most ${maxLength} characters. Do not include a subject line.`;
+  return [
+    "You write short, friendly, professional messages for a commercial installation and moving company.",
+    rules,
+    "Only use facts from the context below. Never promise prices, dates or outcomes that are not in the context.",
+    "",
+    `Instructions: ${instruction}`,
+    "",
+    `Context: ${JSON.stringify(summarizeContext(context)).slice(0, 4000)}`,
+  ].join("\n");
+}
+
+// Trim to maxLength at a sentence, then word, boundary
+function enforceLength(text: string, maxLength: number): string {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("! "), cut.lastIndexOf("? "));
+  if (sentenceEnd > maxLength * 0.5) return cut.slice(0, sentenceEnd + 1);
+  const wordEnd = cut.lastIndexOf(" ");
+  return (wordEnd > 0 ? cut.slice(0, wordEnd) : cut).replace(/[,;:\s]+$/, "") + "…";
+}
+
+function findBannedPhrase(text: string, extra: unknown): string | null {
+  const phrases = DEFAULT_BANNED_PHRASES.concat(
+    Array.isArray(extra) ? extra.map((p) => String(p).toLowerCase()) : []
+  );
+  const lower = text.toLowerCase();
+  return phrases.find((p) => p && lower.includes(p)) || null;
+}
+
+// Compose a send_sms/send_email body with AI. `fallback` (the step's
+// interpolated static message) is used whenever AI output can't be used.
+export async function composeAiMessage(params: {
+  channel: "sms" | "email";
+  instruction: string;
+  context: Record<string, unknown>;
+  fallback: string;
+  config: Record<string, unknown>;
+}): Promise<ComposeResult> {
+  const { channel, instruction, context, fallback, config } = params;
+  const provider = getLlmProvider();
+  const defaultMax = channel === "sms" ? SMS_MAX_LENGTH : EMAIL_MAX_LENGTH;
+  const maxLength = Math.min(Number(config.aiMaxLength || defaultMax), defaultMax);
+
+  const useFallback = (reason: string, generated: string | null = null): ComposeResult => {
+    logger.warn(`AI message not used: ${reason}`);
+    return { text: fallback, ai: { provider: provider?.name || null, generated, usedFallback: true, reason } };
+  };
+
+  if (!provider) return useFallback("no AI provider configured");
+  if (!instruction.trim()) return useFallback("empty aiPrompt");
+
+  let generated: string;
+  try {
+    generated = await provider.generate(buildPrompt(instruction, channel, context, maxLength), {
+      maxOutputTokens: channel === "sms" ? 200 : 1200,
+    });
+  } catch (err) {
+    return useFallback(err instanceof Error ? err.message : String(err));
+  }
+
+  generated = generated.trim().replace(/^["']|["']$/g, "");
+  const banned = findBannedPhrase(generated, config.bannedPhrases);
+  if (banned) return useFallback(`banned phrase: "${banned}"`, generated);
+
+  const text = enforceLength(generated, maxLength);
+  if (!text) return useFallback("empty AI output", generated);
+
+  return { text, ai: { provider: provider.name, generated, usedFallback: false } };
+}
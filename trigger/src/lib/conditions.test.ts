@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { evaluateCondition } from "./conditions.js";
+
+const context = {
+  project_type: "Move",
+  status: "scheduled",
+  phone: "+15551234567",
+  project: { install_date: "2026-03-05", created_at: "2026-03-05T02:30:00Z" },
+  org: { timezone: "America/New_York" },
+};
+
+test("groups: all / any, nested, and case-insensitivity inherited", () => {
+  const moveAndScheduled = { match: "all", conditions: [
+    { field: "project_type", operator: "equals", value: "move" },
+    { field: "status", operator: "equals", value: "scheduled" },
+  ] };
+  assert.equal(evaluateCondition(moveAndScheduled, context), false);
+  assert.equal(evaluateCondition({ ...moveAndScheduled, caseInsensitive: true }, context), true);
+
+  const either = { match: "any", conditions: [
+    { field: "status", operator: "equals", value: "cancelled" },
+    { match: "all", conditions: [
+      { field: "project_type", operator: "in_list", value: "Move, Install" },
+      { field: "phone", operator: "starts_with", value: "+1555" },
+    ] },
+  ] };
+  assert.equal(evaluateCondition(either, context), true);
+  assert.equal(evaluateCondition({ ...either, match: "all" }, context), false);
+  assert.equal(evaluateCondition({ match: "any", conditions: [] }, context), true);
+});
+
+test("regex: matches, negation, flags and invalid patterns", () => {
+  assert.equal(evaluateCondition({ field: "phone", operator: "matches_regex", value: "^\\+1555\\d{7}$" }, context), true);
+  assert.equal(evaluateCondition({ field: "project_type", operator: "matches_regex", value: "^move$" }, context), false);
+  assert.equal(evaluateCondition({ field: "project_type", operator: "matches_regex", value: "^move$", caseInsensitive: true }, context), true);
+  assert.equal(evaluateCondition({ field: "project_type", operator: "not_matches_regex", value: "^Inst" }, context), true);
+  assert.equal(evaluateCondition({ field: "missing", operator: "matches_regex", value: ".*" }, context), false);
+  assert.equal(evaluateCondition({ field: "phone", operator: "matches_regex", value: "([" }, context), false);
+});
+
+test("dates: today is the org's calendar day, not UTC's", () => {
+  // 01:00 UTC on Mar 6 is still 8pm on Mar 5 in New York
+  const now = new Date("2026-03-06T01:00:00Z");
+  const rule = { field: "project.install_date", operator: "is_today" };
+  assert.equal(evaluateCondition(rule, context, { now }), true);
+  assert.equal(evaluateCondition(rule, context, { now, timeZone: "UTC" }), false);
+  assert.equal(evaluateCondition(rule, { ...context, org: { timezone: "Europe/Berlin" } }, { now }), false);
+});
+
+test("dates: timestamps are read in the org's timezone", () => {
+  const now = new Date("2026-03-05T15:00:00Z");
+  // 02:30 UTC on Mar 5 was 9:30pm on Mar 4 in New York
+  assert.equal(evaluateCondition({ field: "project.created_at", operator: "before_today" }, context, { now }), true);
+  assert.equal(evaluateCondition({ field: "project.created_at", operator: "date_equals", value: "2026-03-04" }, context, { now }), true);
+  assert.equal(evaluateCondition({ field: "project.created_at", operator: "is_today" }, context, { now, timeZone: "UTC" }), true);
+});
+
+test("dates: relative windows and today±N", () => {
+  const now = new Date("2026-03-01T12:00:00Z");
+  const install = (operator: string, value?: unknown) =>
+    evaluateCondition({ field: "project.install_date", operator, value }, context, { now });
+  assert.equal(install("after_today"), true);
+  assert.equal(install("within_next_days", 4), true);
+  assert.equal(install("within_next_days", 3), false);
+  assert.equal(install("within_last_days", 7), false);
+  assert.equal(install("date_equals", "today+4"), true);
+  assert.equal(install("date_before", "today+5"), true);
+  assert.equal(install("date_after", "today-1"), true);
+  assert.equal(install("more_than_days_ago", 1), false);
+  assert.equal(install("is_today"), false);
+  assert.equal(evaluateCondition({ field: "project.nope", operator: "before_today" }, context, { now }), false);
+});
+
+test("dates: an unknown timezone falls back to the default", () => {
+  const now = new Date("2026-03-06T01:00:00Z");
+  assert.equal(
+    evaluateCondition({ field: "project.install_date", operator: "is_today" }, { ...context, org: { timezone: "Mars/Olympus" } }, { now }),
+    true
+  );
+});
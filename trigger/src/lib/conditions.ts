@@ -0,0 +1,221 @@
+// Condition evaluator for automation Condition steps.
+//
+// A condition config is either a single rule:
+//   { field: "project_type", operator: "equals", value: "move", caseInsensitive: true }
+// or a group of rules / nested groups:
+//   { match: "all", conditions: [ {...}, { match: "any", conditions: [...] } ] }
+//
+// Date operators read the field as a date (YYYY-MM-DD or ISO timestamp) and
+// compare calendar days in the org's timezone (context.org.timezone, or
+// options.timeZone): a 9pm install in New York is that day, not the next.
+
+import { logger } from "@trigger.dev/sdk";
+
+export type ConditionRule = {
+  field?: string;
+  operator?: string;
+  value?: unknown;
+  caseInsensitive?: boolean;
+};
+
+export type ConditionGroup = {
+  match?: "all" | "any";
+  conditions?: ConditionConfig[];
+  caseInsensitive?: boolean;
+};
+
+export type ConditionConfig = ConditionRule & ConditionGroup & Record<string, unknown>;
+
+export interface ConditionOptions {
+  timeZone?: string; // defaults to context.org.timezone
+  now?: Date;
+  caseInsensitive?: boolean; // inherited from the enclosing group
+}
+
+const DAY_MS = 86400000;
+const DEFAULT_TIMEZONE = process.env.ORG_DEFAULT_TIMEZONE || "America/New_York";
+
+export function evaluateCondition(
+  config: Record<string, unknown>,
+  context: Record<string, unknown>,
+  options: ConditionOptions = {}
+): boolean {
+  const cfg = config as ConditionConfig;
+  const caseInsensitive = cfg.caseInsensitive ?? options.caseInsensitive ?? false;
+
+  if (Array.isArray(cfg.conditions)) {
+    const inner = { ...options, caseInsensitive };
+    const results = cfg.conditions.map((c) => evaluateCondition(c, context, inner));
+    if (results.length === 0) return true;
+    return String(cfg.match || "all").toLowerCase() === "any"
+      ? results.some(Boolean)
+      : results.every(Boolean);
+  }
+
+  const clock: DayClock = { timeZone: resolveTimezone(options.timeZone ?? getNestedValue(context, "org.timezone")), now: options.now || new Date() };
+  return evaluateRule(cfg, context, caseInsensitive, clock);
+}
+
+interface DayClock {
+  timeZone: string;
+  now: Date;
+}
+
+function resolveTimezone(tz: unknown): string {
+  if (typeof tz !== "string" || !tz) return DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch {
+    logger.warn(`Unknown timezone ${tz}, using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function evaluateRule(rule: ConditionRule, context: Record<string, unknown>, caseInsensitive: boolean, clock: DayClock): boolean {
+  const field = String(rule.field || "");
+  const operator = String(rule.operator || "equals");
+  const value = rule.value;
+  const actual = getNestedValue(context, field);
+
+  const norm = (v: unknown) => (caseInsensitive ? String(v).toLowerCase() : String(v));
+
+  switch (operator) {
+    case "equals":
+      return norm(actual) === norm(value);
+    case "not_equals":
+      return norm(actual) !== norm(value);
+    case "contains":
+      return norm(actual).includes(norm(value));
+    case "not_contains":
+      return !norm(actual).includes(norm(value));
+    case "starts_with":
+      return norm(actual).startsWith(norm(value));
+    case "ends_with":
+      return norm(actual).endsWith(norm(value));
+    case "greater_than":
+      return Number(actual) > Number(value);
+    case "less_than":
+      return Number(actual) < Number(value);
+    case "is_empty":
+      return !actual || actual === "" || actual === null || actual === undefined;
+    case "is_not_empty":
+      return !!actual && actual !== "" && actual !== null && actual !== undefined;
+
+    // ---- Lists ----
+    case "in_list":
+      return toList(value).map(norm).includes(norm(actual));
+    case "not_in_list":
+      return !toList(value).map(norm).includes(norm(actual));
+
+    // ---- Regex ----
+    case "matches_regex":
+    case "not_matches_regex": {
+      let re: RegExp;
+      try {
+        re = new RegExp(String(value ?? ""), caseInsensitive ? "i" : "");
+      } catch {
+        logger.warn(`Invalid regex in condition: ${String(value)}`);
+        return false;
+      }
+      const matched = actual !== undefined && actual !== null && re.test(String(actual));
+      return operator === "matches_regex" ? matched : !matched;
+    }
+
+    // ---- Dates (relative to today) ----
+    case "is_today":
+      return daysFromToday(actual, clock) === 0;
+    case "before_today": {
+      const d = daysFromToday(actual, clock);
+      return d !== null && d < 0;
+    }
+    case "after_today": {
+      const d = daysFromToday(actual, clock);
+      return d !== null && d > 0;
+    }
+    case "within_next_days": {
+      // e.g. install_date within the next 7 days (today included)
+      const d = daysFromToday(actual, clock);
+      return d !== null && d >= 0 && d <= Number(value);
+    }
+    case "within_last_days": {
+      const d = daysFromToday(actual, clock);
+      return d !== null && d <= 0 && d >= -Number(value);
+    }
+    case "more_than_days_ago": {
+      const d = daysFromToday(actual, clock);
+      return d !== null && d < -Number(value);
+    }
+    case "date_before":
+    case "date_after":
+    case "date_equals": {
+      const a = toDay(actual, clock.timeZone);
+      const b = resolveDateValue(value, clock);
+      if (a === null || b === null) return false;
+      if (operator === "date_before") return a < b;
+      if (operator === "date_after") return a > b;
+      return a === b;
+    }
+
+    default:
+      logger.warn(`Unknown condition operator: ${operator}`);
+      return false;
+  }
+}
+
+// "a, b, c" or ["a", "b", "c"]
+function toList(value: unknown): unknown[] {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === "") return [];
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// The calendar day an instant falls on in timeZone, as midnight UTC (ms)
+function dayInZone(d: Date, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).formatToParts(d);
+  const get = (type: string) => Number(parts.find((p) => p.type === type)?.value);
+  return Date.UTC(get("year"), get("month") - 1, get("day"));
+}
+
+// The calendar day a value falls on (midnight UTC, ms), or null if not a
+// date. Plain dates are already calendar days; timestamps are read in timeZone.
+function toDay(value: unknown, timeZone: string): number | null {
+  if (value === undefined || value === null || value === "") return null;
+  const str = String(value);
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+  if (dateOnly) {
+    return Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  }
+  const d = new Date(str);
+  if (isNaN(d.getTime())) return null;
+  return dayInZone(d, timeZone);
+}
+
+function daysFromToday(value: unknown, clock: DayClock): number | null {
+  const day = toDay(value, clock.timeZone);
+  if (day === null) return null;
+  return Math.round((day - dayInZone(clock.now, clock.timeZone)) / DAY_MS);
+}
+
+// Accepts a date, "today", or "today+N" / "today-N"
+function resolveDateValue(value: unknown, clock: DayClock): number | null {
+  const str = String(value ?? "").trim().toLowerCase();
+  const rel = /^today\s*(?:([+-])\s*(\d+))?$/.exec(str);
+  if (rel) {
+    const offset = rel[2] ? Number(rel[2]) * (rel[1] === "-" ? -1 : 1) : 0;
+    return dayInZone(clock.now, clock.timeZone) + offset * DAY_MS;
+  }
+  return toDay(value, clock.timeZone);
+}
+
+export function getNestedValue(obj: Record<string, unknown>, path: string): unknown {
+  return path.split(".").reduce<unknown>((acc, key) => {
+    if (acc && typeof acc === "object" && key in (acc as Record<string, unknown>)) {
+      return (acc as Record<string, unknown>)[key];
+    }
+    return undefined;
+  }, obj);
+}
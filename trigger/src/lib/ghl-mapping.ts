@@ -0,0 +1,132 @@
+// GHL → CRM mapping (ghl_config.pull_settings):
+//
+//   {
+//     enabled: true,
+//     contactTarget: "auto",          auto: contacts with a company → clients, others → people
+//     clientFields: { company: "companyName", email: "email", ... },   CRM column ← GHL field
+//     contactFields: { name: "name", email: "email", phone: "phone" },
+//     projectFields: { name: "name" },
+//     createProjects: true,           open a project for unlinked opportunities
+//     stageStatuses: { "<stageId>": "scheduled" }   defaults to push_settings.statusStages inverted
+//   }
+//
+// A GHL field of "customField.<id>" reads that custom field.
+
+import type { GhlConfig } from "./supabase.js";
+
+export interface GhlPullSettings {
+  enabled: boolean;
+  contactTarget: "auto" | "client" | "contact";
+  clientFields: Record<string, string>;
+  contactFields: Record<string, string>;
+  projectFields: Record<string, string>;
+  createProjects: boolean;
+  stageStatuses: Record<string, string>;
+}
+
+const DEFAULT_CLIENT_FIELDS: Record<string, string> = {
+  company: "companyName",
+  email: "email",
+  phone: "phone",
+  address: "address1",
+  city: "city",
+  state: "state",
+  zip: "postalCode",
+};
+
+const DEFAULT_CONTACT_FIELDS: Record<string, string> = {
+  name: "name",
+  email: "email",
+  phone: "phone",
+};
+
+const DEFAULT_PROJECT_FIELDS: Record<string, string> = {
+  name: "name",
+};
+
+export function getPullSettings(config: GhlConfig): GhlPullSettings {
+  const s = (config.pull_settings || {}) as Partial<GhlPullSettings>;
+  const push = (config.push_settings || {}) as { statusStages?: Record<string, string> };
+  // Unless set explicitly, a stage maps back to the status that pushes to it
+  const inverted: Record<string, string> = {};
+  for (const [status, stageId] of Object.entries(push.statusStages || {})) {
+    if (!inverted[stageId]) inverted[stageId] = status;
+  }
+  const pick = (value: Record<string, string> | undefined, fallback: Record<string, string>) =>
+    value && Object.keys(value).length ? value : fallback;
+  return {
+    enabled: !!s.enabled,
+    contactTarget: s.contactTarget || "auto",
+    clientFields: pick(s.clientFields, DEFAULT_CLIENT_FIELDS),
+    contactFields: pick(s.contactFields, DEFAULT_CONTACT_FIELDS),
+    projectFields: pick(s.projectFields, DEFAULT_PROJECT_FIELDS),
+    createProjects: s.createProjects !== false,
+    stageStatuses: pick(s.stageStatuses, inverted),
+  };
+}
+
+// Reads a GHL field, including "name" (built from first/last when GHL only
+// has those) and "customField.<id>"
+export function getGhlValue(ghl: Record<string, unknown>, field: string): unknown {
+  if (field.startsWith("customField.")) {
+    const id = field.slice("customField.".length);
+    const cf = ghl.customField ?? ghl.customFields;
+    if (Array.isArray(cf)) return (cf as Array<{ id?: string; value?: unknown }>).find((f) => f.id === id)?.value;
+    if (cf && typeof cf === "object") return (cf as Record<string, unknown>)[id];
+    return undefined;
+  }
+  if (field === "name") {
+    const full = [ghl.firstName, ghl.lastName].filter(Boolean).join(" ");
+    return ghl.name || ghl.contactName || full || undefined;
+  }
+  return ghl[field];
+}
+
+// GHL record → CRM column values (empty GHL values are left out)
+export function mapFromGhl(ghl: Record<string, unknown>, fields: Record<string, string>) {
+  const values: Record<string, unknown> = {};
+  for (const [crmField, ghlField] of Object.entries(fields)) {
+    const value = getGhlValue(ghl, ghlField);
+    if (value === undefined || value === null || value === "") continue;
+    values[crmField] = Array.isArray(value) ? value.join(", ") : value;
+  }
+  return values;
+}
+
+function same(a: unknown, b: unknown) {
+  const norm = (v: unknown) => {
+    const s = String(v ?? "").trim().toLowerCase();
+    return /^[\d\s()+.-]{7,}$/.test(s) ? s.replace(/\D/g, "").slice(-10) : s;
+  };
+  return norm(a) === norm(b);
+}
+
+function isEmpty(v: unknown) {
+  return v === undefined || v === null || String(v).trim() === "";
+}
+
+// Three-way merge per field. base is what we last took from GHL:
+//  - CRM still equals base (or is empty) → take the GHL value
+//  - GHL still equals base → keep the CRM edit (the push side sends it)
+//  - both moved away from base → conflict, CRM value is kept for now
+export function mergeFromGhl(
+  crm: Record<string, unknown> | null,
+  incoming: Record<string, unknown>,
+  base: Record<string, unknown> | null
+) {
+  const updates: Record<string, unknown> = {};
+  const conflicts: Array<{ field: string; crmValue: unknown; ghlValue: unknown; baseValue: unknown }> = [];
+  for (const [field, ghlValue] of Object.entries(incoming)) {
+    const crmValue = crm ? crm[field] : undefined;
+    if (same(crmValue, ghlValue)) continue;
+    const baseValue = base ? base[field] : undefined;
+    if (isEmpty(crmValue) || (base && same(crmValue, baseValue))) {
+      updates[field] = ghlValue;
+    } else if (base && same(ghlValue, baseValue)) {
+      continue;
+    } else {
+      conflicts.push({ field, crmValue, ghlValue, baseValue: baseValue ?? null });
+    }
+  }
+  return { updates, conflicts };
+}
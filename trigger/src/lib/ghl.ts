@@ -0,0 +1,151 @@
+// GoHighLevel API v1 client plus the per-org push mapping
+// (ghl_config.push_settings):
+//
+//   {
+//     enabled: true,
+//     clientFields: { companyName: "company", email: "email", ... },  GHL field ← CRM column
+//     contactFields: { name: "name", email: "email", phone: "phone" },
+//     pipelineId: "...",
+//     statusStages: { scheduled: "<stageId>", completed: "<stageId>" },   CRM project status → stage
+//     quoteSignedStage: "<stageId>",
+//     wonStatuses: ["completed"], lostStatuses: ["cancelled"]
+//   }
+//
+// A GHL field of "customField.<id>" writes that custom field.
+
+import type { GhlConfig, GhlEntityLink } from "./supabase.js";
+
+const GHL_BASE = "https://rest.gohighlevel.com/v1";
+
+export interface GhlPushSettings {
+  enabled: boolean;
+  clientFields: Record<string, string>;
+  contactFields: Record<string, string>;
+  pipelineId: string | null;
+  statusStages: Record<string, string>;
+  quoteSignedStage: string | null;
+  wonStatuses: string[];
+  lostStatuses: string[];
+}
+
+const DEFAULT_CLIENT_FIELDS: Record<string, string> = {
+  companyName: "company",
+  name: "company",
+  email: "email",
+  phone: "phone",
+  address1: "address",
+  city: "city",
+  state: "state",
+  postalCode: "zip",
+};
+
+const DEFAULT_CONTACT_FIELDS: Record<string, string> = {
+  name: "name",
+  email: "email",
+  phone: "phone",
+};
+
+export function getPushSettings(config: GhlConfig): GhlPushSettings {
+  const s = (config.push_settings || {}) as Partial<GhlPushSettings>;
+  return {
+    enabled: !!s.enabled,
+    clientFields: s.clientFields && Object.keys(s.clientFields).length ? s.clientFields : DEFAULT_CLIENT_FIELDS,
+    contactFields: s.contactFields && Object.keys(s.contactFields).length ? s.contactFields : DEFAULT_CONTACT_FIELDS,
+    pipelineId: s.pipelineId || null,
+    statusStages: s.statusStages || {},
+    quoteSignedStage: s.quoteSignedStage || null,
+    wonStatuses: s.wonStatuses || ["completed"],
+    lostStatuses: s.lostStatuses || ["cancelled"],
+  };
+}
+
+// Same 429 backoff as ghlFetch in api/ghl-sync.js
+export async function ghlRequest<T = Record<string, unknown>>(
+  config: GhlConfig,
+  method: string,
+  endpoint: string,
+  body?: unknown
+): Promise<{ ok: boolean; status: number; data: T | null; error?: string }> {
+  if (!config.ghl_api_key) throw new Error("GHL API key not set");
+  const url = `${GHL_BASE}/${endpoint.replace(/^\//, "")}`;
+  let resp: Response | null = null;
+  for (let attempt = 0; attempt <= 3; attempt++) {
+    resp = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${config.ghl_api_key}`,
+        Version: config.api_version || "2021-04-15",
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (resp.status === 429 && attempt < 3) {
+      await new Promise((r) => setTimeout(r, Math.pow(2, attempt) * 1000));
+      continue;
+    }
+    break;
+  }
+  const text = await resp!.text().catch(() => "");
+  let data: T | null = null;
+  try { data = text ? (JSON.parse(text) as T) : null; } catch (_) {}
+  return { ok: resp!.ok, status: resp!.status, data, error: resp!.ok ? undefined : text.slice(0, 500) };
+}
+
+// CRM row → GHL contact body, using the org's field mapping. Empty values
+// are left out so a blank CRM column never clears data in GHL.
+export function mapToGhlContact(row: Record<string, unknown>, fields: Record<string, string>) {
+  const payload: Record<string, unknown> = {};
+  const customField: Record<string, unknown> = {};
+  for (const [ghlField, crmField] of Object.entries(fields)) {
+    const value = row[crmField];
+    if (value === undefined || value === null || value === "") continue;
+    if (ghlField.startsWith("customField.")) customField[ghlField.slice("customField.".length)] = value;
+    else payload[ghlField] = value;
+  }
+  if (Object.keys(customField).length) payload.customField = customField;
+  return payload;
+}
+
+function normalize(value: unknown): string {
+  const s = String(value ?? "").trim().toLowerCase();
+  // Phones compare on digits so "+1 (555) 123-4567" matches "+15551234567"
+  return /^[\d\s()+.-]{7,}$/.test(s) ? s.replace(/\D/g, "") : s;
+}
+
+// Custom field values come back from GHL as [{ id, value }] or { id: value }
+function ghlCustomValue(ghlData: Record<string, unknown>, id: string) {
+  const cf = ghlData.customField ?? ghlData.customFields;
+  if (Array.isArray(cf)) return (cf as Array<{ id?: string; value?: unknown }>).find((f) => f.id === id)?.value;
+  if (cf && typeof cf === "object") return (cf as Record<string, unknown>)[id];
+  return undefined;
+}
+
+// True when every field in payload already has that value in GHL's copy
+export function ghlHasValues(ghlData: Record<string, unknown> | null, payload: Record<string, unknown>) {
+  if (!ghlData) return false;
+  return Object.entries(payload).every(([key, value]) => {
+    if (key === "customField") {
+      return Object.entries(value as Record<string, unknown>).every(([id, v]) => normalize(ghlCustomValue(ghlData, id)) === normalize(v));
+    }
+    return normalize(ghlData[key]) === normalize(value);
+  });
+}
+
+// Echo loop guard. A GHL change that only repeats what we pushed within the
+// window is our own write coming back (webhook or next sync), not a new edit
+// to apply to the CRM. Pull-side callers check this before applying.
+const ECHO_WINDOW_MS = 10 * 60 * 1000;
+
+export function isGhlEcho(link: GhlEntityLink | null, incoming: Record<string, unknown>) {
+  if (!link?.last_pushed_payload || !link.last_pushed_at) return false;
+  if (Date.now() - new Date(link.last_pushed_at).getTime() > ECHO_WINDOW_MS) return false;
+  return ghlHasValues(incoming, link.last_pushed_payload);
+}
+
+// GHL opportunity status for a CRM project status
+export function opportunityStatus(settings: GhlPushSettings, projectStatus: string) {
+  if (settings.wonStatuses.includes(projectStatus)) return "won";
+  if (settings.lostStatuses.includes(projectStatus)) return "lost";
+  return "open";
+}
@@ -0,0 +1,94 @@
+// Microsoft Graph (app-only) for the Outlook mailboxes in email_config.
+// Uses the same app registration as /api/send-email:
+// MS_TENANT_ID, MS_CLIENT_ID, MS_CLIENT_SECRET.
+
+const GRAPH_BASE = "https://graph.microsoft.com/v1.0";
+
+let _token: { value: string; expiresAt: number } | null = null;
+
+async function getGraphToken(): Promise<string> {
+  if (_token && _token.expiresAt > Date.now() + 60000) return _token.value;
+
+  const tenantId = process.env.MS_TENANT_ID;
+  const clientId = process.env.MS_CLIENT_ID;
+  const clientSecret = process.env.MS_CLIENT_SECRET;
+  if (!tenantId || !clientId || !clientSecret) {
+    throw new Error("Missing Outlook env vars (MS_TENANT_ID, MS_CLIENT_ID, MS_CLIENT_SECRET)");
+  }
+
+  const resp = await fetch(`https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      client_id: clientId,
+      client_secret: clientSecret,
+      scope: "https://graph.microsoft.com/.default",
+      grant_type: "client_credentials",
+    }),
+  });
+  const data = (await resp.json().catch(() => ({}))) as { access_token?: string; expires_in?: number };
+  if (!resp.ok || !data.access_token) throw new Error(`Graph token request failed: ${JSON.stringify(data)}`);
+
+  _token = { value: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+  return _token.value;
+}
+
+export async function graphRequest<T = Record<string, unknown>>(
+  method: string,
+  path: string,
+  body?: unknown,
+  headers?: Record<string, string>
+): Promise<{ ok: boolean; status: number; data: T | null; error?: string }> {
+  const token = await getGraphToken();
+  const resp = await fetch(`${GRAPH_BASE}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", ...(headers || {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await resp.text().catch(() => "");
+  let data: T | null = null;
+  try { data = text ? (JSON.parse(text) as T) : null; } catch (_) {}
+  return { ok: resp.ok, status: resp.status, data, error: resp.ok ? undefined : text.slice(0, 500) };
+}
+
+// Inbox "created" subscriptions; Graph caps mail subscriptions at 4230 minutes
+export const MAIL_SUBSCRIPTION_MINUTES = 4200;
+
+export async function createMailSubscription(mailbox: string, notificationUrl: string, clientState: string) {
+  return graphRequest<{ id: string; expirationDateTime: string }>("POST", "/subscriptions", {
+    changeType: "created",
+    notificationUrl,
+    resource: `users/${mailbox}/mailFolders('inbox')/messages`,
+    expirationDateTime: new Date(Date.now() + MAIL_SUBSCRIPTION_MINUTES * 60000).toISOString(),
+    clientState,
+  });
+}
+
+export async function renewMailSubscription(subscriptionId: string) {
+  return graphRequest<{ id: string; expirationDateTime: string }>("PATCH", `/subscriptions/${subscriptionId}`, {
+    expirationDateTime: new Date(Date.now() + MAIL_SUBSCRIPTION_MINUTES * 60000).toISOString(),
+  });
+}
+
+export interface GraphMailMessage {
+  id: string;
+  internetMessageId?: string;
+  subject?: string;
+  body?: { contentType?: string; content?: string };
+  from?: { emailAddress?: { name?: string; address?: string } };
+  toRecipients?: { emailAddress?: { address?: string } }[];
+  ccRecipients?: { emailAddress?: { address?: string } }[];
+  receivedDateTime?: string;
+  hasAttachments?: boolean;
+}
+
+// One message from a mailbox, body as plain text
+export async function getMailMessage(mailbox: string, messageId: string) {
+  return graphRequest<GraphMailMessage>(
+    "GET",
+    `/users/${encodeURIComponent(mailbox)}/messages/${encodeURIComponent(messageId)}` +
+      "?$select=id,internetMessageId,subject,body,from,toRecipients,ccRecipients,receivedDateTime,hasAttachments",
+    undefined,
+    { Prefer: 'outlook.body-content-type="text"' }
+  );
+}
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { subjectFilter } from "./supabase.js";
+
+test("subjectFilter: contact and entity", () => {
+  assert.equal(
+    subjectFilter({ contactId: 12, entityType: "project", entityId: 34 }),
+    'contact_id.eq.12,and(entity_type.eq.project,entity_id.eq."34")'
+  );
+  assert.equal(subjectFilter({}), null);
+});
+
+test("subjectFilter: payload values can't add or() conditions", () => {
+  assert.equal(subjectFilter({ contactId: "1,org_id.neq.0" }), null);
+  assert.equal(subjectFilter({ entityType: "project,contact_id.gt.0", entityId: 1 }), null);
+  assert.equal(
+    subjectFilter({ entityType: "quote", entityId: '5),or(id.gt.0,x.eq."' }),
+    'and(entity_type.eq.quote,entity_id.eq."5),or(id.gt.0,x.eq.\\"")'
+  );
+});
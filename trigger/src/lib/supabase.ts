@@ -25,7 +25,10 @@ export type CrmEventType =
   | "sms.inbound"
   | "project.status_changed"
   | "project.created"
-  | "email.received";
+  | "email.received"
+  | "client.updated" // created or edited in the CRM (payload.created on create)
+  | "contact.updated"
+  | "date.reached"; // emitted by the daily scan-date-triggers task
 
 export interface CrmEvent {
   id?: number;
@@ -34,6 +37,9 @@ export interface CrmEvent {
   entity_type: string; // "project", "quote", "contact", etc.
   entity_id: number | string;
   payload: Record<string, unknown>;
+  idempotency_key?: string | null;
+  dispatched_at?: string | null;
+  dispatch_attempts?: number;
   created_at?: string;
   processed_at?: string | null;
 }
@@ -57,7 +63,44 @@ export async function emitEvent(event: Omit<CrmEvent, "id" | "created_at" | "pro
   return data;
 }
 
-// Load workflow steps for a given automation, ordered by stepOrder
+// Events that never reached Trigger.dev (the /api/trigger-event dispatch
+// failed or was skipped), oldest first. Nothing older than maxAgeHours:
+// a reminder that is days late does more harm than good (use /api/event-replay)
+export async function loadUndispatchedEvents(olderThanMinutes: number, maxAgeHours: number, maxAttempts: number, limit: number) {
+  const sb = getSupabase();
+  const cutoff = new Date(Date.now() - olderThanMinutes * 60000).toISOString();
+  const oldest = new Date(Date.now() - maxAgeHours * 3600000).toISOString();
+  const { data, error } = await sb
+    .from("workflow_events")
+    .select("*")
+    .is("dispatched_at", null)
+    .is("processed_at", null)
+    .lt("created_at", cutoff)
+    .gte("created_at", oldest)
+    .lt("dispatch_attempts", maxAttempts)
+    .order("created_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(`loadUndispatchedEvents failed: ${error.message}`);
+  return (data || []) as CrmEvent[];
+}
+
+export async function markEventDispatched(eventId: number, attempts: number, dispatchError?: string) {
+  const sb = getSupabase();
+  const { error } = await sb
+    .from("workflow_events")
+    .update(
+      dispatchError
+        ? { dispatch_attempts: attempts, last_dispatch_error: dispatchError }
+        : { dispatch_attempts: attempts, dispatched_at: new Date().toISOString(), last_dispatch_error: null }
+    )
+    .eq("id", eventId);
+
+  if (error) throw new Error(`markEventDispatched failed: ${error.message}`);
+}
+
+// Load workflow steps for a given automation, ordered by stepOrder.
+// Branch steps carry parentStep (the Condition's stepOrder) + branch.
 export async function loadWorkflowSteps(automationId: string) {
   const sb = getSupabase();
   const { data, error } = await sb
@@ -70,6 +113,92 @@ export async function loadWorkflowSteps(automationId: string) {
   return data || [];
 }
 
+// entityType (as used on events) → table holding that entity
+export const ENTITY_TABLES: Record<string, string> = {
+  project: "projects",
+  quote: "quotes",
+  client: "clients",
+  contact: "people",
+  shipment: "shipments",
+  punchlist: "punchlist",
+  message: "messages",
+};
+
+// Load a single entity row by entityType + id, scoped to the org
+export async function loadEntity(orgId: string, entityType: string, entityId: string | number) {
+  const table = ENTITY_TABLES[entityType];
+  if (!table) return null;
+  // CRM ids are bigints; provider ids (a Twilio SM… sid) have no row here
+  if (!/^\d+$/.test(String(entityId))) return null;
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from(table)
+    .select("*")
+    .eq("org_id", orgId)
+    .eq("id", entityId)
+    .maybeSingle();
+
+  if (error) throw new Error(`loadEntity failed: ${error.message}`);
+  return data as Record<string, unknown> | null;
+}
+
+async function loadRow(orgId: string, table: string, id: unknown) {
+  if (id === undefined || id === null || id === "") return null;
+  const sb = getSupabase();
+  const { data } = await sb.from(table).select("*").eq("org_id", orgId).eq("id", id).maybeSingle();
+  return data as Record<string, unknown> | null;
+}
+
+// Load the rows an automation's templates can reference ({{project.name}},
+// {{client.company}}, {{contact.name}}, {{quote.total}}, {{org.name}})
+// starting from the event's entity. Missing links are simply left out.
+export async function loadEntityContext(
+  orgId: string,
+  entityType: string | undefined,
+  entityId: string | number | undefined,
+  contactId?: unknown
+): Promise<Record<string, Record<string, unknown>>> {
+  const sb = getSupabase();
+  const ctx: Record<string, Record<string, unknown>> = {};
+
+  const { data: org } = await sb
+    .from("orgs")
+    .select("id, name, slug, timezone")
+    .eq("id", orgId)
+    .maybeSingle();
+  if (org) ctx.org = org;
+
+  const entity = entityType && entityId ? await loadEntity(orgId, entityType, entityId) : null;
+  if (entity && entityType) ctx[entityType] = entity;
+
+  const project =
+    entityType === "project" ? entity : await loadRow(orgId, "projects", entity?.project_id);
+  if (project) ctx.project = project;
+
+  let quote = entityType === "quote" ? entity : null;
+  if (!quote && project) {
+    const { data } = await sb
+      .from("quotes")
+      .select("*")
+      .eq("org_id", orgId)
+      .eq("project_id", project.id)
+      .order("version", { ascending: false })
+      .limit(1);
+    quote = (data || [])[0] || null;
+  }
+  if (quote) ctx.quote = quote;
+
+  const client =
+    entityType === "client" ? entity : await loadRow(orgId, "clients", project?.client_id ?? entity?.client_id);
+  if (client) ctx.client = client;
+
+  const contact =
+    entityType === "contact" ? entity : await loadRow(orgId, "people", contactId ?? entity?.contact_id);
+  if (contact) ctx.contact = contact;
+
+  return ctx;
+}
+
 // Load published automations that match a given trigger type + org
 export async function loadMatchingAutomations(orgId: string, triggerType: string, triggerValue?: string) {
   const sb = getSupabase();
@@ -89,12 +218,73 @@ export async function loadMatchingAutomations(orgId: string, triggerType: string
   return data || [];
 }
 
+// AI message settings for one automation (resumed and dry runs load these
+// themselves; processEvent already has the row)
+export async function loadAutomationAiSettings(automationId: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("automations")
+    .select("\"aiEnabled\", \"aiPrompt\"")
+    .eq("id", automationId)
+    .maybeSingle();
+
+  if (error) throw new Error(`loadAutomationAiSettings failed: ${error.message}`);
+  return { enabled: !!data?.aiEnabled, prompt: String(data?.aiPrompt || "") };
+}
+
+// Load every published date-triggered automation (all orgs) for the daily scan
+export async function loadDateTriggerAutomations() {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("automations")
+    .select("id, org_id, \"triggerValue\", \"offsetDays\"")
+    .eq("status", "published")
+    .eq("triggerType", "date");
+
+  if (error) throw new Error(`loadDateTriggerAutomations failed: ${error.message}`);
+  return data || [];
+}
+
+// Record that a date trigger fired for an entity + date. Returns false if it
+// was already recorded, so each reminder is only emitted once.
+export async function claimScheduledTrigger(params: {
+  org_id: string;
+  trigger_value: string;
+  offset_days: number;
+  entity_type: string;
+  entity_id: string;
+  target_date: string;
+}): Promise<number | null> {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("scheduled_trigger_log")
+    .upsert(params, {
+      onConflict: "org_id,trigger_value,offset_days,entity_type,entity_id,target_date",
+      ignoreDuplicates: true,
+    })
+    .select("id");
+
+  if (error) throw new Error(`claimScheduledTrigger failed: ${error.message}`);
+  return (data || [])[0]?.id ?? null;
+}
+
+// Give a claim back when its event couldn't be emitted, so the next scan retries
+export async function releaseScheduledTrigger(claimId: number) {
+  const sb = getSupabase();
+  const { error } = await sb.from("scheduled_trigger_log").delete().eq("id", claimId);
+  if (error) throw new Error(`releaseScheduledTrigger failed: ${error.message}`);
+}
+
 // Log a workflow run
 export async function createWorkflowRun(params: {
   org_id: string;
   automation_id: string;
   event_id: number;
   status: string;
+  trigger_run_id?: string;
+  contact_id?: number | string | null;
+  entity_type?: string | null;
+  entity_id?: string | null;
 }) {
   const sb = getSupabase();
   const { data, error } = await sb
@@ -107,6 +297,18 @@ export async function createWorkflowRun(params: {
   return data;
 }
 
+export async function loadWorkflowRun(runId: number) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("workflow_runs")
+    .select("*")
+    .eq("id", runId)
+    .maybeSingle();
+
+  if (error) throw new Error(`loadWorkflowRun failed: ${error.message}`);
+  return data;
+}
+
 export async function updateWorkflowRun(runId: number, updates: Record<string, unknown>) {
   const sb = getSupabase();
   const { error } = await sb
@@ -117,6 +319,111 @@ export async function updateWorkflowRun(runId: number, updates: Record<string, u
   if (error) throw new Error(`updateWorkflowRun failed: ${error.message}`);
 }
 
+// ------------------------------------------------------------------
+// Wait-for-event steps and exit goals
+// ------------------------------------------------------------------
+
+// Who/what a run or a pending wait is about; an event matches when it
+// carries the same contact, or the same entity
+export interface RunSubject {
+  contactId?: number | string | null;
+  entityType?: string | null;
+  entityId?: string | number | null;
+}
+
+// A PostgREST or() value in double quotes, so commas, dots and parentheses
+// in it can't add conditions of their own
+function quoteFilterValue(value: string): string {
+  return `"${value.replace(/["\\]/g, "\\$&")}"`;
+}
+
+// The subject comes from event payloads, so only numeric contact ids and
+// plain entity type names go into the filter; anything else is left out
+export function subjectFilter(subject: RunSubject): string | null {
+  const parts: string[] = [];
+  const contactId = String(subject.contactId ?? "");
+  if (/^\d+$/.test(contactId)) parts.push(`contact_id.eq.${contactId}`);
+  const entityType = String(subject.entityType ?? "");
+  const entityId = String(subject.entityId ?? "");
+  if (/^[a-z][a-z_]*$/.test(entityType) && entityId) {
+    parts.push(`and(entity_type.eq.${entityType},entity_id.eq.${quoteFilterValue(entityId)})`);
+  }
+  return parts.length ? parts.join(",") : null;
+}
+
+export async function registerEventWait(params: {
+  org_id: string;
+  run_id: number;
+  step_id: number | null;
+  event_type: string;
+  token_id: string;
+  contact_id?: number | string | null;
+  entity_type?: string | null;
+  entity_id?: string | null;
+  expires_at: string;
+}) {
+  const sb = getSupabase();
+  const { error } = await sb.from("workflow_event_waits").insert(params);
+  if (error) throw new Error(`registerEventWait failed: ${error.message}`);
+}
+
+// Unresolved waits in an org for this event type + contact/entity
+export async function loadPendingEventWaits(orgId: string, eventType: string, subject: RunSubject) {
+  const filter = subjectFilter(subject);
+  if (!filter) return [];
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("workflow_event_waits")
+    .select("*")
+    .eq("org_id", orgId)
+    .eq("event_type", eventType)
+    .is("resolved_at", null)
+    .gt("expires_at", new Date().toISOString())
+    .or(filter);
+
+  if (error) throw new Error(`loadPendingEventWaits failed: ${error.message}`);
+  return data || [];
+}
+
+export async function resolveEventWait(waitId: number, eventId: number | null) {
+  const sb = getSupabase();
+  const { error } = await sb
+    .from("workflow_event_waits")
+    .update({ resolved_at: new Date().toISOString(), resolved_event_id: eventId })
+    .eq("id", waitId);
+
+  if (error) throw new Error(`resolveEventWait failed: ${error.message}`);
+}
+
+// Published automations in an org whose exit goals include this event type
+export async function loadExitAutomations(orgId: string, eventType: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("automations")
+    .select("id, name")
+    .eq("org_id", orgId)
+    .contains("exitEvents", [eventType]);
+
+  if (error) throw new Error(`loadExitAutomations failed: ${error.message}`);
+  return data || [];
+}
+
+// In-flight runs of the given automations for a contact/entity
+export async function loadActiveRuns(automationIds: string[], subject: RunSubject) {
+  const filter = subjectFilter(subject);
+  if (!filter || automationIds.length === 0) return [];
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("workflow_runs")
+    .select("id, automation_id, trigger_run_id")
+    .in("automation_id", automationIds)
+    .in("status", ["running", "waiting"])
+    .or(filter);
+
+  if (error) throw new Error(`loadActiveRuns failed: ${error.message}`);
+  return data || [];
+}
+
 // Log individual step execution
 export async function logStepExecution(params: {
   run_id: number;
@@ -125,6 +432,7 @@ export async function logStepExecution(params: {
   step_type: string;
   action_type: string | null;
   status: string;
+  branch?: string | null; // Condition steps: "true" or "false" branch taken
   result?: Record<string, unknown>;
   error_message?: string;
   started_at: string;
@@ -137,3 +445,547 @@ export async function logStepExecution(params: {
 
   if (error) throw new Error(`logStepExecution failed: ${error.message}`);
 }
+
+// ------------------------------------------------------------------
+// Webhook subscriptions + delivery log
+// ------------------------------------------------------------------
+
+// Active subscriptions for an event type ("*" subscribes to everything)
+export async function loadWebhookSubscriptions(orgId: string, eventType: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("webhook_subscriptions")
+    .select("*")
+    .eq("org_id", orgId)
+    .eq("active", true)
+    .overlaps("event_types", [eventType, "*"]);
+
+  if (error) throw new Error(`loadWebhookSubscriptions failed: ${error.message}`);
+  return data || [];
+}
+
+// One row per attempt, so retries show up individually
+export async function logWebhookDelivery(params: {
+  org_id: string;
+  delivery_id: string;
+  subscription_id?: number | null;
+  automation_id?: string | null;
+  run_id?: number | null;
+  event_id?: number | null;
+  event_type: string;
+  url: string;
+  attempt: number;
+  status: "delivered" | "failed";
+  response_status: number | null;
+  response_body?: string;
+  error?: string | null;
+  duration_ms: number;
+}) {
+  const sb = getSupabase();
+  const { error } = await sb.from("webhook_deliveries").insert(params);
+  if (error) throw new Error(`logWebhookDelivery failed: ${error.message}`);
+
+  if (params.subscription_id) {
+    await sb
+      .from("webhook_subscriptions")
+      .update({
+        last_delivery_at: new Date().toISOString(),
+        last_delivery_status: params.status,
+      })
+      .eq("id", params.subscription_id);
+  }
+}
+
+// ------------------------------------------------------------------
+// Per-org messaging (Twilio) configuration
+// ------------------------------------------------------------------
+export interface MessagingConfig {
+  org_id: string;
+  messaging_service_sid: string | null;
+  sender_numbers: string[] | null;
+  status_callback_url: string | null;
+  enabled: boolean;
+}
+
+export async function loadMessagingConfig(orgId: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("messaging_config")
+    .select("*")
+    .eq("org_id", orgId)
+    .maybeSingle();
+
+  if (error) throw new Error(`loadMessagingConfig failed: ${error.message}`);
+  return data as MessagingConfig | null;
+}
+
+// ------------------------------------------------------------------
+// SMS conversations
+// ------------------------------------------------------------------
+
+// "(555) 123-4567" / "5551234567" / "+15551234567" → "+15551234567"
+export function normalizePhone(phone: string): string {
+  const trimmed = String(phone || "").trim();
+  const digits = trimmed.replace(/\D/g, "");
+  if (trimmed.startsWith("+")) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return digits ? `+${digits}` : "";
+}
+
+// Upsert the org + phone thread and return its id (see
+// record_conversation_message in schema_trigger.sql)
+// The message an automation step already sent (messages.send_key), if any
+export async function findSentMessage(orgId: string, sendKey: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("messages")
+    .select("id, body, status, twilio_sid, conversation_id")
+    .eq("org_id", orgId)
+    .eq("send_key", sendKey)
+    .maybeSingle();
+
+  if (error) throw new Error(`findSentMessage failed: ${error.message}`);
+  return data as { id: number; body: string | null; status: string | null; twilio_sid: string | null; conversation_id: number | null } | null;
+}
+
+export async function recordConversationMessage(params: {
+  orgId: string;
+  phone: string;
+  contactId: unknown;
+  body: string;
+  direction: "inbound" | "outbound";
+}): Promise<number> {
+  const sb = getSupabase();
+  const { data, error } = await sb.rpc("record_conversation_message", {
+    p_org_id: params.orgId,
+    p_phone: normalizePhone(params.phone),
+    p_contact_id: params.contactId ?? null,
+    p_body: params.body,
+    p_direction: params.direction,
+  });
+
+  if (error) throw new Error(`recordConversationMessage failed: ${error.message}`);
+  return data as number;
+}
+
+// ------------------------------------------------------------------
+// SMS opt-outs (sms_suppressions)
+// ------------------------------------------------------------------
+export async function isSmsSuppressed(orgId: string, phone: string): Promise<boolean> {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("sms_suppressions")
+    .select("opted_out")
+    .eq("org_id", orgId)
+    .eq("phone_number", normalizePhone(phone))
+    .maybeSingle();
+
+  if (error) throw new Error(`isSmsSuppressed failed: ${error.message}`);
+  return !!data?.opted_out;
+}
+
+export async function suppressSms(orgId: string, phone: string, source: string) {
+  const sb = getSupabase();
+  const now = new Date().toISOString();
+  const { error } = await sb.from("sms_suppressions").upsert(
+    {
+      org_id: orgId,
+      phone_number: normalizePhone(phone),
+      opted_out: true,
+      source,
+      opted_out_at: now,
+      updated_at: now,
+    },
+    { onConflict: "org_id,phone_number" }
+  );
+  if (error) throw new Error(`suppressSms failed: ${error.message}`);
+}
+
+// ------------------------------------------------------------------
+// Per-org email (Outlook / Graph) configuration
+// ------------------------------------------------------------------
+export interface EmailConfig {
+  id: number;
+  org_id: string;
+  sender_mailbox: string | null;
+  reply_to: string | null;
+  inbound_enabled: boolean;
+  graph_subscription_id: string | null;
+  graph_subscription_expires_at: string | null;
+}
+
+export async function loadInboundEmailConfigs() {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("email_config")
+    .select("*")
+    .eq("inbound_enabled", true)
+    .not("sender_mailbox", "is", null);
+
+  if (error) throw new Error(`loadInboundEmailConfigs failed: ${error.message}`);
+  return (data || []) as EmailConfig[];
+}
+
+export async function updateEmailConfig(id: number, updates: Partial<EmailConfig>) {
+  const sb = getSupabase();
+  const { error } = await sb
+    .from("email_config")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) throw new Error(`updateEmailConfig failed: ${error.message}`);
+}
+
+export async function loadEmailConfigBySubscription(subscriptionId: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("email_config")
+    .select("org_id, sender_mailbox, orgs(slug)")
+    .eq("graph_subscription_id", subscriptionId)
+    .limit(1);
+
+  if (error) throw new Error(`loadEmailConfigBySubscription failed: ${error.message}`);
+  const row = (data || [])[0] as { org_id: string; sender_mailbox: string | null; orgs: { slug?: string } | { slug?: string }[] | null } | undefined;
+  if (!row) return null;
+  const org = Array.isArray(row.orgs) ? row.orgs[0] : row.orgs;
+  return { orgId: row.org_id, mailbox: row.sender_mailbox, orgSlug: org?.slug || "" };
+}
+
+// The people / clients row whose email is exactly this address. clients.email
+// is stored lowercased (lowercase_portal_emails); people.email is not, so it
+// is compared case-insensitively with LIKE wildcards escaped.
+export async function findIdByEmail(orgId: string, table: "people" | "clients", email: string) {
+  const address = email.trim().toLowerCase();
+  if (!address || address.includes("*")) return null; // "*" is a PostgREST wildcard too
+  const sb = getSupabase();
+  let query = sb.from(table).select("id").eq("org_id", orgId);
+  query = table === "clients" ? query.eq("email", address) : query.ilike("email", address.replace(/[\\%_]/g, "\\$&"));
+  const { data, error } = await query.limit(1);
+  if (error) throw new Error(`findIdByEmail(${table}) failed: ${error.message}`);
+  return ((data || [])[0]?.id as number | undefined) ?? null;
+}
+
+// Inbound mail is keyed by (org_id, external_id = Graph message id): a retry
+// gets back the row the earlier attempt stored instead of a second one
+export async function storeInboundEmail(row: Record<string, unknown> & { org_id: string; external_id: string }) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("messages")
+    .upsert(row, { onConflict: "org_id,external_id", ignoreDuplicates: true })
+    .select("id, metadata");
+  if (error) throw new Error(`storeInboundEmail failed: ${error.message}`);
+  if (data && data.length) return { ...(data[0] as { id: number; metadata: Record<string, unknown> | null }), created: true };
+
+  const { data: existing, error: loadError } = await sb
+    .from("messages")
+    .select("id, metadata")
+    .eq("org_id", row.org_id)
+    .eq("external_id", row.external_id)
+    .single();
+  if (loadError) throw new Error(`storeInboundEmail reload failed: ${loadError.message}`);
+  return { ...(existing as { id: number; metadata: Record<string, unknown> | null }), created: false };
+}
+
+export async function updateMessage(id: number, updates: Record<string, unknown>) {
+  const sb = getSupabase();
+  const { error } = await sb.from("messages").update(updates).eq("id", id);
+  if (error) throw new Error(`updateMessage failed: ${error.message}`);
+}
+
+export interface ParsedShipmentOrder {
+  orderNumber: string;
+  vendorCode: string;
+  vendorName: string;
+  expectedDate: string | null;
+  items: { description?: string }[];
+}
+
+// New shipments for each parsed order, or updates for ones already imported
+// under the same customer PO (same matching as submitShipmentList in the UI).
+// A row this import created on an earlier attempt is found again by its
+// subitem, so running it twice for one email changes nothing.
+export async function upsertShipmentsForPO(orgId: string, customerPO: string, orders: ParsedShipmentOrder[]) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("shipments")
+    .select("id, subitem, mfr, client_id, project_id")
+    .eq("org_id", orgId)
+    .eq("po", customerPO);
+  if (error) throw new Error(`upsertShipmentsForPO load failed: ${error.message}`);
+
+  const existing = (data || []) as { id: number; subitem: string | null; mfr: string | null; client_id: number | null; project_id: number | null }[];
+  const clientId = existing.find((s) => s.client_id)?.client_id || null;
+  const projectId = existing.find((s) => s.project_id)?.project_id || null;
+  const shortPO = customerPO.length > 6 ? customerPO.substring(0, 6) : customerPO;
+  const shipmentIds: number[] = [];
+
+  for (const o of orders) {
+    const subitem = shortPO + "-" + (o.vendorCode || o.orderNumber.substring(0, 6)) +
+      (o.items.length === 1 && o.items[0].description ? " " + o.items[0].description.substring(0, 30) : "");
+    const match =
+      (o.vendorCode ? existing.find((s) => s.subitem && s.subitem.includes(o.vendorCode)) : null) ||
+      existing.find((s) => s.subitem === subitem);
+    if (match) {
+      const { error: updateError } = await sb
+        .from("shipments")
+        .update({ expected_date: o.expectedDate, mfr: o.vendorName || match.mfr })
+        .eq("id", match.id);
+      if (updateError) throw new Error(`upsertShipmentsForPO update failed: ${updateError.message}`);
+      shipmentIds.push(match.id);
+      continue;
+    }
+    const { data: inserted, error: insertError } = await sb
+      .from("shipments")
+      .insert({
+        org_id: orgId,
+        po: customerPO,
+        subitem,
+        client_id: clientId,
+        project_id: projectId,
+        mfr: o.vendorName || o.vendorCode,
+        expected_date: o.expectedDate,
+        received_date: null,
+        status: "not-received",
+        sortly: "",
+        inventory_status: "in-warehouse",
+      })
+      .select("id")
+      .single();
+    if (insertError) throw new Error(`upsertShipmentsForPO insert failed: ${insertError.message}`);
+    shipmentIds.push(inserted.id as number);
+    existing.push({ id: inserted.id as number, subitem, mfr: o.vendorName || o.vendorCode, client_id: clientId, project_id: projectId });
+  }
+  return { shipmentIds, clientId, projectId };
+}
+
+// ------------------------------------------------------------------
+// GoHighLevel config and CRM ↔ GHL links (ghl_entity_map)
+// ------------------------------------------------------------------
+export interface GhlConfig {
+  org_id: string;
+  ghl_api_key: string | null;
+  ghl_location_id: string | null;
+  api_version: string | null;
+  push_settings: Record<string, unknown> | null;
+  pull_settings: Record<string, unknown> | null;
+}
+
+export async function loadGhlConfig(orgId: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("ghl_config")
+    .select("*")
+    .eq("org_id", orgId)
+    .maybeSingle();
+
+  if (error) throw new Error(`loadGhlConfig failed: ${error.message}`);
+  return data as GhlConfig | null;
+}
+
+export interface GhlEntityLink {
+  id?: number;
+  org_id: string;
+  entity_type: string; // contact, opportunity, pipeline, ...
+  ghl_id: string;
+  ghl_data: Record<string, unknown> | null;
+  crm_entity_type: string | null; // client, contact, project
+  crm_entity_id: string | null;
+  last_pushed_payload: Record<string, unknown> | null;
+  last_pushed_at: string | null;
+  last_applied_payload?: Record<string, unknown> | null; // CRM values last taken from GHL
+  applied_at?: string | null;
+  needs_apply?: boolean;
+  synced_at: string | null;
+}
+
+// The GHL record a CRM row is linked to, if any
+export async function loadGhlLink(orgId: string, ghlEntityType: string, crmEntityType: string, crmEntityId: string | number) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("ghl_entity_map")
+    .select("*")
+    .eq("org_id", orgId)
+    .eq("entity_type", ghlEntityType)
+    .eq("crm_entity_type", crmEntityType)
+    .eq("crm_entity_id", String(crmEntityId))
+    .maybeSingle();
+
+  if (error) throw new Error(`loadGhlLink failed: ${error.message}`);
+  return data as GhlEntityLink | null;
+}
+
+export async function loadGhlEntity(orgId: string, ghlEntityType: string, ghlId: string) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("ghl_entity_map")
+    .select("*")
+    .eq("org_id", orgId)
+    .eq("entity_type", ghlEntityType)
+    .eq("ghl_id", ghlId)
+    .maybeSingle();
+
+  if (error) throw new Error(`loadGhlEntity failed: ${error.message}`);
+  return data as GhlEntityLink | null;
+}
+
+export async function saveGhlLink(link: Partial<GhlEntityLink> & { org_id: string; entity_type: string; ghl_id: string }) {
+  const sb = getSupabase();
+  const { error } = await sb
+    .from("ghl_entity_map")
+    .upsert(link, { onConflict: "org_id,entity_type,ghl_id" });
+
+  if (error) throw new Error(`saveGhlLink failed: ${error.message}`);
+}
+
+// GHL contacts/opportunities synced (or changed) since they were last
+// applied to clients/people/projects
+export async function loadUnappliedGhlEntities(orgId: string, entityType: string, limit: number) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("ghl_entity_map")
+    .select("*")
+    .eq("org_id", orgId)
+    .eq("entity_type", entityType)
+    .eq("needs_apply", true)
+    .order("synced_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(`loadUnappliedGhlEntities failed: ${error.message}`);
+  return (data || []) as GhlEntityLink[];
+}
+
+// Marks a synced GHL record as applied to the CRM
+export async function markGhlEntityApplied(id: number, updates: Partial<GhlEntityLink>) {
+  const sb = getSupabase();
+  const { error } = await sb
+    .from("ghl_entity_map")
+    .update({ ...updates, needs_apply: false, applied_at: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) throw new Error(`markGhlEntityApplied failed: ${error.message}`);
+}
+
+export async function insertCrmRecord(orgId: string, table: string, values: Record<string, unknown>) {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from(table)
+    .insert({ ...values, org_id: orgId })
+    .select("*")
+    .single();
+
+  if (error) throw new Error(`insertCrmRecord(${table}) failed: ${error.message}`);
+  return data as Record<string, unknown>;
+}
+
+export async function updateCrmRecord(orgId: string, table: string, id: unknown, values: Record<string, unknown>) {
+  const sb = getSupabase();
+  const { error } = await sb.from(table).update(values).eq("org_id", orgId).eq("id", id);
+  if (error) throw new Error(`updateCrmRecord(${table}) failed: ${error.message}`);
+}
+
+// Dedupe: a CRM row with the same email, else the same phone (last 10 digits)
+export async function findCrmRecordByEmailOrPhone(orgId: string, table: string, email: string, phone: string) {
+  const sb = getSupabase();
+  if (email) {
+    const { data } = await sb.from(table).select("*").eq("org_id", orgId).ilike("email", email).limit(1);
+    if (data && data.length) return data[0] as Record<string, unknown>;
+  }
+  const digits = String(phone || "").replace(/\D/g, "").slice(-10);
+  if (digits.length === 10) {
+    const { data } = await sb.from(table).select("*").eq("org_id", orgId).ilike("phone", `%${digits.slice(0, 3)}%${digits.slice(3, 6)}%${digits.slice(6)}`).limit(1);
+    if (data && data.length) return data[0] as Record<string, unknown>;
+  }
+  return null;
+}
+
+export interface GhlSyncConflict {
+  org_id: string;
+  ghl_entity_type: string;
+  ghl_id: string;
+  crm_entity_type: string;
+  crm_entity_id: string;
+  field: string;
+  crm_value: unknown;
+  ghl_value: unknown;
+  base_value: unknown;
+}
+
+// One open conflict per record + field; a newer GHL value replaces the old one
+export async function recordGhlConflicts(conflicts: GhlSyncConflict[]) {
+  if (conflicts.length === 0) return;
+  const sb = getSupabase();
+  const now = new Date().toISOString();
+  const { error } = await sb.from("ghl_sync_conflicts").upsert(
+    conflicts.map((c) => ({ ...c, status: "open", resolution: null, resolved_by: null, resolved_at: null, updated_at: now })),
+    { onConflict: "org_id,crm_entity_type,crm_entity_id,field" }
+  );
+  if (error) throw new Error(`recordGhlConflicts failed: ${error.message}`);
+}
+
+// Bulk upsert of synced GHL records (one page from the ghl-sync task)
+export async function saveGhlEntities(rows: Array<Partial<GhlEntityLink> & { org_id: string; entity_type: string; ghl_id: string }>) {
+  if (rows.length === 0) return;
+  const sb = getSupabase();
+  const { error } = await sb.from("ghl_entity_map").upsert(rows, { onConflict: "org_id,entity_type,ghl_id" });
+  if (error) throw new Error(`saveGhlEntities failed: ${error.message}`);
+}
+
+// Orgs whose synced GHL data flows into the CRM (pull_settings.enabled)
+export async function loadGhlPullConfigs() {
+  const sb = getSupabase();
+  const { data, error } = await sb
+    .from("ghl_config")
+    .select("*")
+    .not("ghl_api_key", "is", null)
+    .eq("pull_settings->>enabled", "true");
+
+  if (error) throw new Error(`loadGhlPullConfigs failed: ${error.message}`);
+  return (data || []) as GhlConfig[];
+}
+
+// ------------------------------------------------------------------
+// GHL sync runs. The ghl-sync task checkpoints its cursor here after
+// every page, so a retried or re-queued run carries on where it stopped.
+// ------------------------------------------------------------------
+export interface GhlSyncLog {
+  id: number;
+  org_id: string;
+  sync_type: string;
+  status: "queued" | "running" | "completed" | "failed";
+  records_synced: number | null;
+  cursor: Record<string, unknown> | null;
+  updated_since: string | null; // only records changed after this are written
+  trigger_run_id: string | null;
+  error_message: string | null;
+  started_at: string | null;
+  completed_at: string | null;
+  updated_at: string | null;
+}
+
+export async function loadLatestGhlSyncLog(orgId: string, syncType: string, status?: GhlSyncLog["status"]) {
+  const sb = getSupabase();
+  let query = sb.from("ghl_sync_log").select("*").eq("org_id", orgId).eq("sync_type", syncType);
+  if (status) query = query.eq("status", status);
+  const { data, error } = await query.order("id", { ascending: false }).limit(1).maybeSingle();
+
+  if (error) throw new Error(`loadLatestGhlSyncLog failed: ${error.message}`);
+  return data as GhlSyncLog | null;
+}
+
+export async function createGhlSyncLog(log: Partial<GhlSyncLog> & { org_id: string; sync_type: string }) {
+  const sb = getSupabase();
+  const { data, error } = await sb.from("ghl_sync_log").insert(log).select("*").single();
+  if (error) throw new Error(`createGhlSyncLog failed: ${error.message}`);
+  return data as GhlSyncLog;
+}
+
+export async function updateGhlSyncLog(id: number, updates: Partial<GhlSyncLog>) {
+  const sb = getSupabase();
+  const { error } = await sb
+    .from("ghl_sync_log")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", id);
+
+  if (error) throw new Error(`updateGhlSyncLog failed: ${error.message}`);
+}
@@ -0,0 +1,105 @@
+// Template interpolation for automation messages.
+//
+//   "Hi {{contact.name|first_name|default:"there"}}, your install is {{project.install_date|date:"long"}}"
+//   "Quote total: {{quote.total|currency}}"
+//
+// Paths read from the run context (event payload + hydrated project,
+// client, contact, quote and org rows). Filters run left to right.
+// Dates are formatted in the org's timezone (context.org.timezone).
+// /api/send-email renders org email templates with a JS copy of this
+// (api/_lib/templates.js) — change both together.
+
+import { getNestedValue } from "./conditions.js";
+
+const DEFAULT_TIMEZONE = process.env.ORG_DEFAULT_TIMEZONE || "America/New_York";
+
+type Filter = (value: unknown, arg: string | undefined, context: Record<string, unknown>) => unknown;
+
+function isEmpty(value: unknown): boolean {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+function toDate(value: unknown): { date: Date; dateOnly: boolean } | null {
+  if (isEmpty(value)) return null;
+  const str = String(value);
+  // Plain dates (install_date, expires_at) are calendar days — don't shift them by timezone
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    return { date: new Date(`${str}T12:00:00Z`), dateOnly: true };
+  }
+  const d = value instanceof Date ? value : new Date(str);
+  return isNaN(d.getTime()) ? null : { date: d, dateOnly: false };
+}
+
+const DATE_FORMATS: Record<string, Intl.DateTimeFormatOptions> = {
+  short: { month: "short", day: "numeric", year: "numeric" },
+  long: { weekday: "long", month: "long", day: "numeric", year: "numeric" },
+  numeric: { month: "numeric", day: "numeric", year: "numeric" },
+  day: { weekday: "long", month: "short", day: "numeric" },
+  time: { hour: "numeric", minute: "2-digit" },
+  datetime: { month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit" },
+};
+
+const FILTERS: Record<string, Filter> = {
+  default: (value, arg) => (isEmpty(value) ? arg ?? "" : value),
+  upper: (value) => (isEmpty(value) ? value : String(value).toUpperCase()),
+  lower: (value) => (isEmpty(value) ? value : String(value).toLowerCase()),
+  capitalize: (value) =>
+    isEmpty(value) ? value : String(value).replace(/\b\w/g, (c) => c.toUpperCase()),
+  first_name: (value) => (isEmpty(value) ? value : String(value).trim().split(/\s+/)[0]),
+  truncate: (value, arg) => {
+    const max = Number(arg || 0);
+    if (isEmpty(value) || !max) return value;
+    const str = String(value);
+    return str.length > max ? str.slice(0, Math.max(0, max - 1)) + "…" : str;
+  },
+  number: (value, arg) => {
+    const n = Number(value);
+    if (isEmpty(value) || isNaN(n)) return value;
+    const digits = arg !== undefined ? Number(arg) : undefined;
+    return n.toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits ?? 2 });
+  },
+  currency: (value, arg) => {
+    const n = Number(value);
+    if (isEmpty(value) || isNaN(n)) return value;
+    return n.toLocaleString("en-US", { style: "currency", currency: (arg || "USD").toUpperCase() });
+  },
+  date: (value, arg, context) => {
+    const parsed = toDate(value);
+    if (!parsed) return value;
+    const format = arg || "short";
+    if (format === "iso") return parsed.date.toISOString().split("T")[0];
+    const timeZone = parsed.dateOnly ? "UTC" : getTimezone(context);
+    const options = DATE_FORMATS[format] || DATE_FORMATS.short;
+    return parsed.date.toLocaleString("en-US", { ...options, timeZone });
+  },
+};
+
+function getTimezone(context: Record<string, unknown>): string {
+  const tz = getNestedValue(context, "org.timezone");
+  return typeof tz === "string" && tz ? tz : DEFAULT_TIMEZONE;
+}
+
+// "|first_name|default:"there"" → [["first_name"], ["default", "there"]]
+function parseFilters(chain: string): Array<[string, string | undefined]> {
+  const filters: Array<[string, string | undefined]> = [];
+  const re = /\|\s*(\w+)(?:\s*:\s*("[^"]*"|'[^']*'|[^|]*))?/g;
+  let m: RegExpExecArray | null;
+  while ((m = re.exec(chain))) {
+    let arg = m[2]?.trim();
+    if (arg && /^(["']).*\1$/.test(arg)) arg = arg.slice(1, -1);
+    filters.push([m[1], arg]);
+  }
+  return filters;
+}
+
+// "Hello {{contactName}}" → "Hello John"
+export function interpolate(template: string, context: Record<string, unknown>): string {
+  return template.replace(/\{\{\s*(\w+(?:\.\w+)*)\s*((?:\|[^}]*)?)\}\}/g, (_, path, chain) => {
+    let val = getNestedValue(context, path);
+    for (const [name, arg] of parseFilters(chain)) {
+      const filter = FILTERS[name];
+      if (filter) val = filter(val, arg, context);
+    }
+    return val !== undefined && val !== null ? String(val) : "";
+  });
+}
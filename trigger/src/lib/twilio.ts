@@ -1,11 +1,26 @@
 // Twilio helper for sending SMS via Messaging Service
 // Uses the Twilio REST API directly (no SDK dependency needed for simple sends)
 
+import { loadMessagingConfig, isSmsSuppressed, suppressSms } from "./supabase.js";
+
 const TWILIO_ACCOUNT_SID = () => process.env.TWILIO_ACCOUNT_SID || "";
 const TWILIO_AUTH_TOKEN = () => process.env.TWILIO_AUTH_TOKEN || "";
 
+// Twilio error for a recipient who has replied STOP to this sender
+const TWILIO_UNSUBSCRIBED_RECIPIENT = 21610;
+
+// Thrown instead of sending to a number on the org's opt-out list
+export class SmsSuppressedError extends Error {
+  constructor(public to: string) {
+    super(`Recipient ${to} has opted out of SMS`);
+    this.name = "SmsSuppressedError";
+  }
+}
+
 export interface SendSmsParams {
-  messagingServiceSid: string; // per-org messaging service
+  orgId: string; // checked against the org's sms_suppressions list
+  messagingServiceSid?: string; // per-org messaging service
+  from?: string; // sender number, when the org has no messaging service
   to: string;
   body: string;
   statusCallback?: string;
@@ -31,12 +46,22 @@ export async function sendSms(params: SendSmsParams): Promise<SendSmsResult> {
     throw new Error("Twilio is disabled via TWILIO_DISABLED env var");
   }
 
+  if (await isSmsSuppressed(params.orgId, params.to)) {
+    throw new SmsSuppressedError(params.to);
+  }
+
   const url = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
   const formBody = new URLSearchParams({
-    MessagingServiceSid: params.messagingServiceSid,
     To: params.to,
     Body: params.body,
   });
+  if (params.messagingServiceSid) {
+    formBody.set("MessagingServiceSid", params.messagingServiceSid);
+  } else if (params.from) {
+    formBody.set("From", params.from);
+  } else {
+    throw new Error("sendSms needs a messagingServiceSid or from number");
+  }
 
   if (params.statusCallback) {
     formBody.set("StatusCallback", params.statusCallback);
@@ -54,6 +79,11 @@ export async function sendSms(params: SendSmsParams): Promise<SendSmsResult> {
   const data = await resp.json();
 
   if (!resp.ok) {
+    // Opted out at the carrier/Twilio level: record it so we stop trying
+    if (data.code === TWILIO_UNSUBSCRIBED_RECIPIENT) {
+      await suppressSms(params.orgId, params.to, "carrier");
+      throw new SmsSuppressedError(params.to);
+    }
     throw new Error(`Twilio send failed: ${data.message || JSON.stringify(data)}`);
   }
 
@@ -65,16 +95,25 @@ export async function sendSms(params: SendSmsParams): Promise<SendSmsResult> {
   };
 }
 
-// Org → Messaging Service SID mapping
-// After A2P campaigns are approved, update these with real SIDs
-export const ORG_MESSAGING_SERVICES: Record<string, string> = {
-  vector: process.env.TWILIO_MS_VECTOR || "",
-  bmg: process.env.TWILIO_MS_BMG || "",
-  stucco: process.env.TWILIO_MS_STUCCO || "",
-};
-
-export function getMessagingServiceForOrg(orgSlug: string): string {
-  const sid = ORG_MESSAGING_SERVICES[orgSlug];
-  if (!sid) throw new Error(`No Messaging Service SID configured for org: ${orgSlug}`);
-  return sid;
+// Org → sender, from the org's messaging_config row (Settings → Integrations).
+// Prefers the Messaging Service; a bare sender number works for orgs without one.
+export interface OrgSender {
+  messagingServiceSid?: string;
+  from?: string;
+  statusCallback?: string;
+}
+
+export async function getMessagingConfigForOrg(orgId: string): Promise<OrgSender> {
+  const config = await loadMessagingConfig(orgId);
+  if (!config || !config.enabled) throw new Error(`SMS is not configured for org ${orgId}`);
+
+  const from = (config.sender_numbers || []).find(Boolean);
+  if (!config.messaging_service_sid && !from) {
+    throw new Error(`No Messaging Service SID or sender number configured for org ${orgId}`);
+  }
+  return {
+    messagingServiceSid: config.messaging_service_sid || undefined,
+    from: config.messaging_service_sid ? undefined : from,
+    statusCallback: config.status_callback_url || undefined,
+  };
 }
@@ -0,0 +1,77 @@
+// Outbound webhooks (automation `webhook` actions and org subscriptions).
+//
+// Every delivery is a JSON envelope:
+//   { id, event, org_id, created_at, data }
+// signed with the subscription's secret:
+//   X-Vector-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+// Receivers should recompute v1 and reject timestamps older than a few minutes.
+
+import { createHmac } from "node:crypto";
+
+const TIMEOUT_MS = 10000;
+const MAX_LOGGED_RESPONSE = 2000;
+
+export interface WebhookEnvelope {
+  id: string;
+  event: string;
+  org_id: string;
+  created_at: string;
+  data: Record<string, unknown>;
+}
+
+export interface WebhookAttemptResult {
+  ok: boolean;
+  status: number | null;
+  responseBody: string;
+  durationMs: number;
+  error?: string;
+}
+
+export function signWebhook(secret: string, timestamp: number, rawBody: string): string {
+  const v1 = createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+// One POST with a timeout. Non-2xx and network errors come back as ok: false
+// rather than throwing, so the caller can log the attempt before retrying.
+export async function postWebhook(
+  url: string,
+  envelope: WebhookEnvelope,
+  secret: string | null
+): Promise<WebhookAttemptResult> {
+  const rawBody = JSON.stringify(envelope);
+  const headers: Record<string, string> = {
+    "Content-Type": "application/json",
+    "User-Agent": "VectorCRM-Webhooks/1.0",
+    "X-Vector-Event": envelope.event,
+    "X-Vector-Delivery": envelope.id,
+  };
+  if (secret) headers["X-Vector-Signature"] = signWebhook(secret, Math.floor(Date.now() / 1000), rawBody);
+
+  const started = Date.now();
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers,
+      body: rawBody,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    const text = await resp.text().catch(() => "");
+    return {
+      ok: resp.ok,
+      status: resp.status,
+      responseBody: text.slice(0, MAX_LOGGED_RESPONSE),
+      durationMs: Date.now() - started,
+      error: resp.ok ? undefined : `HTTP ${resp.status}`,
+    };
+  } catch (err) {
+    const timedOut = err instanceof Error && err.name === "TimeoutError";
+    return {
+      ok: false,
+      status: null,
+      responseBody: "",
+      durationMs: Date.now() - started,
+      error: timedOut ? `Timed out after ${TIMEOUT_MS}ms` : err instanceof Error ? err.message : String(err),
+    };
+  }
+}